@@ -185,7 +185,7 @@ What brought me joy today? What am I grateful for?
     }
 
     getTemplateEntries() {
-        return this.journal.entries.filter(entry => entry.isTemplate === true);
+        return this.journal.entryRepository.getTemplates();
     }
 
     canAddMoreTemplates() {
@@ -202,7 +202,7 @@ What brought me joy today? What am I grateful for?
             return false;
         }
 
-        const entry = this.journal.entries.find(e => e.id === entryId);
+        const entry = this.journal.entryRepository.get(entryId);
         if (!entry) {
             console.error('Entry not found:', entryId);
             return false;
@@ -222,7 +222,7 @@ What brought me joy today? What am I grateful for?
         entry.isTemplate = true;
         entry.templateOrder = nextOrder;
 
-        this.journal.saveEntries();
+        this.journal.entryRepository.save(entry);
         this.journal.renderEntries();
 
         this.journal.themeManager.showToast(
@@ -238,7 +238,7 @@ What brought me joy today? What am I grateful for?
     }
 
     unmarkAsTemplate(entryId) {
-        const entry = this.journal.entries.find(e => e.id === entryId);
+        const entry = this.journal.entryRepository.get(entryId);
         if (!entry) {
             console.error('Entry not found:', entryId);
             return false;
@@ -248,7 +248,7 @@ What brought me joy today? What am I grateful for?
         entry.isTemplate = false;
         entry.templateOrder = null;
 
-        this.journal.saveEntries();
+        this.journal.entryRepository.save(entry);
         this.journal.renderEntries();
 
         this.journal.themeManager.showToast(
@@ -271,7 +271,7 @@ What brought me joy today? What am I grateful for?
             templateName = defaultTemplate.name;
         } else {
             // It's a custom template
-            const customTemplate = this.journal.entries.find(e => e.id === templateId);
+            const customTemplate = this.journal.entryRepository.get(templateId);
             if (customTemplate) {
                 templateContent = customTemplate.content;
                 templateName = customTemplate.title || 'Custom Template';
@@ -288,7 +288,9 @@ What brought me joy today? What am I grateful for?
         // Create new entry with template content
         this.journal.textarea.value = templateContent;
         this.journal.currentEntryId = null; // New entry
+        this.journal.pendingCreatedAt = null;
         this.journal.updateWordCount();
+        this.journal.updateEntryDateInput();
         
         // Mark as template content (ephemeral until edited)
         this.journal.isTemplateContent = true;
@@ -318,6 +320,343 @@ What brought me joy today? What am I grateful for?
     }
 }
 
+// Persona Manager Class - Handles AI companion personas for chat
+class PersonaManager {
+    constructor(journal) {
+        this.journal = journal;
+        this.storageKey = 'aiPersonas';
+        this.defaultPersonas = this.initializeDefaultPersonas();
+        this.customPersonas = this.loadCustomPersonas();
+        this.selectedId = this.loadSelectedId();
+    }
+
+    // The companion has no prompt of its own - it uses the system prompt from AI settings
+    initializeDefaultPersonas() {
+        return [
+            {
+                id: 'default-companion',
+                name: 'Reflection Companion',
+                icon: '💭',
+                description: 'Supportive, structured reflection',
+                prompt: null,
+                format: ''
+            },
+            {
+                id: 'default-socratic',
+                name: 'Socratic Questioner',
+                icon: '🤔',
+                description: 'Helps you think by asking questions',
+                prompt: `You are a Socratic questioner helping someone think through their journal entries. Rather than giving answers or advice, you ask careful, open-ended questions that help them examine their assumptions, notice contradictions and reach their own conclusions. Be curious and warm, never leading or judgmental.`,
+                format: `- Start with one sentence reflecting back what they asked
+- Ask 2-3 open questions, each on its own line, grounded in specific entries ("In your [date] entry you wrote...")
+- Do not offer advice or conclusions of your own`
+            },
+            {
+                id: 'default-reframer',
+                name: 'Thought Reframer',
+                icon: '🔄',
+                description: 'CBT-style look at unhelpful thoughts',
+                prompt: `You help someone notice and reframe unhelpful thinking patterns in their journal, in the style of cognitive behavioural therapy. Gently identify thinking traps (all-or-nothing thinking, catastrophising, mind reading, should statements) and offer balanced alternatives. You are not a therapist: for anything serious or harmful, encourage them to reach out to a professional or someone they trust.`,
+                format: `THOUGHT: the thought you noticed, quoted from their entries
+PATTERN: the thinking trap it may reflect, in plain words
+EVIDENCE: what in their entries supports or challenges it
+REFRAME: a more balanced way to see it
+TRY: one small, practical next step`
+            },
+            {
+                id: 'default-gratitude',
+                name: 'Gratitude Coach',
+                icon: '🌱',
+                description: 'Finds what went well and builds on it',
+                prompt: `You are a gratitude coach. Help someone notice the good things, progress and supportive people in their journal, without dismissing difficulties. Keep an encouraging, grounded tone and avoid toxic positivity.`,
+                format: `- Name 2-3 specific things from their entries worth appreciating, with dates
+- Connect them to their question in a short paragraph
+- End with one gentle gratitude prompt they could write about next`
+            },
+            {
+                id: 'default-analyst',
+                name: 'Concise Analyst',
+                icon: '📊',
+                description: 'Short, factual answers and patterns',
+                prompt: `You are a concise analyst of someone's journal. Answer directly and factually, focusing on patterns, frequencies and changes over time. No emotional language, no filler.`,
+                format: `- Answer in at most 5 short bullet points
+- Cite entry dates for every claim
+- If the entries don't contain the answer, say so in one sentence`
+            }
+        ];
+    }
+
+    loadCustomPersonas() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved.map(persona => this.normalizePersona(persona)).filter(Boolean) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    loadSelectedId() {
+        try {
+            const saved = localStorage.getItem('aiPersona');
+            return this.get(saved) ? saved : this.defaultPersonas[0].id;
+        } catch (error) {
+            return this.defaultPersonas[0].id;
+        }
+    }
+
+    // Returns null for anything that can't be used as a persona (e.g. from a hand-edited import)
+    normalizePersona(persona) {
+        if (!persona || typeof persona.name !== 'string' || typeof persona.prompt !== 'string' || !persona.prompt.trim()) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        // One emoji, plus a variation selector - the same room the editor's icon field allows
+        const icon = Array.from(typeof persona.icon === 'string' ? persona.icon.trim() : '').slice(0, 2).join('');
+        return {
+            id: persona.id || `persona_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            name: persona.name.trim().substring(0, 40) || 'Custom persona',
+            icon: icon || '🧩',
+            description: (persona.description || '').trim().substring(0, 100),
+            prompt: persona.prompt.trim(),
+            format: (persona.format || '').trim(),
+            isCustom: true,
+            createdAt: persona.createdAt || now,
+            updatedAt: persona.updatedAt || persona.createdAt || now
+        };
+    }
+
+    getAll() {
+        return [...this.defaultPersonas, ...this.customPersonas];
+    }
+
+    getCustomPersonas() {
+        return this.customPersonas;
+    }
+
+    get(personaId) {
+        return this.getAll().find(persona => persona.id === personaId) || null;
+    }
+
+    getSelected() {
+        return this.get(this.selectedId) || this.defaultPersonas[0];
+    }
+
+    select(personaId) {
+        if (!this.get(personaId)) return false;
+
+        this.selectedId = personaId;
+        try {
+            localStorage.setItem('aiPersona', personaId);
+        } catch (error) {
+            console.error('Failed to save persona choice:', error);
+        }
+        return true;
+    }
+
+    save(persona) {
+        const existing = this.customPersonas.find(p => p.id === persona.id);
+        const normalized = this.normalizePersona({
+            ...persona,
+            createdAt: existing ? existing.createdAt : undefined,
+            updatedAt: new Date().toISOString()
+        });
+        if (!normalized) {
+            throw new Error('A persona needs a name and instructions');
+        }
+
+        this.customPersonas = existing ?
+            this.customPersonas.map(p => p.id === normalized.id ? normalized : p) :
+            [...this.customPersonas, normalized];
+        this.persist();
+        return normalized;
+    }
+
+    delete(personaId) {
+        this.customPersonas = this.customPersonas.filter(persona => persona.id !== personaId);
+        if (this.selectedId === personaId) {
+            this.select(this.defaultPersonas[0].id);
+        }
+        this.persist();
+    }
+
+    // Adds personas from an export that aren't here yet; returns how many were added
+    importPersonas(personas) {
+        if (!Array.isArray(personas)) return 0;
+
+        const added = personas
+            .filter(persona => persona && !this.get(persona.id))
+            .map(persona => this.normalizePersona(persona))
+            .filter(Boolean);
+
+        if (added.length > 0) {
+            this.customPersonas = [...this.customPersonas, ...added];
+            this.persist();
+        }
+        return added.length;
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.customPersonas));
+        } catch (error) {
+            console.error('Failed to save personas:', error);
+            this.journal.themeManager.showToast('Couldn\'t save personas', 'error', '⚠️');
+        }
+    }
+}
+
+// Revision Manager Class - Handles entry snapshots, diffs and restoring old versions
+class RevisionManager {
+    constructor(journal) {
+        this.journal = journal;
+        this.maxRevisions = 50;
+        this.sessionIdleMs = 10 * 60 * 1000; // A pause this long starts a new editing session
+        this.sessionId = null;
+        this.lastSnapshotAt = 0;
+    }
+
+    startSession() {
+        this.sessionId = `session_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+        this.lastSnapshotAt = 0;
+    }
+
+    // Returns the entry's revision list with the given content recorded,
+    // coalescing saves from the same editing session into one snapshot.
+    // `original` is the stored entry, so one saved before history existed (or imported without it)
+    // keeps its text as the first version instead of losing it to the first edit
+    recordSnapshot(existingRevisions, content, savedAt, original = null) {
+        const revisions = Array.isArray(existingRevisions) ? [...existingRevisions] : [];
+        const now = savedAt.getTime();
+
+        if (revisions.length === 0 && original && original.content && original.content !== content) {
+            const originalAt = new Date(original.updatedAt || original.createdAt || savedAt);
+            revisions.push({
+                id: `rev_${originalAt.getTime().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+                sessionId: null, // Never coalesced with the edit that follows
+                content: original.content,
+                savedAt: originalAt.toISOString(),
+                wordCount: original.content.split(/\s+/).length
+            });
+        }
+
+        if (!this.sessionId || (this.lastSnapshotAt && now - this.lastSnapshotAt > this.sessionIdleMs)) {
+            this.startSession();
+        }
+        this.lastSnapshotAt = now;
+
+        const snapshot = {
+            id: `rev_${now.toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+            sessionId: this.sessionId,
+            content: content,
+            savedAt: savedAt.toISOString(),
+            wordCount: content.split(/\s+/).length
+        };
+
+        const latest = revisions[revisions.length - 1];
+        if (latest && latest.sessionId === this.sessionId) {
+            revisions[revisions.length - 1] = { ...snapshot, id: latest.id };
+        } else if (!latest || latest.content !== content) {
+            revisions.push(snapshot);
+        }
+
+        // Keep the newest snapshots when the list is full
+        return revisions.slice(-this.maxRevisions);
+    }
+
+    getRevisions(entryId) {
+        const entry = this.journal.entryRepository.get(entryId);
+        return entry && Array.isArray(entry.revisions) ? entry.revisions : [];
+    }
+
+    restoreRevision(entryId, revisionId) {
+        const revision = this.getRevisions(entryId).find(r => r.id === revisionId);
+        if (!revision) {
+            this.journal.themeManager.showToast('Version not found', 'error', '❌');
+            return false;
+        }
+
+        // Restoring counts as a fresh edit so the version being replaced stays in history
+        this.startSession();
+        this.journal.currentEntryId = entryId;
+        this.journal.textarea.value = revision.content;
+        this.journal.updateWordCount();
+        this.journal.saveCurrentEntry();
+
+        this.journal.themeManager.showToast('Version restored', 'success', '🕘');
+        this.journal.analytics.trackFeatureUse('revision_history', 'restored');
+        return true;
+    }
+
+    // Line-level diff using a longest-common-subsequence table
+    diffLines(oldText, newText) {
+        const oldLines = oldText.split('\n');
+        const newLines = newText.split('\n');
+        const rows = oldLines.length;
+        const cols = newLines.length;
+
+        const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lcs[i][j] = oldLines[i] === newLines[j] ?
+                    lcs[i + 1][j + 1] + 1 :
+                    Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const diff = [];
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < cols) {
+            if (oldLines[i] === newLines[j]) {
+                diff.push({ type: 'same', text: oldLines[i] });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                diff.push({ type: 'removed', text: oldLines[i] });
+                i++;
+            } else {
+                diff.push({ type: 'added', text: newLines[j] });
+                j++;
+            }
+        }
+        while (i < rows) diff.push({ type: 'removed', text: oldLines[i++] });
+        while (j < cols) diff.push({ type: 'added', text: newLines[j++] });
+
+        return diff;
+    }
+
+    // Combines a local and an imported history of the same entry, so replacing it on import loses nothing
+    mergeRevisions(localRevisions, importedRevisions) {
+        const seen = new Set();
+        const combined = [...(localRevisions || []), ...(importedRevisions || [])].filter(r => {
+            if (!r || !r.id) return true;
+            if (seen.has(r.id)) return false;
+            seen.add(r.id);
+            return true;
+        });
+        return this.normalizeRevisions(combined);
+    }
+
+    // Keeps only well-formed snapshots from imported data
+    normalizeRevisions(revisions) {
+        if (!Array.isArray(revisions)) return [];
+
+        return revisions
+            .filter(r => r && typeof r.content === 'string' && !isNaN(new Date(r.savedAt)))
+            .map(r => ({
+                // Ids end up in markup, so anything not shaped like ours (e.g. from an import) gets a new one
+                id: /^rev_[a-z0-9_]+$/.test(r.id) ? r.id : `rev_${Math.random().toString(36).substr(2, 9)}`,
+                sessionId: r.sessionId || null,
+                content: r.content,
+                savedAt: new Date(r.savedAt).toISOString(),
+                wordCount: typeof r.wordCount === 'number' ? r.wordCount : r.content.split(/\s+/).length
+            }))
+            .sort((a, b) => new Date(a.savedAt) - new Date(b.savedAt))
+            .slice(-this.maxRevisions);
+    }
+}
+
 // Theme Manager Class - Handles theme switching and customization
 class ThemeManager {
     constructor() {
@@ -388,6 +727,24 @@ class ThemeManager {
         }
     }
 
+    // Fonts and the accent colour for layouts outside the app, like printing - read from the styles the
+    // app is actually using so paper matches the screen, but always the light palette
+    getTypography() {
+        const theme = this.themes[this.currentTheme] || this.themes.warm;
+        const editor = document.getElementById('journalEntry') || document.body;
+        const editorStyle = getComputedStyle(editor);
+
+        // Computed line-height comes back in pixels; print sizes its own text, so keep it relative
+        const lineHeight = parseFloat(editorStyle.lineHeight) / parseFloat(editorStyle.fontSize);
+
+        return {
+            fontFamily: editorStyle.fontFamily || getComputedStyle(document.body).fontFamily,
+            headingFontFamily: getComputedStyle(document.body).fontFamily || editorStyle.fontFamily,
+            lineHeight: Number.isFinite(lineHeight) && lineHeight > 0 ? Math.round(lineHeight * 100) / 100 : 1.7,
+            accent: theme.colors.light.primary
+        };
+    }
+
     toggleMode() {
         const newMode = this.currentMode === 'light' ? 'dark' : 'light';
         this.setTheme(this.currentTheme, newMode);
@@ -501,9 +858,12 @@ class ThemeManager {
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
         toast.innerHTML = `
-            <span class="toast-icon">${icon}</span>
-            <span class="toast-message">${message}</span>
+            <span class="toast-icon"></span>
+            <span class="toast-message"></span>
         `;
+        // Messages can include persona names, search text and other user data, so never treat them as HTML
+        toast.querySelector('.toast-icon').textContent = icon;
+        toast.querySelector('.toast-message').textContent = message;
 
         // Add to container
         toastContainer.appendChild(toast);
@@ -600,15 +960,253 @@ class ThemeManager {
     }
 }
 
+// OllamaProvider Class - Handles Ollama's native /api endpoints
+class OllamaProvider {
+    constructor(service) {
+        this.service = service;
+        this.id = 'ollama';
+        this.name = 'Ollama';
+        this.defaultEndpoint = 'http://localhost:11434';
+        this.canPullModels = true;
+        this.corsHint = `Restart it with OLLAMA_ORIGINS=${window.location.origin}`;
+    }
+
+    getModelsUrl(endpoint) {
+        return `${endpoint}/api/tags`;
+    }
+
+    async listModels(endpoint, { signal = null } = {}) {
+        const response = await fetch(this.getModelsUrl(endpoint), { method: 'GET', signal });
+        if (!response.ok) {
+            throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+        }
+
+        const data = await response.json();
+        return (data.models || []).map(model => ({
+            id: model.name,
+            size: model.size || null,
+            modifiedAt: model.modified_at || null,
+            details: model.details || {}
+        }));
+    }
+
+    // onDelta receives { content, thinking } pieces as they stream in
+    async streamChat(endpoint, { model, messages, settings = {}, signal = null, onDelta }) {
+        const options = this.getOptions(settings);
+        const response = await fetch(`${endpoint}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model, messages, stream: true, ...(Object.keys(options).length ? { options } : {}) }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to generate response');
+        }
+
+        await this.service.readJSONStream(response, (data) => {
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            if (data.message) {
+                onDelta({ content: data.message.content || '', thinking: data.message.thinking || '' });
+            }
+        });
+    }
+
+    async embed(endpoint, { model, text, signal = null }) {
+        const response = await fetch(`${endpoint}/api/embeddings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model, prompt: text }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Embedding failed (HTTP ${response.status})`);
+        }
+
+        const data = await response.json();
+        return data.embedding;
+    }
+
+    // Unset values are left out so the model's own Modelfile defaults apply
+    getOptions(settings) {
+        const options = {
+            temperature: settings.temperature,
+            top_p: settings.topP,
+            num_ctx: settings.contextLength,
+            num_predict: settings.maxTokens
+        };
+        return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== null && value !== undefined));
+    }
+}
+
+// OpenAICompatibleProvider Class - Handles local servers exposing /v1 (LM Studio, llama.cpp, vLLM)
+// No API key support on purpose: these are local servers, never cloud accounts
+class OpenAICompatibleProvider {
+    constructor(service) {
+        this.service = service;
+        this.id = 'openai';
+        this.name = 'OpenAI-compatible server';
+        this.defaultEndpoint = 'http://localhost:1234/v1';
+        this.canPullModels = false;
+        this.corsHint = 'Enable CORS in the server settings (LM Studio: "Enable CORS"; llama.cpp and vLLM allow it by default)';
+    }
+
+    getModelsUrl(endpoint) {
+        return `${endpoint}/models`;
+    }
+
+    async listModels(endpoint, { signal = null } = {}) {
+        const response = await fetch(this.getModelsUrl(endpoint), { method: 'GET', signal });
+        if (!response.ok) {
+            throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+        }
+
+        const data = await response.json();
+        return (data.data || []).map(model => ({
+            id: model.id,
+            size: null,
+            modifiedAt: model.created ? new Date(model.created * 1000).toISOString() : null,
+            details: {}
+        }));
+    }
+
+    // Streams server-sent events: "data: {...}" lines ending with "data: [DONE]"
+    async streamChat(endpoint, { model, messages, settings = {}, signal = null, onDelta }) {
+        const response = await fetch(`${endpoint}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model, messages, stream: true, ...this.getOptions(settings) }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to generate response');
+        }
+
+        await this.service.readLines(response, (line) => {
+            if (!line.startsWith('data:')) return;
+
+            const payload = line.substring('data:'.length).trim();
+            if (payload === '[DONE]') return;
+
+            const data = JSON.parse(payload);
+            if (data.error) {
+                throw new Error(data.error.message || data.error);
+            }
+
+            const delta = data.choices?.[0]?.delta;
+            if (delta) {
+                // llama.cpp and vLLM send reasoning separately as reasoning_content
+                onDelta({ content: delta.content || '', thinking: delta.reasoning_content || '' });
+            }
+        });
+    }
+
+    async embed(endpoint, { model, text, signal = null }) {
+        const response = await fetch(`${endpoint}/embeddings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model, input: text }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Embedding failed (HTTP ${response.status})`);
+        }
+
+        const data = await response.json();
+        return data.data?.[0]?.embedding;
+    }
+
+    // The context window is fixed when the server loads the model, so only these apply
+    getOptions(settings) {
+        const options = {
+            temperature: settings.temperature,
+            top_p: settings.topP,
+            max_tokens: settings.maxTokens
+        };
+        return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== null && value !== undefined));
+    }
+}
+
 // AI Service Class - Handles AI communication and status monitoring
 class AIService {
     constructor() {
         this.status = 'disconnected';
         this.capabilities = [];
-        this.ollamaEndpoint = 'http://localhost:11434';
+        this.providers = {
+            ollama: new OllamaProvider(this),
+            openai: new OpenAICompatibleProvider(this)
+        };
+        this.providerId = this.loadProviderId();
+        this.trustedHosts = this.loadTrustedHosts(); // Hosts the user confirmed are on their own network
+        this.endpoints = {
+            ollama: this.loadEndpoint('ollama'),
+            openai: this.loadEndpoint('openai')
+        };
+        this.remoteModels = []; // Model ids reported by the selected backend on the last check
+        this.installedModels = {}; // Same models keyed by id, with size, modifiedAt and details
+        this.lastError = null; // Detail behind the most recent failed status check
+        this.currentCheck = null;
+        this.pullAbortController = null; // Set while a model download is running
+        this.keepAlive = '30m'; // How long a warmed-up model stays in memory
+        this.pullProgress = null;
+        this.pullCallbacks = [];
         this.model = this.loadSelectedModel();
         this.statusCallbacks = [];
         this.isChecking = false;
+        this.historyCharBudget = 8000; // Earlier turns beyond this are dropped, oldest first
+        this.generationSettings = this.loadGenerationSettings(); // Overrides keyed by model id
+
+        // Allowed ranges for the AI settings panel; null means "use the model's default"
+        this.generationLimits = {
+            temperature: { min: 0, max: 2 },
+            topP: { min: 0, max: 1 },
+            contextLength: { min: 512, max: 262144, integer: true },
+            maxTokens: { min: 16, max: 32768, integer: true }
+        };
+
+        this.defaultSystemPrompt = `You are a reflection companion helping someone explore their journal entries. Be supportive but not overly empathetic. Focus on practical insights and healthy reflection.
+
+RESPONSE STRUCTURE (follow exactly):
+1. ACKNOWLEDGE (1-2 sentences): Mirror their question/desire to reflect
+2. OBSERVE (2-3 sentences): Brief summary of what you notice in their entries
+3. ANSWER (2-3 sentences): Direct response to their specific question
+4. INSIGHT (2-3 sentences): Additional perspective or pattern you notice
+5. REFLECT (1-2 sentences): Ask them to consider the insights provided
+
+IMPORTANT GUIDELINES:
+- Write in short paragraphs (2-3 sentences max)
+- Reference specific entries and cite them: "In your [#reference] entry..."
+- If negative emotions detected: acknowledge briefly, then redirect to positive actions
+- For harmful thoughts: encourage external support (trusted friend, family, professional help)
+- Suggest healthy activities: going outside, talking to someone, doing something enjoyable
+- Stay supportive but professional, not overly emotional
+- Focus on growth and self-awareness`;
+
+        // Weekly/monthly reviews - entries are condensed in chunks of this size so small contexts cope
+        this.reviewCharBudget = 6000;
+        this.reviewNotesPrompt = `You are condensing part of someone's journal for a periodic review. Each entry is labelled like [#a1b2c | date].
+
+Write short bullet-point notes covering: notable events, recurring themes or feelings, wins and progress, and unresolved questions or worries. Keep the entry reference on every note, e.g. "- Finished the draft [#a1b2c]". Do not add advice or anything that isn't in the text.`;
+        this.reviewDigestPrompt = `You are writing a periodic review of someone's journal from the notes or entries below. Entries are cited like [#a1b2c].
+
+Write in second person, warm but factual, using exactly these Markdown sections:
+## Highlights
+## Recurring themes
+## Wins
+## Open questions
+
+Use 2-5 short bullet points per section and cite entry references exactly as written, e.g. [#a1b2c]. Never invent references or events. If a section has nothing, write "- Nothing stood out this time."`;
+
+        // Entry title suggestions
+        this.titleMaxLength = 60;
+        this.titlePrompt = `Suggest a short title (2-6 words) for the journal entry the user sends. Capture its main subject in plain words, like a diary heading.
+
+Reply with the title only - no quotes, no punctuation at the end, no explanation.`;
 
         // Available models with descriptions - Latest and best options
         this.availableModels = {
@@ -685,63 +1283,238 @@ class AIService {
         };
     }
 
-    loadSelectedModel() {
+    get provider() {
+        return this.providers[this.providerId];
+    }
+
+    get endpoint() {
+        return this.endpoints[this.providerId];
+    }
+
+    loadProviderId() {
         try {
-            const saved = localStorage.getItem('selectedAIModel');
-            return saved || 'llama3.2:1b';
+            const saved = localStorage.getItem('aiProvider');
+            return this.providers[saved] ? saved : 'ollama';
         } catch (error) {
-            return 'llama3.2:1b';
+            return 'ollama';
         }
     }
 
-    async setModel(modelName) {
-        if (this.availableModels[modelName]) {
-            this.model = modelName;
-            localStorage.setItem('selectedAIModel', modelName);
-
-            // Show downloading status if model needs to be downloaded
-            this.updateStatus('downloading');
+    setProvider(providerId) {
+        if (!this.providers[providerId] || providerId === this.providerId) return;
 
-            try {
-                // Try to pull the model if it doesn't exist
-                await this.ensureModelExists(modelName);
-                // Re-check status with new model
-                await this.checkOllamaStatus();
+        this.providerId = providerId;
+        this.model = this.loadSelectedModel();
+        this.remoteModels = [];
+        this.installedModels = {};
+        try {
+            localStorage.setItem('aiProvider', providerId);
+        } catch (error) {
+            console.error('Failed to save AI provider:', error);
+        }
+    }
 
-                // Show success toast if connected
-                if (this.status === 'connected') {
-                    const model = this.getCurrentModel();
-                    // Find theme manager through window.journal
-                    if (window.journal && window.journal.themeManager) {
-                        window.journal.themeManager.showToast(`${model.name} ready!`, 'success', '✅');
-                    }
-                }
-            } catch (error) {
-                console.error('Error setting model:', error);
-                this.updateStatus('model-missing');
+    // A stored address gets the same check as a typed one, so an edited or imported value can't point elsewhere
+    loadEndpoint(providerId) {
+        const defaultEndpoint = this.providers[providerId].defaultEndpoint;
+        try {
+            const saved = localStorage.getItem(`${providerId}Endpoint`);
+            if (!saved) return defaultEndpoint;
 
-                // Show error toast
-                if (window.journal && window.journal.themeManager) {
-                    window.journal.themeManager.showToast('Model download failed', 'error', '❌');
-                }
+            const url = this.parseEndpoint(saved);
+            if (!this.isAllowedHost(url.hostname)) {
+                console.warn(`Ignoring saved AI endpoint ${saved} - it isn't a local or confirmed address`);
+                return defaultEndpoint;
             }
+            return saved;
+        } catch (error) {
+            return defaultEndpoint;
         }
     }
 
-    async ensureModelExists(modelName) {
+    loadTrustedHosts() {
         try {
-            // First check if model exists
-            const response = await fetch(`${this.ollamaEndpoint}/api/tags`, {
+            const saved = JSON.parse(localStorage.getItem('trustedAIHosts') || '[]');
+            return Array.isArray(saved) ? saved.filter(host => typeof host === 'string') : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    trustHost(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (this.trustedHosts.includes(host)) return;
+
+        this.trustedHosts.push(host);
+        try {
+            localStorage.setItem('trustedAIHosts', JSON.stringify(this.trustedHosts));
+        } catch (error) {
+            console.error('Failed to save trusted AI hosts:', error);
+        }
+    }
+
+    // Journal context must never leave the user's machine or home network
+    isLocalAddress(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+        if (host === 'localhost' || host === '::1' || !host.includes('.') && !host.includes(':')) return true;
+        if (/\.(local|lan|home|internal|localhost|home\.arpa|ts\.net)$/.test(host)) return true;
+        if (/^(127|10)\.\d+\.\d+\.\d+$/.test(host)) return true;
+        if (/^192\.168\.\d+\.\d+$/.test(host)) return true;
+        if (/^172\.(1[6-9]|2\d|3[01])\.\d+\.\d+$/.test(host)) return true;
+        if (/^169\.254\.\d+\.\d+$/.test(host)) return true; // Link-local
+        if (/^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\.\d+\.\d+$/.test(host)) return true; // Tailscale and other CGNAT
+        if (/^f[cd][0-9a-f]{2}:/.test(host) || /^fe[89ab][0-9a-f]:/.test(host)) return true;
+
+        return false;
+    }
+
+    // Other names (a reverse proxy on the user's own domain, say) are allowed once they confirm it
+    isAllowedHost(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        return this.isLocalAddress(host) || this.trustedHosts.includes(host);
+    }
+
+    // Accepts "host:port" shorthand; throws if it isn't an http(s) URL
+    parseEndpoint(endpoint) {
+        let value = endpoint.trim();
+        if (!/^[a-z]+:\/\//i.test(value)) {
+            value = `http://${value}`;
+        }
+
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            throw new Error('Enter a full address like http://192.168.1.20:11434');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('The address must start with http:// or https://');
+        }
+        return url;
+    }
+
+    // Throws with `untrustedHost` set when the address isn't known to be local; pass
+    // trustHost once the user has confirmed it's on their network
+    setEndpoint(endpoint, { trustHost = false } = {}) {
+        const defaultEndpoint = this.provider.defaultEndpoint;
+        const url = this.parseEndpoint(endpoint.trim() || defaultEndpoint);
+
+        if (!this.isAllowedHost(url.hostname)) {
+            if (!trustHost) {
+                throw Object.assign(
+                    new Error(`${url.hostname} isn't a recognised local address - your journal would be sent there`),
+                    { untrustedHost: url.hostname }
+                );
+            }
+            this.trustHost(url.hostname);
+        }
+
+        // Keep any reverse-proxy path, but never a trailing slash
+        const normalized = `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+        this.endpoints[this.providerId] = normalized;
+        try {
+            const storageKey = `${this.providerId}Endpoint`;
+            if (normalized === defaultEndpoint) {
+                localStorage.removeItem(storageKey);
+            } else {
+                localStorage.setItem(storageKey, normalized);
+            }
+        } catch (error) {
+            console.error('Failed to save AI endpoint:', error);
+        }
+
+        return normalized;
+    }
+
+    getModelStorageKey() {
+        // Ollama keeps the original key so existing selections survive
+        return this.providerId === 'ollama' ? 'selectedAIModel' : `${this.providerId}SelectedModel`;
+    }
+
+    loadSelectedModel() {
+        // OpenAI-compatible servers pick a model once their list has loaded
+        const fallback = this.providerId === 'ollama' ? 'llama3.2:1b' : '';
+        try {
+            const saved = localStorage.getItem(this.getModelStorageKey());
+            return saved || fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    async setModel(modelName) {
+        if (!this.provider.canPullModels) {
+            // Servers without a pull API can only use what they already serve
+            if (!this.remoteModels.includes(modelName)) return;
+
+            this.model = modelName;
+            localStorage.setItem(this.getModelStorageKey(), modelName);
+            await this.checkOllamaStatus();
+            return;
+        }
+
+        // Prefer the installed spelling ("mistral" -> "mistral:latest") so the picker highlights it
+        const installedId = this.remoteModels.find(id => this.normalizeModelTag(id) === this.normalizeModelTag(modelName));
+        if (installedId && !this.availableModels[modelName]) {
+            modelName = installedId;
+        }
+
+        // Any installed or pullable tag works, not just the curated ones
+        if (this.availableModels[modelName] || this.isValidModelTag(modelName)) {
+            this.model = modelName;
+            localStorage.setItem(this.getModelStorageKey(), modelName);
+
+            // Only one download at a time - switching models cancels the previous one
+            this.cancelPull();
+
+            // Show downloading status if model needs to be downloaded
+            this.updateStatus('downloading');
+
+            try {
+                // Try to pull the model if it doesn't exist
+                await this.ensureModelExists(modelName);
+                // Re-check status with new model
+                await this.checkOllamaStatus();
+
+                // Show success toast if connected
+                if (this.status === 'connected') {
+                    const model = this.getCurrentModel();
+                    // Find theme manager through window.journal
+                    if (window.journal && window.journal.themeManager) {
+                        window.journal.themeManager.showToast(`${model.name} ready!`, 'success', '✅');
+                    }
+                }
+            } catch (error) {
+                const cancelled = error.name === 'AbortError';
+                if (!cancelled) {
+                    console.error('Error setting model:', error);
+                }
+                this.updateStatus('model-missing');
+
+                // Show error toast
+                if (window.journal && window.journal.themeManager) {
+                    if (cancelled) {
+                        window.journal.themeManager.showToast(`Download of ${modelName} cancelled`, 'info', '⏹️');
+                    } else {
+                        window.journal.themeManager.showToast(`Model download failed: ${error.message}`, 'error', '❌');
+                    }
+                }
+            }
+        }
+    }
+
+    async ensureModelExists(modelName) {
+        try {
+            // First check if model exists
+            const response = await fetch(`${this.endpoint}/api/tags`, {
                 method: 'GET',
                 signal: AbortSignal.timeout(3000)
             });
 
             if (response.ok) {
                 const data = await response.json();
-                const hasModel = data.models?.some(model =>
-                    model.name.includes(modelName.split(':')[0]) &&
-                    model.name.includes(modelName.split(':')[1])
-                );
+                const hasModel = this.hasModel((data.models || []).map(model => model.name), modelName);
 
                 if (!hasModel) {
                     // Model doesn't exist, try to pull it
@@ -752,71 +1525,318 @@ class AIService {
                         window.journal.themeManager.showToast(`Downloading ${modelName}...`, 'info', '⬇️');
                     }
 
-                    const pullResponse = await fetch(`${this.ollamaEndpoint}/api/pull`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ name: modelName })
-                    });
+                    await this.pullModel(modelName);
+                    console.log(`Model downloaded: ${modelName}`);
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error ensuring model exists:', error);
+            }
+            throw error;
+        }
+    }
 
-                    if (!pullResponse.ok) {
-                        throw new Error(`Failed to download model: ${modelName}`);
-                    }
+    // Streams /api/pull progress; resolves once Ollama reports success
+    async pullModel(modelName) {
+        this.pullAbortController = new AbortController();
+        const layers = {}; // digest -> { total, completed }
+
+        try {
+            const response = await fetch(`${this.endpoint}/api/pull`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: modelName, stream: true }),
+                signal: this.pullAbortController.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Ollama refused to download ${modelName} (HTTP ${response.status})`);
+            }
 
-                    // Wait a bit for the download to start
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+            let succeeded = false;
+            await this.readJSONStream(response, (event) => {
+                if (event.error) {
+                    throw new Error(event.error);
+                }
 
-                    console.log(`Model download initiated: ${modelName}`);
+                // Each layer reports its own byte counts; sum them for the whole model
+                if (event.digest && event.total) {
+                    layers[event.digest] = { total: event.total, completed: event.completed || 0 };
                 }
+                const total = Object.values(layers).reduce((sum, layer) => sum + layer.total, 0);
+                const completed = Object.values(layers).reduce((sum, layer) => sum + layer.completed, 0);
+
+                succeeded = event.status === 'success';
+                this.updatePullProgress({
+                    modelName,
+                    status: event.status,
+                    total,
+                    completed,
+                    percent: total ? Math.floor((completed / total) * 100) : null
+                });
+            });
+
+            if (!succeeded) {
+                throw new Error('The download stopped before it finished');
             }
-        } catch (error) {
-            console.error('Error ensuring model exists:', error);
-            throw error;
+        } finally {
+            this.pullAbortController = null;
+            this.updatePullProgress(null);
+        }
+    }
+
+    cancelPull() {
+        if (this.pullAbortController) {
+            this.pullAbortController.abort();
+        }
+    }
+
+    isPulling() {
+        return this.pullAbortController !== null;
+    }
+
+    updatePullProgress(progress) {
+        this.pullProgress = progress;
+        this.pullCallbacks.forEach(callback => callback(progress));
+    }
+
+    onPullProgress(callback) {
+        this.pullCallbacks.push(callback);
+    }
+
+    async embed(text, modelName, { signal = null } = {}) {
+        const vector = await this.provider.embed(this.endpoint, { model: modelName, text, signal });
+        if (!Array.isArray(vector) || vector.length === 0) {
+            throw new Error(`${modelName} didn't return an embedding`);
+        }
+        return vector;
+    }
+
+    // Model management - Ollama only, like downloads
+    async showModel(modelName) {
+        const response = await fetch(`${this.endpoint}/api/show`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: modelName })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Couldn't read details for ${modelName} (HTTP ${response.status})`);
+        }
+
+        const data = await response.json();
+        const details = data.details || {};
+        const info = data.model_info || {};
+        // Context length is keyed by architecture, e.g. "llama.context_length"
+        const architecture = info['general.architecture'];
+
+        return {
+            family: details.family || architecture || null,
+            parameterSize: details.parameter_size || null,
+            quantization: details.quantization_level || null,
+            format: details.format || null,
+            contextLength: architecture ? info[`${architecture}.context_length`] || null : null,
+            capabilities: data.capabilities || [],
+            modifiedAt: data.modified_at || null
+        };
+    }
+
+    async deleteModel(modelName) {
+        if (this.isPulling()) {
+            throw new Error('Wait for the current download to finish first');
+        }
+
+        const response = await fetch(`${this.endpoint}/api/delete`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: modelName })
+        });
+
+        if (!response.ok) {
+            throw new Error(response.status === 404 ?
+                `${modelName} is not installed` :
+                `Couldn't delete ${modelName} (HTTP ${response.status})`);
+        }
+
+        this.remoteModels = this.remoteModels.filter(id => id !== modelName);
+        delete this.installedModels[modelName];
+
+        // Deleting the selected model leaves nothing to chat with until another is picked
+        if (this.hasModel([modelName], this.model)) {
+            await this.checkStatus();
+        }
+    }
+
+    // An empty generate request loads the model without producing any text
+    async preloadModel(modelName = this.model) {
+        const response = await fetch(`${this.endpoint}/api/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: modelName, keep_alive: this.keepAlive, stream: false })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Couldn't load ${modelName} (HTTP ${response.status})`);
         }
     }
 
+    // Ollama merges the curated list with what's installed; other servers offer whatever they have loaded
     getAvailableModels() {
-        return this.availableModels;
+        if (!this.provider.canPullModels) {
+            const models = {};
+            this.remoteModels.forEach(id => {
+                models[id] = {
+                    name: id,
+                    description: `Served by your ${this.provider.name}`,
+                    size: 'Local',
+                    speed: 'Loaded',
+                    category: 'Available',
+                    installed: true
+                };
+            });
+            return models;
+        }
+
+        const models = {};
+        Object.entries(this.availableModels).forEach(([id, model]) => {
+            const installed = this.findInstalledModel(id);
+            models[id] = {
+                ...model,
+                installed: !!installed,
+                sizeOnDisk: installed ? this.formatBytes(installed.size) : null
+            };
+        });
+
+        // Pulled models we don't describe ourselves (mistral, phi, custom Modelfiles...)
+        this.remoteModels.forEach(id => {
+            const alreadyListed = Object.keys(models).some(curatedId => this.normalizeModelTag(curatedId) === this.normalizeModelTag(id));
+            if (alreadyListed) return;
+
+            const installed = this.installedModels[id];
+            const details = [installed.details.family, installed.details.parameter_size].filter(Boolean).join(' • ');
+            models[id] = {
+                name: id,
+                description: details || 'Installed on this computer',
+                size: this.formatBytes(installed.size),
+                speed: '',
+                category: 'Installed',
+                installed: true,
+                sizeOnDisk: this.formatBytes(installed.size)
+            };
+        });
+
+        // Keep a typed-in tag visible even before it has been pulled
+        if (this.model && !models[this.model] && !this.findInstalledModel(this.model)) {
+            models[this.model] = {
+                name: this.model,
+                description: 'Not downloaded yet',
+                size: '',
+                speed: '',
+                category: 'Installed',
+                installed: false,
+                sizeOnDisk: null
+            };
+        }
+
+        return models;
+    }
+
+    // Ollama treats "mistral" and "mistral:latest" as the same model
+    normalizeModelTag(tag) {
+        const trimmed = tag.trim().toLowerCase();
+        return trimmed.includes(':') ? trimmed : `${trimmed}:latest`;
+    }
+
+    findInstalledModel(tag) {
+        const normalized = this.normalizeModelTag(tag);
+        const id = this.remoteModels.find(remoteId => this.normalizeModelTag(remoteId) === normalized);
+        return id ? this.installedModels[id] : null;
+    }
+
+    // Ollama model names: optional namespace/, name, optional :tag
+    isValidModelTag(tag) {
+        return /^[a-z0-9][a-z0-9._-]*(\/[a-z0-9][a-z0-9._-]*)*(:[a-z0-9][a-z0-9._-]*)?$/i.test(tag.trim());
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        const value = bytes / Math.pow(1024, exponent);
+        return `${value >= 10 || exponent === 0 ? Math.round(value) : value.toFixed(1)}${units[exponent]}`;
     }
 
     getCurrentModel() {
         return {
             id: this.model,
-            ...this.availableModels[this.model]
+            name: this.model || 'No model selected',
+            ...this.getAvailableModels()[this.model]
         };
     }
 
-    async checkOllamaStatus() {
+    hasModel(modelNames, modelName) {
+        if (!this.provider.canPullModels) {
+            return modelNames.includes(modelName);
+        }
+
+        const wanted = this.normalizeModelTag(modelName);
+        return modelNames.some(name => this.normalizeModelTag(name) === wanted);
+    }
+
+    // Provider-neutral name for the status check below
+    checkStatus() {
+        return this.checkOllamaStatus();
+    }
+
+    // Overlapping calls share the check already in flight
+    checkOllamaStatus() {
+        if (!this.currentCheck) {
+            this.currentCheck = this.runStatusCheck().finally(() => {
+                this.currentCheck = null;
+            });
+        }
+        return this.currentCheck;
+    }
+
+    async runStatusCheck() {
         if (this.isChecking) return this.status;
 
+        // The model list is in flux mid-download; keep showing the download instead
+        if (this.isPulling()) return this.status;
+
         this.isChecking = true;
         this.updateStatus('checking');
 
         try {
-            // Check if Ollama is running
-            const response = await fetch(`${this.ollamaEndpoint}/api/tags`, {
-                method: 'GET',
+            // Check the selected backend is running and which models it has
+            const models = await this.provider.listModels(this.endpoint, {
                 signal: AbortSignal.timeout(3000)
             });
+            this.remoteModels = models.map(model => model.id);
+            this.installedModels = Object.fromEntries(models.map(model => [model.id, model]));
 
-            if (response.ok) {
-                const data = await response.json();
-                const hasModel = data.models?.some(model =>
-                    model.name.includes(this.model.split(':')[0]) &&
-                    model.name.includes(this.model.split(':')[1])
-                );
+            // A server without a pull API just uses the first model it has loaded
+            if (!this.provider.canPullModels && !this.remoteModels.includes(this.model) && this.remoteModels.length > 0) {
+                this.model = this.remoteModels[0];
+            }
 
-                if (hasModel) {
-                    this.updateStatus('connected');
-                    this.capabilities = ['Chat with AI', 'Explore Patterns', 'Reflect on Entries'];
-                } else {
-                    this.updateStatus('model-missing');
-                }
+            this.lastError = null;
+            if (this.hasModel(this.remoteModels, this.model)) {
+                this.updateStatus('connected');
+                this.capabilities = ['Chat with AI', 'Explore Patterns', 'Reflect on Entries'];
             } else {
-                this.updateStatus('disconnected');
+                this.updateStatus('model-missing');
             }
         } catch (error) {
-            if (error.name === 'AbortError') {
+            this.lastError = error.message;
+            if (error.status) {
+                this.updateStatus(error.status === 404 ? 'not-found' : 'disconnected');
+            } else if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+                // AbortSignal.timeout() rejects with TimeoutError; older browsers report AbortError
                 this.updateStatus('timeout');
+            } else if (await this.isBlockedByCors()) {
+                this.updateStatus('cors-blocked');
             } else {
                 this.updateStatus('not-installed');
             }
@@ -826,6 +1846,46 @@ class AIService {
         return this.status;
     }
 
+    // Browsers report CORS rejections and unreachable servers as the same TypeError.
+    // An opaque no-cors request only succeeds if something is actually listening.
+    async isBlockedByCors() {
+        try {
+            await fetch(this.provider.getModelsUrl(this.endpoint), {
+                method: 'GET',
+                mode: 'no-cors',
+                signal: AbortSignal.timeout(3000)
+            });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Plain-language explanation of the current status for the connection settings
+    getStatusDetail(status = this.status) {
+        const endpoint = this.endpoint;
+        const providerName = this.provider.name;
+
+        switch (status) {
+            case 'connected':
+                return `Connected to ${providerName} at ${endpoint}`;
+            case 'model-missing':
+                return this.provider.canPullModels ?
+                    `Connected to ${endpoint}, but ${this.model} isn't downloaded yet` :
+                    `Connected to ${endpoint}, but no model is loaded - load one in your server first`;
+            case 'timeout':
+                return `${endpoint} didn't answer within 3 seconds - check the address and that the machine is awake`;
+            case 'cors-blocked':
+                return `${providerName} is running at ${endpoint} but blocked this page (CORS). ${this.provider.corsHint}`;
+            case 'not-found':
+                return `${endpoint} answered, but not with the ${providerName} API (HTTP 404) - check the port or path`;
+            case 'not-installed':
+                return `Couldn't reach ${endpoint} - is ${providerName} running?`;
+            default:
+                return `Unexpected response from ${endpoint}${this.lastError ? ` (${this.lastError})` : ''}`;
+        }
+    }
+
     updateStatus(status) {
         this.status = status;
         this.statusCallbacks.forEach(callback => callback(status));
@@ -854,6 +1914,22 @@ class AIService {
                         indicator.className = 'status-indicator checking';
                         text.textContent = 'AI: Checking...';
                         break;
+                    case 'timeout':
+                        indicator.className = 'status-indicator disconnected';
+                        text.textContent = 'AI: Connection Timeout';
+                        break;
+                    case 'not-installed':
+                        indicator.className = 'status-indicator disconnected';
+                        text.textContent = this.providerId === 'ollama' ? 'AI: Ollama Not Found' : 'AI: Server Not Found';
+                        break;
+                    case 'cors-blocked':
+                        indicator.className = 'status-indicator warning';
+                        text.textContent = 'AI: Blocked by CORS';
+                        break;
+                    case 'not-found':
+                        indicator.className = 'status-indicator warning';
+                        text.textContent = 'AI: Wrong Endpoint';
+                        break;
                     default:
                         indicator.className = 'status-indicator disconnected';
                         text.textContent = 'AI: Disconnected';
@@ -870,81 +1946,399 @@ class AIService {
 
     // Entry title generation removed - focusing on chat-based AI interaction
 
-    async chatWithEntries(query, entries, currentEntryId = null) {
+    // Generation settings - saved per model since good values differ between models
+    loadGenerationSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('aiGenerationSettings')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    getGenerationSettings(modelName = this.model) {
+        return {
+            temperature: null,
+            topP: null,
+            contextLength: null,
+            maxTokens: null,
+            systemPrompt: null,
+            ...this.generationSettings[modelName]
+        };
+    }
+
+    // Out-of-range numbers are clamped; blanks and the default prompt are stored as null
+    normalizeGenerationSettings(settings) {
+        const normalized = {};
+
+        Object.entries(this.generationLimits).forEach(([key, limit]) => {
+            const raw = settings[key];
+            let value = raw === '' || raw === null || raw === undefined ? NaN : Number(raw);
+            if (isNaN(value)) {
+                normalized[key] = null;
+                return;
+            }
+            value = Math.min(limit.max, Math.max(limit.min, value));
+            normalized[key] = limit.integer ? Math.round(value) : value;
+        });
+
+        const prompt = (settings.systemPrompt || '').trim();
+        normalized.systemPrompt = prompt && prompt !== this.defaultSystemPrompt ? prompt : null;
+
+        return normalized;
+    }
+
+    saveGenerationSettings(settings, modelName = this.model) {
+        const normalized = this.normalizeGenerationSettings(settings);
+
+        if (Object.values(normalized).every(value => value === null)) {
+            delete this.generationSettings[modelName];
+        } else {
+            this.generationSettings[modelName] = normalized;
+        }
+
+        try {
+            localStorage.setItem('aiGenerationSettings', JSON.stringify(this.generationSettings));
+        } catch (error) {
+            console.error('Failed to save AI settings:', error);
+        }
+
+        return this.getGenerationSettings(modelName);
+    }
+
+    resetGenerationSettings(modelName = this.model) {
+        return this.saveGenerationSettings({}, modelName);
+    }
+
+    // Streams the reply token by token; onToken receives the text so far.
+    // history holds the earlier { role, content } turns of this conversation.
+    // onSources receives [{ id, ref }] for every entry whose text is sent to the model
+    // `scopeLabel` describes a chat scope narrower than the whole journal, e.g. "Last 7 days"
+    async chatWithEntries(query, entries, currentEntryId = null, { onToken = null, onSources = null, signal = null, history = [], persona = null, passages = null, scopeLabel = null } = {}) {
         if (this.status !== 'connected') {
             throw new Error('AI service not available');
         }
 
+        const currentEntry = currentEntryId ? entries.find(e => e.id === currentEntryId) : null;
+        const onlyCurrentEntry = currentEntry && entries.length === 1;
+
         // Smart context creation that includes all entries but manages size
-        const allEntriesContext = this.createSmartContext(query, entries);
+        const sources = [];
+        const allEntriesContext = onlyCurrentEntry ?
+            'They chose to discuss only the entry below.' :
+            this.createSmartContext(query, entries, passages, sources, scopeLabel);
 
         // Add current entry context if available
         let currentEntryContext = '';
-        if (currentEntryId) {
-            const currentEntry = entries.find(e => e.id === currentEntryId);
-            if (currentEntry) {
-                const date = new Date(currentEntry.date).toLocaleDateString();
-                currentEntryContext = `\n\nCURRENT ENTRY (what they're viewing now):\n[${date}] ${currentEntry.content}`;
-            }
+        if (currentEntry) {
+            currentEntryContext = `\n\nCURRENT ENTRY (what they're viewing now):\n${this.labelEntry(currentEntry, sources)} ${currentEntry.content}`;
         }
 
-        const prompt = `You are a reflection companion helping someone explore their journal entries. Be supportive but not overly empathetic. Focus on practical insights and healthy reflection.
+        if (onSources) onSources(sources);
+
+        // Personas bring their own instructions; the companion uses the AI settings prompt
+        const settings = this.getGenerationSettings();
+        const instructions = persona && persona.prompt ? persona.prompt : settings.systemPrompt || this.defaultSystemPrompt;
+        const responseFormat = persona && persona.format ? `\n\nRESPONSE FORMAT (follow exactly):\n${persona.format}` : '';
+
+        const systemPrompt = `${instructions}
 
 ${allEntriesContext}${currentEntryContext}
 
-Their question: ${query}
+Each entry above is labelled like [#a1b2c | date]. When you mention an entry, cite its reference exactly as written, e.g. [#a1b2c], and never make one up.
 
-RESPONSE STRUCTURE (follow exactly):
-1. ACKNOWLEDGE (1-2 sentences): Mirror their question/desire to reflect
-2. OBSERVE (2-3 sentences): Brief summary of what you notice in their entries
-3. ANSWER (2-3 sentences): Direct response to their specific question
-4. INSIGHT (2-3 sentences): Additional perspective or pattern you notice
-5. REFLECT (1-2 sentences): Ask them to consider the insights provided
+This is an ongoing conversation - use the earlier messages to understand follow-up questions.${responseFormat}`;
 
-IMPORTANT GUIDELINES:
-- Write in short paragraphs (2-3 sentences max)
-- Reference specific entries: "In your [date] entry..."
-- If negative emotions detected: acknowledge briefly, then redirect to positive actions
-- For harmful thoughts: encourage external support (trusted friend, family, professional help)
-- Suggest healthy activities: going outside, talking to someone, doing something enjoyable
-- Stay supportive but professional, not overly emotional
-- Focus on growth and self-awareness
+        const messages = [
+            { role: 'system', content: systemPrompt },
+            ...this.trimHistory(history).map(({ role, content }) => ({ role, content })),
+            { role: 'user', content: query }
+        ];
 
-Your structured response:`;
+        // Newer servers send reasoning in a separate field; fold it back into <think>
+        // tags so every model's reasoning is handled by parseReasoning()
+        let thinking = '';
+        let content = '';
+        const combined = () => (thinking ? `<think>${thinking}${content ? '</think>' : ''}` : '') + content;
+
+        await this.provider.streamChat(this.endpoint, {
+            model: this.model,
+            messages: messages,
+            settings,
+            signal,
+            onDelta: (delta) => {
+                if (!delta.thinking && !delta.content) return;
+                thinking += delta.thinking;
+                content += delta.content;
+                if (onToken) onToken(combined());
+            }
+        });
 
-        const response = await fetch(`${this.ollamaEndpoint}/api/generate`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: this.model,
-                prompt: prompt,
-                stream: false
-            })
+        return combined().trim();
+    }
+
+    // Runs a one-off prompt and returns the answer with any reasoning stripped
+    async complete(messages, { signal = null } = {}) {
+        let text = '';
+        await this.provider.streamChat(this.endpoint, {
+            model: this.model,
+            messages,
+            settings: this.getGenerationSettings(),
+            signal,
+            onDelta: (delta) => {
+                text += delta.content;
+            }
         });
+        return this.parseReasoning(text).answer;
+    }
 
-        if (!response.ok) {
-            throw new Error('Failed to generate response');
+    // Splits labelled entry texts into batches that each fit the character budget.
+    // An entry longer than the budget is cut rather than sent on its own.
+    batchForContext(texts, budget = this.reviewCharBudget) {
+        const batches = [];
+        let batch = [];
+        let used = 0;
+
+        texts.forEach(text => {
+            const piece = text.length > budget ? text.substring(0, budget) + '...' : text;
+            if (batch.length > 0 && used + piece.length > budget) {
+                batches.push(batch);
+                batch = [];
+                used = 0;
+            }
+            batch.push(piece);
+            used += piece.length;
+        });
+
+        if (batch.length > 0) batches.push(batch);
+        return batches;
+    }
+
+    // Map-reduce digest of a period: each batch of entries is condensed into notes, notes are
+    // merged until they fit one prompt, then written up. Keeps small context windows usable.
+    // onProgress receives { stage: 'reading' | 'merging' | 'writing', done, total }.
+    async createReviewDigest(entries, periodLabel, { signal = null, onProgress = null } = {}) {
+        if (this.status !== 'connected') {
+            throw new Error('AI service not available');
+        }
+        if (entries.length === 0) {
+            throw new Error(`No entries in ${periodLabel}`);
         }
 
-        const data = await response.json();
-        return data.response.trim();
+        const sources = [];
+        const texts = [...entries]
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .map(entry => `${this.labelEntry(entry, sources)} ${entry.content.trim()}`);
+
+        let batches = this.batchForContext(texts);
+
+        // Map: condense each batch, unless everything already fits in one prompt
+        if (batches.length > 1) {
+            const notes = [];
+            for (let i = 0; i < batches.length; i++) {
+                if (onProgress) onProgress({ stage: 'reading', done: i, total: batches.length });
+                notes.push(await this.complete([
+                    { role: 'system', content: this.reviewNotesPrompt },
+                    { role: 'user', content: batches[i].join('\n\n') }
+                ], { signal }));
+            }
+
+            // Reduce: merge notes until they fit, giving up on merging once it stops shrinking
+            batches = this.batchForContext(notes);
+            while (batches.length > 1) {
+                const merged = [];
+                for (let i = 0; i < batches.length; i++) {
+                    if (onProgress) onProgress({ stage: 'merging', done: i, total: batches.length });
+                    merged.push(await this.complete([
+                        { role: 'system', content: `${this.reviewNotesPrompt}\n\nThe text below is already notes on earlier parts of the period - merge them.` },
+                        { role: 'user', content: batches[i].join('\n\n') }
+                    ], { signal }));
+                }
+
+                const next = this.batchForContext(merged);
+                if (next.length >= batches.length) {
+                    batches = [merged];
+                    break;
+                }
+                batches = next;
+            }
+        }
+
+        if (onProgress) onProgress({ stage: 'writing', done: 0, total: 1 });
+        const digest = await this.complete([
+            { role: 'system', content: `${this.reviewDigestPrompt}\n\nThe period is: ${periodLabel}.` },
+            { role: 'user', content: batches[0].join('\n\n') }
+        ], { signal });
+
+        if (!digest) {
+            throw new Error(`${this.getCurrentModel().name} returned an empty review`);
+        }
+
+        return { digest, sources };
+    }
+
+    // Short title for an entry - only a suggestion, the user accepts, edits or rejects it
+    async suggestTitle(entry, { signal = null } = {}) {
+        if (this.status !== 'connected') {
+            throw new Error('AI service not available');
+        }
+
+        const text = entry.content.trim();
+        const answer = await this.complete([
+            { role: 'system', content: this.titlePrompt },
+            { role: 'user', content: text.length > this.reviewCharBudget ? text.substring(0, this.reviewCharBudget) + '...' : text }
+        ], { signal });
+
+        const title = this.cleanTitle(answer);
+        if (!title) {
+            throw new Error(`${this.getCurrentModel().name} didn't suggest a title`);
+        }
+        return title;
+    }
+
+    // Small models like to wrap titles in quotes, markdown or a "Title:" label
+    cleanTitle(text) {
+        const line = text.split('\n').map(part => part.trim()).find(Boolean) || '';
+        const title = line
+            .replace(/^(#+|\*+|-)\s*/, '')
+            .replace(/^title\s*:\s*/i, '')
+            .replace(/^["'“‘*_]+|["'”’*_]+$/g, '')
+            .replace(/[.。]+$/, '')
+            .trim();
+        return title.length > this.titleMaxLength ? title.substring(0, this.titleMaxLength).trim() + '…' : title;
+    }
+
+    // Splits a (possibly still streaming) response into reasoning and answer.
+    // `reasoningOpen` is true while a <think> block hasn't been closed yet.
+    parseReasoning(text) {
+        const reasoning = [];
+        let answer = text.replace(/<think>([\s\S]*?)<\/think>/g, (match, thought) => {
+            reasoning.push(thought.trim());
+            return '';
+        });
+
+        let reasoningOpen = false;
+        const openIndex = answer.indexOf('<think>');
+        const closeIndex = answer.indexOf('</think>');
+        if (openIndex !== -1) {
+            reasoning.push(answer.substring(openIndex + '<think>'.length).trim());
+            answer = answer.substring(0, openIndex);
+            reasoningOpen = true;
+        } else if (closeIndex !== -1) {
+            // Some chat templates put the opening tag in the prompt, so only the closing tag arrives
+            reasoning.unshift(answer.substring(0, closeIndex).trim());
+            answer = answer.substring(closeIndex + '</think>'.length);
+        }
+
+        return {
+            reasoning: reasoning.filter(Boolean).join('\n\n'),
+            answer: answer.trim(),
+            reasoningOpen
+        };
+    }
+
+    // Keeps the most recent messages that fit the budget, starting from a question
+    trimHistory(history, budget = this.historyCharBudget) {
+        const kept = [];
+        let used = 0;
+
+        // Imported conversations don't always alternate, so count messages rather than pairs
+        for (let i = history.length - 1; i >= 0; i--) {
+            const size = history[i].content.length;
+            if (used + size > budget) break;
+
+            kept.unshift(history[i]);
+            used += size;
+        }
+
+        // Start on a question so a reply is never sent without what prompted it
+        while (kept.length > 0 && kept[0].role !== 'user') {
+            kept.shift();
+        }
+        return kept;
+    }
+
+    // Ollama streams newline-delimited JSON
+    readJSONStream(response, onChunk) {
+        return this.readLines(response, line => onChunk(JSON.parse(line)));
+    }
+
+    // Calls onLine for each non-empty line of a streamed body; a chunk may end mid-line
+    async readLines(response, onLine) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (line.trim()) {
+                    onLine(line.trim());
+                }
+            }
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) {
+            onLine(buffer.trim());
+        }
+    }
+
+    // Short reference derived from the entry id, so an entry is cited the same way in every answer
+    getEntryReference(entryId) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < entryId.length; i++) {
+            hash ^= entryId.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `#${(hash >>> 0).toString(36).padStart(5, '0').slice(-5)}`;
+    }
+
+    // Labels an entry for the prompt and records it as a source the model was shown
+    labelEntry(entry, sources) {
+        const ref = this.getEntryReference(entry.id);
+        if (!sources.some(source => source.id === entry.id)) {
+            sources.push({ id: entry.id, ref });
+        }
+        return `[${ref} | ${new Date(entry.createdAt).toLocaleDateString()}]`;
     }
 
-    createSmartContext(query, entries) {
+    // `passages` come from EmbeddingIndex.retrieve(); entries they don't cover fall back to keywords.
+    // Every entry whose text is included is added to `sources`.
+    createSmartContext(query, entries, passages = null, sources = [], scopeLabel = null) {
         if (entries.length === 0) {
-            return "No journal entries found.";
+            return scopeLabel ? `No journal entries in the chosen scope (${scopeLabel}).` : "No journal entries found.";
         }
 
         // Create a comprehensive but manageable context
-        let context = `COMPLETE JOURNAL HISTORY (${entries.length} total entries):\n\n`;
+        let context = scopeLabel ?
+            `JOURNAL ENTRIES IN SCOPE - ${scopeLabel} (${entries.length} entries; they chose to discuss only these):\n\n` :
+            `COMPLETE JOURNAL HISTORY (${entries.length} total entries):\n\n`;
+
+        // Order by when each entry was written so "recent" and cited dates match the journal
+        entries = [...entries].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
         // For queries about specific topics, try to find relevant entries
         const queryLower = query.toLowerCase();
         const relevantEntries = [];
         const otherEntries = [];
 
-        // Categorize entries based on relevance to the query
-        entries.forEach(entry => {
+        // Semantic matches are already chunked to a manageable size, so include them whole
+        const retrievedIds = new Set((passages || []).map(passage => passage.entry.id));
+        if (passages && passages.length > 0) {
+            context += "MOST RELEVANT PASSAGES:\n";
+            passages.forEach(passage => {
+                context += `${this.labelEntry(passage.entry, sources)} ${passage.text.trim()}\n\n`;
+            });
+        }
+
+        // Categorize the rest by keywords - only part of the journal may be indexed yet
+        entries.filter(entry => !retrievedIds.has(entry.id)).forEach(entry => {
             const contentLower = entry.content.toLowerCase();
             const isRelevant = this.isEntryRelevant(queryLower, contentLower);
 
@@ -959,11 +2353,10 @@ Your structured response:`;
         if (relevantEntries.length > 0) {
             context += "MOST RELEVANT ENTRIES:\n";
             relevantEntries.forEach(entry => {
-                const date = new Date(entry.date).toLocaleDateString();
                 const preview = entry.content.length > 500 ?
                     entry.content.substring(0, 500) + '...' :
                     entry.content;
-                context += `[${date}] ${preview}\n\n`;
+                context += `${this.labelEntry(entry, sources)} ${preview}\n\n`;
             });
         }
 
@@ -972,9 +2365,8 @@ Your structured response:`;
         if (recentEntries.length > 0) {
             context += "RECENT ENTRIES:\n";
             recentEntries.forEach(entry => {
-                const date = new Date(entry.date).toLocaleDateString();
                 const preview = entry.content.substring(0, 300);
-                context += `[${date}] ${preview}${entry.content.length > 300 ? '...' : ''}\n\n`;
+                context += `${this.labelEntry(entry, sources)} ${preview}${entry.content.length > 300 ? '...' : ''}\n\n`;
             });
         }
 
@@ -1012,7 +2404,7 @@ Your structured response:`;
         const groups = {};
 
         entries.forEach(entry => {
-            const date = new Date(entry.date);
+            const date = new Date(entry.createdAt);
             const monthKey = date.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
 
             if (!groups[monthKey]) {
@@ -1104,852 +2496,4588 @@ class PrivacyAnalytics {
     }
 }
 
-// Simple Journal App - Extracted JavaScript
-class SimpleJournal {
+// Encryption Manager Class - Handles passphrase-derived keys and AES-GCM encryption at rest
+class EncryptionManager {
     constructor() {
-        this.entries = this.loadEntries();
-        this.currentEntryId = null;
-        this.saveTimeout = null;
-        this.typingTimeout = null;
-        this.timeUpdateInterval = null;
-        this.lastSavedTimestamp = null;
-        this.sidebarManager = null; // Will be initialized in setupElements
-        this.aiService = new AIService();
-        this.themeManager = new ThemeManager();
-        this.analytics = new PrivacyAnalytics();
-        this.templateManager = new TemplateManager(this); // Initialize template manager
-        this.currentFilter = 'all'; // 'all' or 'templates'
-        this.isTemplateContent = false; // Track if current content is from template
-        this.templateContentOriginal = null; // Store original template content
-        
-        // Set up analytics callbacks
-        this.themeManager.onThemeChange = (theme, mode) => {
-            this.analytics.trackThemeChange(theme, mode);
-        };
-        
-        this.aiService.onStatusChange((status) => {
-            this.analytics.trackAIStatus(status);
-        });
-        this.chatInterface = null;
+        this.settingsKey = 'journalLockSettings';
+        this.iterations = 600000;
+        this.verifierText = 'wobbly-wonders-lock';
+        this.key = null;
+        this.settings = this.loadSettings();
+    }
 
-        this.init();
+    isSupported() {
+        return !!(window.crypto && window.crypto.subtle);
     }
 
-    init() {
-        console.log('🚀 Starting Simple Journal...');
+    isEnabled() {
+        return this.settings !== null && this.settings.enabled === true;
+    }
 
-        // Add loading class to body
-        document.body.classList.add('loading');
+    isUnlocked() {
+        return this.key !== null;
+    }
 
-        this.setupElements();
-        this.setupEventListeners();
-        this.renderEntries();
-        this.updateWordCount();
+    getIdleMinutes() {
+        return this.settings?.idleMinutes || 15;
+    }
 
-        // Initialize AI service
-        this.initializeAIService();
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.settingsKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('Failed to load lock settings:', error);
+            return null;
+        }
+    }
 
-        // Welcome overlay removed - cleaner startup
+    saveSettings(settings) {
+        this.settings = settings;
+        if (settings) {
+            localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+        } else {
+            localStorage.removeItem(this.settingsKey);
+        }
+    }
 
-        // Remove loading class after a short delay
-        setTimeout(() => {
-            document.body.classList.remove('loading');
-        }, 200);
+    setIdleMinutes(minutes) {
+        if (!this.settings) return;
+        this.saveSettings({ ...this.settings, idleMinutes: minutes });
+    }
 
-        console.log('✅ Simple Journal ready!');
+    async deriveKey(passphrase, saltBase64, iterations = this.iterations) {
+        const encoder = new TextEncoder();
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: this.base64ToBytes(saltBase64), iterations: iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
     }
 
-    setupElements() {
-        // Core elements
-        this.textarea = document.getElementById('journalEntry');
-        this.wordCount = document.getElementById('wordCount');
-        this.entryList = document.getElementById('entryList');
-        this.searchInput = document.getElementById('searchInput');
-        // Welcome overlay removed - no longer needed
-        this.writingContainer = document.querySelector('.writing-container');
+    // Builds fresh settings (new salt and verifier) for a passphrase without applying them
+    async createLockSettings(passphrase) {
+        const salt = this.bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const key = await this.deriveKey(passphrase, salt);
+        const verifier = await this.encryptWithKey(key, this.verifierText);
 
-        // Autosave elements
-        this.autosaveDot = document.getElementById('autosaveDot');
-        this.autosaveStatus = document.getElementById('autosaveStatus');
-        this.lastSavedTime = document.getElementById('lastSavedTime');
+        return {
+            key,
+            settings: {
+                enabled: true,
+                salt: salt,
+                iterations: this.iterations,
+                verifier: verifier,
+                idleMinutes: this.getIdleMinutes()
+            }
+        };
+    }
 
-        // Initialize enhanced sidebar management - get elements fresh
-        setTimeout(() => {
-            this.leftToggle = document.getElementById('leftToggle');
-            this.rightToggle = document.getElementById('rightToggle');
+    async unlock(passphrase) {
+        if (!this.isEnabled()) return true;
 
-            console.log('Fresh element lookup:', {
-                leftToggle: this.leftToggle,
-                rightToggle: this.rightToggle,
-                leftToggleId: this.leftToggle?.id,
-                rightToggleId: this.rightToggle?.id
-            });
+        const key = await this.checkPassphrase(passphrase);
+        if (!key) return false;
 
-            if (this.leftToggle && this.rightToggle) {
-                this.sidebarManager = new SidebarManager(this.leftToggle, this.rightToggle, this.analytics);
-                console.log('SidebarManager created successfully:', this.sidebarManager);
-            } else {
-                console.error('Toggle buttons not found!');
-            }
-        }, 100);
+        this.key = key;
+        return true;
+    }
 
-        // Buttons
-        this.newBtn = document.getElementById('newBtn');
-        this.templateDropdownBtn = document.getElementById('templateDropdownBtn');
-        this.newEntryDropdown = document.getElementById('newEntryDropdown');
-        this.floatingNewBtn = document.getElementById('floatingNewBtn');
-        
-        // Debug: Check if template dropdown button exists
-        if (!this.templateDropdownBtn) {
-            console.error('Template dropdown button not found!');
-        } else {
-            console.log('Template dropdown button found:', this.templateDropdownBtn);
+    // Returns the derived key when the passphrase is correct, otherwise null
+    async checkPassphrase(passphrase) {
+        try {
+            const key = await this.deriveKey(passphrase, this.settings.salt, this.settings.iterations);
+            const verified = await this.decryptWithKey(key, this.settings.verifier);
+            return verified === this.verifierText ? key : null;
+        } catch (error) {
+            // AES-GCM authentication fails on a wrong passphrase
+            return null;
         }
-        this.exportBtn = document.getElementById('exportBtn');
-        this.importBtn = document.getElementById('importBtn');
-        this.importFile = document.getElementById('importFile');
-        this.aiChatBtn = document.getElementById('aiChatBtn');
-        this.aiStatus = document.getElementById('aiStatus');
-        this.aiCapabilities = document.getElementById('aiCapabilities');
+    }
 
-        // Template filter elements
-        this.filterTabs = document.querySelectorAll('.filter-tab');
-        this.templateCount = document.getElementById('templateCount');
+    lock() {
+        this.key = null;
+    }
 
-        // Template management elements
-        this.templateManagement = document.getElementById('templateManagement');
-        this.templateCountText = document.getElementById('templateCountText');
-        this.templateListContainer = document.getElementById('templateListContainer');
+    async encryptJSON(value) {
+        if (!this.key) throw new Error('Journal is locked');
+        return this.encryptWithKey(this.key, JSON.stringify(value));
+    }
 
-        // Entry summary elements removed - no longer using summarization
+    async decryptJSON(payload) {
+        if (!this.key) throw new Error('Journal is locked');
+        return JSON.parse(await this.decryptWithKey(this.key, payload));
+    }
 
-        // Floating chat interface elements
-        this.floatingAIChat = document.getElementById('floatingAIChat');
-        this.chatMessages = document.getElementById('chatMessages');
-        this.chatInput = document.getElementById('chatInput');
-        this.chatSendBtn = document.getElementById('chatSendBtn');
-        this.chatCloseBtn = document.getElementById('chatCloseBtn');
-        this.chatActions = document.getElementById('chatActions');
-        this.createReflectionBtn = document.getElementById('createReflectionBtn');
+    async encryptWithKey(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(text));
+        return { iv: this.bytesToBase64(iv), data: this.bytesToBase64(new Uint8Array(data)) };
+    }
 
-        // Test panel button
-        this.testToggleBtn = document.getElementById('testToggleBtn');
+    async decryptWithKey(key, payload) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(payload.iv) },
+            key,
+            this.base64ToBytes(payload.data)
+        );
+        return new TextDecoder().decode(data);
+    }
 
-        // Initialize theme UI
-        this.themeManager.initializeUI();
+    bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
 
-        // Initialize AI model selector
-        this.initializeModelSelector();
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
 
-        // Initialize template dropdown
-        this.initializeTemplateDropdown();
+// Entry Repository Class - Handles per-entry persistence in IndexedDB
+class EntryRepository {
+    constructor() {
+        this.dbName = 'wobblyWondersJournal';
+        this.dbVersion = 4;
+        this.storeName = 'entries';
+        this.chatStoreName = 'chatSessions';
+        this.embeddingStoreName = 'embeddings';
+        this.legacyStorageKey = 'simpleJournalEntries';
+        this.db = null;
+        this.entries = []; // In-memory cache, newest first
+        this.errorCallbacks = [];
+        this.changeCallbacks = []; // Notified with (savedEntries, deletedIds) on every content change
+        this.cipher = null; // EncryptionManager while the journal lock is on and unlocked
+        this.writeQueue = Promise.resolve(); // Keeps async (encrypted) writes in order
+        this.migrationError = null; // Set when legacy localStorage entries couldn't be moved over
     }
 
-    setupEventListeners() {
-        // Welcome overlay removed - no longer needed
+    setCipher(cipher) {
+        this.cipher = cipher;
+    }
 
-        // Focus textarea on main content click
-        document.querySelector('.main-content').addEventListener('click', () => {
-            this.textarea.focus();
-        });
+    async load() {
+        try {
+            this.db = this.db || await this.openDatabase();
+        } catch (error) {
+            // IndexedDB can be unavailable (e.g. some private browsing modes) - fall back to the legacy key
+            console.error('IndexedDB unavailable, falling back to localStorage:', error);
+            this.db = null;
+        }
 
-        // Sidebar toggles are now handled by SidebarManager
+        if (this.db) {
+            // A failed migration keeps the old key for the next load instead of losing it
+            this.migrationError = null;
+            try {
+                await this.migrateFromLocalStorage();
+            } catch (error) {
+                console.error('Could not migrate entries from localStorage:', error);
+                this.migrationError = error;
+            }
+            const records = await this.readAllRecords();
+            const entries = await Promise.all(records.map(record => this.decodeRecord(record).catch(error => {
+                console.error(`Could not decrypt entry ${record.id}:`, error);
+                return null;
+            })));
+            this.entries = entries.filter(entry => entry !== null);
+            this.sortByDate();
+        } else {
+            this.entries = await this.readLegacyEntries();
+        }
 
-        // Textarea
-        this.textarea.addEventListener('input', () => {
-            this.updateWordCount();
-            
-            // Check if this is the first edit of template content
-            if (this.isTemplateContent) {
-                // User has started editing the template
-                this.isTemplateContent = false;
-                this.templateContentOriginal = null;
+        return this.entries;
+    }
+
+    // Drops decrypted entries from memory when the journal locks
+    clearCache() {
+        this.entries = [];
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
             }
-            
-            this.autoSave();
 
-            // Add typing indicator
-            this.writingContainer?.classList.add('typing');
-            clearTimeout(this.typingTimeout);
-            this.typingTimeout = setTimeout(() => {
-                this.writingContainer?.classList.remove('typing');
-            }, 1000);
-        });
+            const request = indexedDB.open(this.dbName, this.dbVersion);
 
-        this.textarea.addEventListener('focus', () => {
-            this.writingContainer?.classList.add('focused');
-        });
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                let store;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    // Booleans are not valid IndexedDB keys, so the flag is stored as 0/1
+                    store.createIndex('isTemplate', 'templateFlag');
+                } else {
+                    store = request.transaction.objectStore(this.storeName);
+                }
 
-        this.textarea.addEventListener('blur', () => {
-            this.writingContainer?.classList.remove('focused');
-            // No automatic welcome screen reappearing - less annoying UX
+                // Version 2: separate creation and last-modified dates
+                if (event.oldVersion < 2) {
+                    if (store.indexNames.contains('date')) {
+                        store.deleteIndex('date');
+                    }
+                    store.createIndex('createdAt', 'createdAt');
+                    store.createIndex('updatedAt', 'updatedAt');
+
+                    store.openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (cursor) {
+                            cursor.update(this.toRecord(this.fromRecord(cursor.value)));
+                            cursor.continue();
+                        }
+                    };
+                }
+
+                // Version 3: opt-in saved AI chat sessions (see ChatSessionRepository)
+                if (!db.objectStoreNames.contains(this.chatStoreName)) {
+                    const chatStore = db.createObjectStore(this.chatStoreName, { keyPath: 'id' });
+                    chatStore.createIndex('updatedAt', 'updatedAt');
+                }
+
+                // Version 4: embeddings for semantic chat retrieval (see EmbeddingIndex)
+                if (!db.objectStoreNames.contains(this.embeddingStoreName)) {
+                    db.createObjectStore(this.embeddingStoreName, { keyPath: 'entryId' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Journal database is blocked by another tab'));
         });
+    }
 
-        // Buttons
-        this.newBtn.addEventListener('click', () => this.createBlankEntry());
-        this.templateDropdownBtn.addEventListener('click', (e) => this.toggleTemplateDropdown(e));
-        this.floatingNewBtn.addEventListener('click', () => this.createBlankEntry());
-        this.exportBtn.addEventListener('click', () => this.exportEntries());
-        this.importBtn.addEventListener('click', () => this.importFile.click());
-        this.importFile.addEventListener('change', (e) => this.handleImport(e));
-        this.aiChatBtn.addEventListener('click', () => this.toggleAIChat());
-        this.testToggleBtn.addEventListener('click', () => this.toggleTestPanel());
+    // Parse and decrypt errors propagate so the old key is never dropped for data that wasn't read
+    async migrateFromLocalStorage() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.legacyStorageKey);
+        } catch (error) {
+            return;
+        }
+        if (!stored) return;
 
+        const legacyEntries = await this.parseLegacyEntries(stored);
+        await this.writeRecords(await Promise.all(legacyEntries.map(entry => this.encodeRecord(entry))));
 
-        // Chat interface
-        this.chatSendBtn.addEventListener('click', () => this.sendChatMessage());
-        this.chatCloseBtn.addEventListener('click', () => this.closeAIChat());
-        this.createReflectionBtn.addEventListener('click', () => this.createReflectionEntry());
-        this.chatInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.sendChatMessage();
+        // Only drop the old key once every entry is safely in IndexedDB
+        const writtenIds = new Set((await this.readAllRecords()).map(record => record.id));
+        const written = legacyEntries.filter(entry => writtenIds.has(entry.id)).length;
+        if (written !== legacyEntries.length) {
+            throw new Error(`Only ${written} of ${legacyEntries.length} entries could be copied to IndexedDB`);
+        }
+
+        localStorage.removeItem(this.legacyStorageKey);
+        console.log(`Migrated ${legacyEntries.length} entries from localStorage to IndexedDB`);
+    }
+
+    async parseLegacyEntries(stored) {
+        let entries = JSON.parse(stored);
+
+        // Written encrypted while running in localStorage fallback mode
+        if (entries && entries.payload) {
+            if (!this.cipher) {
+                throw new Error('Stored entries are encrypted and the journal is locked');
             }
-        });
+            entries = await this.cipher.decryptJSON(entries.payload);
+        }
+        if (!Array.isArray(entries)) {
+            throw new Error('Stored entries are not a list');
+        }
 
-        // Search
-        this.searchInput.addEventListener('input', () => this.filterEntries());
+        return entries.map(entry => this.normalizeEntry(entry));
+    }
 
-        // Template filter tabs
-        this.filterTabs.forEach(tab => {
-            tab.addEventListener('click', () => this.switchFilter(tab.dataset.filter));
+    async readLegacyEntries() {
+        try {
+            const stored = localStorage.getItem(this.legacyStorageKey);
+            return stored ? await this.parseLegacyEntries(stored) : [];
+        } catch (error) {
+            console.error('Error loading entries:', error);
+            return [];
+        }
+    }
+
+    async writeLegacyEntries() {
+        const value = this.cipher ?
+            { payload: await this.cipher.encryptJSON(this.entries) } :
+            this.entries;
+        localStorage.setItem(this.legacyStorageKey, JSON.stringify(value));
+    }
+
+    normalizeEntry(entry) {
+        // Older entries only have a single `date` that was overwritten on every save,
+        // so it is the best guess we have for both creation and last edit
+        const { date, ...rest } = entry;
+        const createdAt = entry.createdAt || date || new Date().toISOString();
+
+        // Ensure backward compatibility - add template fields if missing
+        return {
+            ...rest,
+            createdAt: createdAt,
+            updatedAt: entry.updatedAt || date || createdAt,
+            isTemplate: entry.isTemplate || false,
+            templateOrder: entry.templateOrder ?? null
+        };
+    }
+
+    toRecord(entry) {
+        return { ...this.normalizeEntry(entry), templateFlag: entry.isTemplate ? 1 : 0 };
+    }
+
+    fromRecord(record) {
+        const { templateFlag, ...entry } = record;
+        return this.normalizeEntry(entry);
+    }
+
+    // Dates and the template flag stay readable so the indexes keep working;
+    // content, title and revisions go into the encrypted payload
+    async encodeRecord(entry) {
+        const record = this.toRecord(entry);
+        if (!this.cipher) return record;
+
+        const { id, createdAt, updatedAt, templateFlag, ...secret } = record;
+        return {
+            id,
+            createdAt,
+            updatedAt,
+            templateFlag,
+            payload: await this.cipher.encryptJSON(secret)
+        };
+    }
+
+    async decodeRecord(record) {
+        if (!record.payload) return this.fromRecord(record);
+
+        if (!this.cipher) throw new Error('Journal is locked');
+        const { payload, ...meta } = record;
+        return this.fromRecord({ ...meta, ...(await this.cipher.decryptJSON(payload)) });
+    }
+
+    readAllRecords() {
+        // Read the store itself rather than an index - records missing an indexed field would be skipped
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
+    }
 
-        // Close dropdown when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!e.target.closest('.new-entry-container')) {
-                this.closeTemplateDropdown();
-            }
+    writeRecords(records, deleteIds = []) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+
+            records.forEach(record => store.put(record));
+            deleteIds.forEach(id => store.delete(id));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
         });
+    }
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            if ((e.metaKey || e.ctrlKey) && e.key === '[') {
-                e.preventDefault();
-                this.sidebarManager.toggleSidebar('left');
-            }
-            if ((e.metaKey || e.ctrlKey) && e.key === ']') {
-                e.preventDefault();
-                this.sidebarManager.toggleSidebar('right');
+    persist(entries, deleteIds = []) {
+        const write = this.writeQueue.then(async () => {
+            try {
+                if (this.db) {
+                    // Encrypt before opening the transaction - IndexedDB commits across awaits
+                    const records = await Promise.all(entries.map(entry => this.encodeRecord(entry)));
+                    await this.writeRecords(records, deleteIds);
+                } else {
+                    await this.writeLegacyEntries();
+                }
+                return true;
+            } catch (error) {
+                console.error('Error saving entries:', error);
+                this.errorCallbacks.forEach(callback => callback(error));
+                return false;
             }
         });
+
+        this.writeQueue = write;
+        return write;
     }
 
-    updateWordCount() {
-        const text = this.textarea.value.trim();
-        const words = text ? text.split(/\s+/).length : 0;
-        this.wordCount.textContent = `${words} words`;
+    // Rewrites every entry with a new cipher (or none) in a single transaction
+    reencryptAll(cipher) {
+        this.setCipher(cipher);
+        return this.persist(this.entries);
     }
 
-    autoSave() {
-        // Show saving status
-        this.updateAutosaveStatus('saving');
+    onError(callback) {
+        this.errorCallbacks.push(callback);
+    }
 
-        clearTimeout(this.saveTimeout);
-        this.saveTimeout = setTimeout(() => {
-            this.saveCurrentEntry();
-        }, 1000);
+    onChange(callback) {
+        this.changeCallbacks.push(callback);
     }
 
-    saveCurrentEntry() {
-        const content = this.textarea.value.trim();
-        if (!content) {
-            this.updateAutosaveStatus('saved');
-            return;
-        }
+    notifyChange(savedEntries, deletedIds = []) {
+        this.changeCallbacks.forEach(callback => callback(savedEntries, deletedIds));
+    }
 
-        const now = new Date();
-        const entry = {
-            id: this.currentEntryId || this.generateId(),
-            content: content,
-            date: now.toISOString(),
-            wordCount: content.split(/\s+/).length,
-            // summary field removed - focusing on chat-based AI interaction
-            title: null // Short title for entry list
-        };
+    // Synchronous reads come from the cache so rendering and search stay fast
+    getAll() {
+        return this.entries;
+    }
+
+    get(entryId) {
+        return this.entries.find(entry => entry.id === entryId);
+    }
+
+    getTemplates() {
+        return this.entries.filter(entry => entry.isTemplate === true);
+    }
+
+    async getTemplatesFromStore() {
+        if (!this.db) return this.getTemplates();
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .index('isTemplate')
+                .getAll(1);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(records => Promise.all(records.map(record => this.decodeRecord(record))));
+    }
 
-        // Update or add entry
+    save(entry) {
         const existingIndex = this.entries.findIndex(e => e.id === entry.id);
         if (existingIndex >= 0) {
-            // Preserve existing title when updating content
-            const existingEntry = this.entries[existingIndex];
-            entry.title = existingEntry.title;
             this.entries[existingIndex] = entry;
         } else {
             this.entries.unshift(entry);
         }
 
-        this.currentEntryId = entry.id;
-        this.saveEntries();
-        this.renderEntries();
+        this.notifyChange([entry]);
+        return this.persist([entry]);
+    }
+
+    saveMany(entries) {
+        entries.forEach(entry => {
+            const existingIndex = this.entries.findIndex(e => e.id === entry.id);
+            if (existingIndex >= 0) {
+                this.entries[existingIndex] = entry;
+            } else {
+                this.entries.push(entry);
+            }
+        });
+        this.sortByDate();
 
-        // Update autosave status
-        this.updateAutosaveStatus('saved', now);
+        this.notifyChange(entries);
+        return this.persist(entries);
     }
 
-    updateAutosaveStatus(status, timestamp = null) {
-        if (!this.autosaveDot || !this.autosaveStatus || !this.lastSavedTime) return;
+    delete(entryId) {
+        this.entries = this.entries.filter(entry => entry.id !== entryId);
+        this.notifyChange([], [entryId]);
+        return this.persist([], [entryId]);
+    }
 
-        if (status === 'saving') {
-            this.autosaveDot.classList.add('saving');
-            this.autosaveStatus.textContent = 'Saving...';
-            this.lastSavedTime.textContent = '';
-        } else if (status === 'saved') {
-            this.autosaveDot.classList.remove('saving');
-            this.autosaveStatus.textContent = 'Saved';
+    replaceAll(entries) {
+        const keptIds = new Set(entries.map(entry => entry.id));
+        const removedIds = this.entries
+            .filter(entry => !keptIds.has(entry.id))
+            .map(entry => entry.id);
 
-            if (timestamp) {
-                this.lastSavedTimestamp = timestamp;
-                this.updateSavedTimeDisplay();
+        this.entries = entries;
+        this.notifyChange(entries, removedIds);
+        return this.persist(entries, removedIds);
+    }
 
-                // Update the time display every minute
-                if (this.timeUpdateInterval) {
-                    clearInterval(this.timeUpdateInterval);
-                }
-                this.timeUpdateInterval = setInterval(() => {
-                    this.updateSavedTimeDisplay();
-                }, 60000); // Update every minute
-            }
-        }
+    sortByDate() {
+        this.entries.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
     }
+}
 
-    updateSavedTimeDisplay() {
-        if (!this.lastSavedTimestamp || !this.lastSavedTime) return;
+// ChatSessionRepository Class - Handles saved AI chat sessions
+// Shares the journal database and cipher with EntryRepository so chats get the same protection as entries
+class ChatSessionRepository {
+    constructor(entryRepository) {
+        this.entryRepository = entryRepository;
+        this.storeName = entryRepository.chatStoreName;
+        this.fallbackStorageKey = 'journalChatSessions';
+        this.sessions = []; // In-memory cache, most recently active first
+    }
 
-        const now = new Date();
-        const diffMs = now - this.lastSavedTimestamp;
-        const diffMinutes = Math.floor(diffMs / 60000);
+    get db() {
+        return this.entryRepository.db;
+    }
 
-        if (diffMinutes < 1) {
-            this.lastSavedTime.textContent = 'just now';
-        } else if (diffMinutes < 60) {
-            this.lastSavedTime.textContent = `${diffMinutes} min ago`;
-        } else {
-            const timeString = this.lastSavedTimestamp.toLocaleTimeString('en-US', {
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
+    get cipher() {
+        return this.entryRepository.cipher;
+    }
+
+    // Call after EntryRepository.load() so the database is open
+    async load() {
+        if (this.db) {
+            const records = await new Promise((resolve, reject) => {
+                const request = this.db.transaction(this.storeName, 'readonly')
+                    .objectStore(this.storeName)
+                    .getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
             });
-            this.lastSavedTime.textContent = `at ${timeString}`;
+            const sessions = await Promise.all(records.map(record => this.decodeRecord(record).catch(error => {
+                console.error(`Could not decrypt chat session ${record.id}:`, error);
+                return null;
+            })));
+            this.sessions = sessions.filter(session => session !== null);
+        } else {
+            this.sessions = await this.readFallbackSessions();
         }
+
+        this.sortByDate();
+        return this.sessions;
     }
 
-    newEntry() {
-        this.textarea.value = '';
-        this.currentEntryId = null;
-        this.updateWordCount();
-        this.textarea.focus();
-        
-        // Track new entry creation (no content tracked)
-        this.analytics.trackFeatureUse('new_entry', 'created');
+    clearCache() {
+        this.sessions = [];
     }
 
-    loadEntry(entryId) {
-        const entry = this.entries.find(e => e.id === entryId);
-        if (entry) {
-            this.textarea.value = entry.content;
-            this.currentEntryId = entry.id;
-            this.isTemplateContent = false;
-            this.templateContentOriginal = null;
-            this.updateWordCount();
-            this.textarea.focus();
+    normalizeSession(session) {
+        const createdAt = session.createdAt || new Date().toISOString();
+        const messages = Array.isArray(session.messages) ? session.messages : [];
+
+        return {
+            id: session.id,
+            title: session.title || 'Untitled conversation',
+            createdAt: createdAt,
+            updatedAt: session.updatedAt || createdAt,
+            personaId: session.personaId || null,
+            messages: messages
+                .filter(message => message && ['user', 'assistant'].includes(message.role) && typeof message.content === 'string')
+                .map(message => ({
+                    role: message.role,
+                    content: message.content,
+                    at: message.at || createdAt,
+                    ...(Array.isArray(message.sources) ? { sources: message.sources.filter(id => typeof id === 'string') } : {}),
+                    ...(typeof message.scope === 'string' ? { scope: message.scope } : {})
+                }))
+        };
+    }
+
+    // Only the id and dates stay readable; title and messages are encrypted like entry content
+    async encodeRecord(session) {
+        const { id, createdAt, updatedAt, ...secret } = this.normalizeSession(session);
+        if (!this.cipher) return { id, createdAt, updatedAt, ...secret };
+
+        return { id, createdAt, updatedAt, payload: await this.cipher.encryptJSON(secret) };
+    }
+
+    async decodeRecord(record) {
+        if (!record.payload) return this.normalizeSession(record);
+
+        if (!this.cipher) throw new Error('Journal is locked');
+        const { payload, ...meta } = record;
+        return this.normalizeSession({ ...meta, ...(await this.cipher.decryptJSON(payload)) });
+    }
+
+    async readFallbackSessions() {
+        try {
+            const stored = localStorage.getItem(this.fallbackStorageKey);
+            let sessions = stored ? JSON.parse(stored) : [];
+            if (sessions && sessions.payload) {
+                sessions = await this.cipher.decryptJSON(sessions.payload);
+            }
+            return sessions.map(session => this.normalizeSession(session));
+        } catch (error) {
+            console.error('Error loading chat sessions:', error);
+            return [];
         }
     }
 
-    renderEntries() {
-        const filteredEntries = this.getFilteredEntries();
-        const emptyState = document.getElementById('emptyState');
+    // Writes go through the entry repository's queue so they never race a re-encryption
+    persist(sessions, deleteIds = []) {
+        const write = this.entryRepository.writeQueue.then(async () => {
+            try {
+                if (this.db) {
+                    const records = await Promise.all(sessions.map(session => this.encodeRecord(session)));
+                    await new Promise((resolve, reject) => {
+                        const transaction = this.db.transaction(this.storeName, 'readwrite');
+                        const store = transaction.objectStore(this.storeName);
+
+                        records.forEach(record => store.put(record));
+                        deleteIds.forEach(id => store.delete(id));
+
+                        transaction.oncomplete = () => resolve();
+                        transaction.onerror = () => reject(transaction.error);
+                        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+                    });
+                } else {
+                    const value = this.cipher ?
+                        { payload: await this.cipher.encryptJSON(this.sessions) } :
+                        this.sessions;
+                    localStorage.setItem(this.fallbackStorageKey, JSON.stringify(value));
+                }
+                return true;
+            } catch (error) {
+                console.error('Error saving chat sessions:', error);
+                this.entryRepository.errorCallbacks.forEach(callback => callback(error));
+                return false;
+            }
+        });
 
-        // Update template count
-        this.updateTemplateCount();
+        this.entryRepository.writeQueue = write;
+        return write;
+    }
 
-        if (filteredEntries.length === 0) {
-            if (this.entries.length === 0) {
-                // No entries at all
-                emptyState.innerHTML = `
-                    <div class="empty-icon">📝</div>
-                    <p>No entries yet</p>
-                    <span>Start writing to see your entries here</span>
-                `;
-            } else if (this.currentFilter === 'templates') {
-                // No templates
-                emptyState.innerHTML = `
-                    <div class="empty-icon">📌</div>
-                    <p>No templates yet</p>
-                    <span>Mark an entry as a template to see it here</span>
-                `;
+    // Call after EntryRepository.reencryptAll() has switched the cipher
+    reencryptAll() {
+        return this.persist(this.sessions);
+    }
+
+    getAll() {
+        return this.sessions;
+    }
+
+    get(sessionId) {
+        return this.sessions.find(session => session.id === sessionId);
+    }
+
+    search(query) {
+        const queryLower = query.trim().toLowerCase();
+        if (!queryLower) return this.sessions;
+
+        return this.sessions.filter(session =>
+            session.title.toLowerCase().includes(queryLower) ||
+            session.messages.some(message => message.content.toLowerCase().includes(queryLower))
+        );
+    }
+
+    save(session) {
+        const existingIndex = this.sessions.findIndex(s => s.id === session.id);
+        if (existingIndex >= 0) {
+            this.sessions[existingIndex] = session;
+        } else {
+            this.sessions.unshift(session);
+        }
+        this.sortByDate();
+
+        return this.persist([session]);
+    }
+
+    saveMany(sessions) {
+        sessions.forEach(session => {
+            const existingIndex = this.sessions.findIndex(s => s.id === session.id);
+            if (existingIndex >= 0) {
+                this.sessions[existingIndex] = session;
             } else {
-                // No search results
-                emptyState.innerHTML = `
-                    <div class="empty-icon">🔍</div>
-                    <p>No matching entries</p>
-                    <span>Try a different search term</span>
-                `;
+                this.sessions.push(session);
             }
-            emptyState.style.display = 'block';
-            return;
+        });
+        this.sortByDate();
+
+        return this.persist(sessions);
+    }
+
+    delete(sessionId) {
+        this.sessions = this.sessions.filter(session => session.id !== sessionId);
+        return this.persist([], [sessionId]);
+    }
+
+    deleteAll() {
+        const ids = this.sessions.map(session => session.id);
+        this.sessions = [];
+        return this.persist([], ids);
+    }
+
+    sortByDate() {
+        this.sessions.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+}
+
+// EmbeddingIndex Class - Handles local embeddings of entries for semantic chat retrieval
+// Vectors live in the journal database (encrypted like entries when the lock is on); without
+// IndexedDB they are kept in memory only, since they'd quickly fill localStorage
+class EmbeddingIndex {
+    constructor(entryRepository, aiService) {
+        this.entryRepository = entryRepository;
+        this.aiService = aiService;
+        this.storeName = entryRepository.embeddingStoreName;
+        this.defaultModel = 'nomic-embed-text';
+        this.model = this.loadModelPreference();
+        this.records = new Map(); // entryId -> { entryId, model, hash, chunks: [{ start, end, vector }] }
+        this.chunkSize = 1000; // Characters per chunk - long entries are split so each part can match
+        this.chunkOverlap = 150;
+        this.topK = 6;
+        this.pendingIds = new Set();
+        this.indexTimer = null;
+        this.isIndexing = false;
+        this.progressCallbacks = [];
+    }
+
+    get db() {
+        return this.entryRepository.db;
+    }
+
+    get cipher() {
+        return this.entryRepository.cipher;
+    }
+
+    loadModelPreference() {
+        try {
+            return localStorage.getItem('embeddingModel') || this.defaultModel;
+        } catch (error) {
+            return this.defaultModel;
         }
+    }
 
-        emptyState.style.display = 'none';
+    // Changing the model makes every stored vector incomparable, so they are rebuilt
+    setModel(modelName) {
+        this.model = modelName.trim() || this.defaultModel;
+        try {
+            localStorage.setItem('embeddingModel', this.model);
+        } catch (error) {
+            console.error('Failed to save embedding model:', error);
+        }
+        this.indexMissing();
+    }
 
-        // Clear and rebuild entry list
-        const entryContainer = this.entryList;
-        const existingEntries = entryContainer.querySelectorAll('.entry-group, .entry-item');
-        existingEntries.forEach(entry => entry.remove());
+    // Call after EntryRepository.load() so the database is open
+    async load() {
+        this.records.clear();
+        if (!this.db) return;
+
+        const stored = await new Promise((resolve, reject) => {
+            const request = this.db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
 
-        // Group entries by date
-        const groupedEntries = this.groupEntriesByDate(filteredEntries);
+        const records = await Promise.all(stored.map(record => this.decodeRecord(record).catch(error => {
+            console.error(`Could not decrypt embeddings for ${record.entryId}:`, error);
+            return null;
+        })));
+        records.filter(Boolean).forEach(record => this.records.set(record.entryId, record));
+    }
 
-        Object.entries(groupedEntries).forEach(([dateKey, entries]) => {
-            // Create date group header
-            const dateGroup = document.createElement('div');
-            dateGroup.className = 'entry-group';
+    clearCache() {
+        this.records.clear();
+        this.pendingIds.clear();
+        clearTimeout(this.indexTimer);
+    }
 
-            const dateHeader = document.createElement('div');
-            dateHeader.className = 'entry-date-header';
-            dateHeader.textContent = dateKey;
-            dateGroup.appendChild(dateHeader);
+    async encodeRecord(record) {
+        const { entryId, ...secret } = record;
+        if (!this.cipher) return record;
 
-            // Add entries for this date
-            entries.forEach(entry => {
-                const div = document.createElement('div');
-                div.className = 'entry-item';
+        return { entryId, payload: await this.cipher.encryptJSON(secret) };
+    }
 
-                // Show AI-generated title if available, otherwise show content preview
-                const displayContent = entry.title ?
-                    `<div class="entry-title">
-                        ${entry.title}
-                        <button class="entry-title-remove" data-entry-id="${entry.id}" title="Remove title">×</button>
-                    </div>
-                    <div class="entry-preview">${this.truncateText(entry.content, 60)}</div>` :
-                    `<div class="entry-preview">${this.truncateText(entry.content, 100)}</div>`;
+    async decodeRecord(record) {
+        if (!record.payload) return record;
 
-                // Template indicator
-                const templateIndicator = entry.isTemplate ? 
-                    `<span class="entry-template-indicator" title="Template">📌</span>` : '';
+        if (!this.cipher) throw new Error('Journal is locked');
+        return { entryId: record.entryId, ...(await this.cipher.decryptJSON(record.payload)) };
+    }
 
-                div.innerHTML = `
-                    <div class="entry-header">
-                        ${templateIndicator}
-                        <div class="entry-actions">
-                            <button class="entry-template-toggle ${entry.isTemplate ? 'active' : ''}" 
-                                    data-entry-id="${entry.id}" 
-                                    title="${entry.isTemplate ? 'Remove from templates' : 'Mark as template'}"
-                                    aria-label="${entry.isTemplate ? 'Remove from templates' : 'Mark as template'}"
-                                    aria-pressed="${entry.isTemplate}">
-                                📌
-                            </button>
-                            <button class="entry-delete-btn" data-entry-id="${entry.id}" title="Delete entry">×</button>
-                        </div>
-                    </div>
-                    ${displayContent}
-                `;
+    // Writes go through the entry repository's queue so they never race a re-encryption
+    persist(records, deleteIds = []) {
+        if (!this.db) return Promise.resolve(true);
 
-                // Add click handler for loading entry (but not on action buttons)
-                div.addEventListener('click', (e) => {
-                    if (!e.target.classList.contains('entry-delete-btn') &&
-                        !e.target.classList.contains('entry-title-remove') &&
-                        !e.target.classList.contains('entry-template-toggle')) {
-                        this.loadEntry(entry.id);
-                    }
-                });
+        const write = this.entryRepository.writeQueue.then(async () => {
+            try {
+                const encoded = await Promise.all(records.map(record => this.encodeRecord(record)));
+                await new Promise((resolve, reject) => {
+                    const transaction = this.db.transaction(this.storeName, 'readwrite');
+                    const store = transaction.objectStore(this.storeName);
 
-                // Add template toggle handler
-                const templateToggle = div.querySelector('.entry-template-toggle');
-                templateToggle.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.toggleEntryTemplate(entry.id);
+                    encoded.forEach(record => store.put(record));
+                    deleteIds.forEach(id => store.delete(id));
+
+                    transaction.oncomplete = () => resolve();
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
                 });
+                return true;
+            } catch (error) {
+                // The index can always be rebuilt, so this isn't worth alarming anyone about
+                console.error('Error saving embeddings:', error);
+                return false;
+            }
+        });
 
-                // Add delete handler
-                const deleteBtn = div.querySelector('.entry-delete-btn');
-                deleteBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.deleteEntry(entry.id);
+        this.entryRepository.writeQueue = write;
+        return write;
+    }
+
+    // Call after EntryRepository.reencryptAll() has switched the cipher
+    reencryptAll() {
+        return this.persist([...this.records.values()]);
+    }
+
+    // Retrieval needs the embedding model installed on the selected server
+    isAvailable() {
+        return this.aiService.status === 'connected' && this.aiService.hasModel(this.aiService.remoteModels, this.model);
+    }
+
+    // Splits long text into overlapping chunks, preferring paragraph, then sentence, then word breaks
+    chunkText(text) {
+        if (!text.trim()) return [];
+        if (text.length <= this.chunkSize) return [{ start: 0, end: text.length }];
+
+        const chunks = [];
+        let start = 0;
+        while (start < text.length) {
+            let end = Math.min(start + this.chunkSize, text.length);
+            if (end < text.length) {
+                const searchFrom = start + this.chunkSize / 2;
+                const tail = text.substring(searchFrom, end);
+                const breakAt = [tail.lastIndexOf('\n\n'), tail.lastIndexOf('. '), tail.lastIndexOf(' ')].find(index => index !== -1);
+                if (breakAt !== undefined) {
+                    end = searchFrom + breakAt + 1;
+                }
+            }
+
+            chunks.push({ start, end });
+            if (end >= text.length) break;
+
+            // Step back for overlap, then forward to the next word so chunks don't start mid-word
+            start = Math.max(end - this.chunkOverlap, start + 1);
+            const nextSpace = text.indexOf(' ', start);
+            if (nextSpace !== -1 && nextSpace < end) {
+                start = nextSpace + 1;
+            }
+        }
+        return chunks;
+    }
+
+    // FNV-1a - only used to notice that an entry changed since it was embedded
+    hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    isCurrent(entry) {
+        const record = this.records.get(entry.id);
+        return !!record && record.model === this.model && record.hash === this.hashText(entry.content);
+    }
+
+    async indexEntry(entry) {
+        const chunks = [];
+        for (const chunk of this.chunkText(entry.content)) {
+            const vector = await this.aiService.embed(entry.content.substring(chunk.start, chunk.end), this.model);
+            chunks.push({ ...chunk, vector });
+        }
+
+        const record = { entryId: entry.id, model: this.model, hash: this.hashText(entry.content), chunks };
+        this.records.set(entry.id, record);
+        return this.persist([record]);
+    }
+
+    // Entry saves land here; indexing waits for a pause in typing so each keystroke isn't embedded
+    handleEntriesChanged(savedEntries, deletedIds) {
+        if (deletedIds.length > 0) {
+            deletedIds.forEach(id => {
+                this.records.delete(id);
+                this.pendingIds.delete(id);
+            });
+            this.persist([], deletedIds);
+        }
+
+        savedEntries.forEach(entry => this.pendingIds.add(entry.id));
+        this.scheduleIndexing();
+    }
+
+    indexMissing() {
+        this.entryRepository.getAll()
+            .filter(entry => !this.isCurrent(entry))
+            .forEach(entry => this.pendingIds.add(entry.id));
+        this.scheduleIndexing(0);
+    }
+
+    scheduleIndexing(delay = 5000) {
+        clearTimeout(this.indexTimer);
+        if (this.pendingIds.size === 0) return;
+        this.indexTimer = setTimeout(() => this.processQueue(), delay);
+    }
+
+    async processQueue() {
+        if (this.isIndexing || !this.isAvailable()) return;
+
+        this.isIndexing = true;
+        try {
+            for (const entryId of [...this.pendingIds]) {
+                const entry = this.entryRepository.get(entryId);
+                if (entry && !this.isCurrent(entry)) {
+                    await this.indexEntry(entry);
+                }
+                this.pendingIds.delete(entryId);
+                this.notifyProgress();
+            }
+        } catch (error) {
+            // Leave the rest queued; the next status check retries
+            console.error('Embedding index update failed:', error);
+        } finally {
+            this.isIndexing = false;
+        }
+    }
+
+    getProgress() {
+        const entries = this.entryRepository.getAll();
+        return {
+            indexed: entries.filter(entry => this.isCurrent(entry)).length,
+            total: entries.length
+        };
+    }
+
+    onProgress(callback) {
+        this.progressCallbacks.push(callback);
+    }
+
+    notifyProgress() {
+        const progress = this.getProgress();
+        this.progressCallbacks.forEach(callback => callback(progress));
+    }
+
+    cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+    }
+
+    // Top-k passages for the query, or null when the caller should fall back to keyword matching
+    // Entries that aren't indexed yet aren't covered here; createSmartContext keyword-matches the rest
+    async retrieve(query, entries, k = this.topK, { signal = null } = {}) {
+        if (!this.isAvailable()) return null;
+
+        const indexed = entries.filter(entry => this.isCurrent(entry));
+        if (indexed.length === 0) return null;
+
+        let queryVector;
+        try {
+            queryVector = await this.aiService.embed(query, this.model, { signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Semantic retrieval unavailable, using keyword matching:', error);
+            return null;
+        }
+
+        const passages = [];
+        indexed.forEach(entry => {
+            this.records.get(entry.id).chunks.forEach(chunk => {
+                passages.push({
+                    entry,
+                    text: entry.content.substring(chunk.start, chunk.end),
+                    score: this.cosineSimilarity(queryVector, chunk.vector)
                 });
+            });
+        });
+
+        return passages.sort((a, b) => b.score - a.score).slice(0, k);
+    }
+}
+
+// Zip Archive Class - Handles building and reading .zip files in the browser
+// Files are written uncompressed, which every unzip tool reads and keeps this dependency-free
+class ZipArchive {
+    constructor() {
+        this.files = []; // { path, data: Uint8Array, date }
+    }
+
+    addFile(path, content, date = new Date()) {
+        const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+        this.files.push({ path, data, date });
+    }
+
+    static crc32(data) {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipArchive.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipArchive.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // MS-DOS time and date fields, in local time like file managers show them
+    static dosDateTime(date) {
+        const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    toBytes() {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        this.files.forEach(file => {
+            const name = encoder.encode(file.path);
+            const crc = ZipArchive.crc32(file.data);
+            const { time, date } = ZipArchive.dosDateTime(file.date);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed to extract
+            local.setUint16(6, 0x0800, true); // File names are UTF-8
+            local.setUint16(8, 0, true); // Stored, no compression
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory header signature
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true); // Where the local header starts
+
+            localParts.push(new Uint8Array(local.buffer), name, file.data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const bytes = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            bytes.set(part, position);
+            position += part.length;
+        });
+        return bytes;
+    }
+
+    toBlob() {
+        return new Blob([this.toBytes()], { type: 'application/zip' });
+    }
+
+    // Reads files out of a zip made by any tool: stored or deflated (via the browser's
+    // DecompressionStream). Returns { files: [{ path, data, date }], unsupported: [paths] }.
+    static async read(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // The end record sits in the last 22 bytes plus an optional comment of up to 64KB
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error("This doesn't look like a zip file");
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let position = view.getUint32(end + 16, true);
+        if (count === 0xffff || position === 0xffffffff) {
+            throw new Error('Zip64 archives are not supported - unzip it and import the folder instead');
+        }
+
+        const decoder = new TextDecoder();
+        const files = [];
+        const unsupported = [];
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('The zip file is damaged');
+            }
+
+            const method = view.getUint16(position + 10, true);
+            const time = view.getUint16(position + 12, true);
+            const date = view.getUint16(position + 14, true);
+            const compressedSize = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const path = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (path.endsWith('/')) continue;
+
+            // The local header's name and extra field can differ in length from the central copy
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+            const modified = new Date(1980 + (date >> 9), ((date >> 5) & 0x0f) - 1, date & 0x1f,
+                time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+
+            if (method === 0) {
+                files.push({ path, data: compressed, date: modified });
+            } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+                const stream = new Response(compressed).body.pipeThrough(new DecompressionStream('deflate-raw'));
+                files.push({ path, data: new Uint8Array(await new Response(stream).arrayBuffer()), date: modified });
+            } else {
+                unsupported.push(path);
+            }
+        }
+
+        return { files, unsupported };
+    }
+}
+
+// Markdown Exporter Class - Handles turning entries into Markdown files with YAML front matter
+// Laid out as YYYY/MM/YYYY-MM-DD-title.md so the folder works as an Obsidian vault or a git repo
+class MarkdownExporter {
+    constructor() {
+        this.slugLength = 50;
+    }
+
+    // Inline #hashtags; headings ("## Wins") and citations ("[#a1b2c]") don't count
+    getTags(content) {
+        const tags = [];
+        const pattern = /(^|\s)#([\p{L}\p{N}][\p{L}\p{N}_/-]*)/gu;
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+            const tag = match[2].replace(/[/-]+$/, '');
+            if (!tags.includes(tag)) tags.push(tag);
+        }
+        return tags;
+    }
+
+    slugify(text) {
+        const slug = text
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, this.slugLength)
+            .replace(/-+$/, '');
+        return slug || 'entry';
+    }
 
+    // Local date, matching the dates shown in the app
+    formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Untitled entries are named after their first line
+    getPath(entry, usedPaths = new Set()) {
+        const created = new Date(entry.createdAt);
+        const date = this.formatDate(created);
+        const firstLine = entry.content.trim().split('\n')[0].split(/\s+/).slice(0, 8).join(' ');
+        const base = `${date.substring(0, 4)}/${date.substring(5, 7)}/${date}-${this.slugify(entry.title || firstLine)}`;
+
+        let path = `${base}.md`;
+        for (let n = 2; usedPaths.has(path); n++) {
+            path = `${base}-${n}.md`;
+        }
+        usedPaths.add(path);
+        return path;
+    }
+
+    // Strings are written JSON-quoted, which is valid YAML and survives colons, quotes and newlines
+    formatFrontMatter(entry) {
+        const lines = [
+            `id: ${JSON.stringify(entry.id)}`,
+            `created: ${entry.createdAt}`,
+            `updated: ${entry.updatedAt}`,
+            `title: ${entry.title ? JSON.stringify(entry.title) : 'null'}`,
+            `tags: [${this.getTags(entry.content).map(tag => JSON.stringify(tag)).join(', ')}]`,
+            `template: ${entry.isTemplate ? 'true' : 'false'}`
+        ];
+        if (entry.isTemplate) {
+            lines.push(`template_order: ${entry.templateOrder ?? 'null'}`);
+        }
+        if (entry.isReview) {
+            lines.push('review: true', `review_of: [${(entry.reviewOf || []).map(id => JSON.stringify(id)).join(', ')}]`);
+        }
+        return `---\n${lines.join('\n')}\n---\n`;
+    }
+
+    toMarkdown(entry) {
+        return `${this.formatFrontMatter(entry)}\n${entry.content.trim()}\n`;
+    }
+
+    createArchive(entries) {
+        const archive = new ZipArchive();
+        const usedPaths = new Set();
+        [...entries]
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .forEach(entry => {
+                archive.addFile(this.getPath(entry, usedPaths), this.toMarkdown(entry), new Date(entry.updatedAt));
+            });
+        return archive;
+    }
+}
+
+// Print Exporter Class - Handles laying out a date range of entries for printing or saving as PDF
+// Days get their own headers, the journal's Markdown headings and lists become real elements
+class PrintExporter {
+    constructor(markdownExporter) {
+        this.markdownExporter = markdownExporter;
+        this.tocLabelLength = 60;
+    }
+
+    // from/to are YYYY-MM-DD local days, both inclusive; templates are never printed
+    selectEntries(entries, { from = '', to = '', tag = '' } = {}) {
+        const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+        const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+        const wanted = tag.toLowerCase();
+
+        return entries
+            .filter(entry => {
+                const time = new Date(entry.createdAt).getTime();
+                return !entry.isTemplate && time >= start && time <= end &&
+                    (!wanted || this.markdownExporter.getTags(entry.content).some(entryTag => entryTag.toLowerCase() === wanted));
+            })
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    // Most used first, so the tag picker leads with what matters
+    getTagCounts(entries) {
+        const counts = new Map();
+        entries.filter(entry => !entry.isTemplate).forEach(entry => {
+            this.markdownExporter.getTags(entry.content).forEach(tag => {
+                const key = tag.toLowerCase();
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+        });
+        return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    }
+
+    dayKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Sorted entries -> [{ key, date, entries }] in local days
+    groupByDay(entries) {
+        const days = [];
+        entries.forEach(entry => {
+            const date = new Date(entry.createdAt);
+            const key = this.dayKey(date);
+            if (days.length === 0 || days[days.length - 1].key !== key) {
+                days.push({ key, date, entries: [] });
+            }
+            days[days.length - 1].entries.push(entry);
+        });
+        return days;
+    }
+
+    getEntryLabel(entry) {
+        if (entry.title) return entry.title;
+        const firstLine = entry.content.split('\n').find(line => line.trim()) || '';
+        const text = firstLine.replace(/^#+\s*/, '').trim() || 'Untitled';
+        return text.length > this.tocLabelLength ? `${text.substring(0, this.tocLabelLength)}…` : text;
+    }
+
+    // The whole printable document: title, table of contents, then one section per day
+    render(entries, { title, subtitle, typography, pageBreakPerDay = false }) {
+        const root = document.createDocumentFragment();
+        const days = this.groupByDay(entries);
+
+        const cover = document.createElement('header');
+        cover.className = 'print-cover';
+        const heading = document.createElement('h1');
+        heading.textContent = title;
+        const meta = document.createElement('p');
+        meta.className = 'print-meta';
+        meta.textContent = subtitle;
+        cover.append(heading, meta);
+
+        const toc = document.createElement('nav');
+        toc.className = 'print-toc';
+        const tocTitle = document.createElement('h2');
+        tocTitle.textContent = 'Contents';
+        const tocList = document.createElement('ol');
+        toc.append(tocTitle, tocList);
+        cover.appendChild(toc);
+        root.appendChild(cover);
+
+        let month = null;
+        days.forEach(day => {
+            const dayLabel = day.date.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#print-day-${day.key}`;
+            link.textContent = day.date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+            const labels = document.createElement('span');
+            labels.className = 'print-toc-entries';
+            labels.textContent = day.entries.map(entry => this.getEntryLabel(entry)).join(' · ');
+            item.append(link, labels);
+            tocList.appendChild(item);
+
+            // A new month always starts a new page; every day does when asked
+            const section = document.createElement('section');
+            section.className = 'print-day';
+            section.id = `print-day-${day.key}`;
+            if (pageBreakPerDay || day.key.slice(0, 7) !== month) {
+                section.classList.add('print-page-break');
+            }
+            month = day.key.slice(0, 7);
+
+            const dayHeader = document.createElement('h2');
+            dayHeader.className = 'print-day-header';
+            dayHeader.textContent = dayLabel;
+            section.appendChild(dayHeader);
+
+            day.entries.forEach(entry => {
+                const article = document.createElement('article');
+                article.className = 'print-entry';
+                const entryHeader = document.createElement('h3');
+                entryHeader.className = 'print-entry-header';
+                const time = document.createElement('span');
+                time.className = 'print-entry-time';
+                time.textContent = new Date(entry.createdAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+                entryHeader.appendChild(time);
+                if (entry.title) {
+                    entryHeader.append(` ${entry.title}`);
+                }
+                const content = document.createElement('div');
+                content.className = 'print-entry-content';
+                content.appendChild(this.renderMarkdown(entry.content));
+                article.append(entryHeader, content);
+                section.appendChild(article);
+            });
+
+            root.appendChild(section);
+        });
+
+        const view = document.createElement('div');
+        view.className = 'print-document';
+        view.style.setProperty('--print-font', typography.fontFamily);
+        view.style.setProperty('--print-heading-font', typography.headingFontFamily);
+        view.style.setProperty('--print-line-height', String(typography.lineHeight));
+        view.style.setProperty('--print-accent', typography.accent);
+        view.appendChild(root);
+        return view;
+    }
+
+    // Block-level Markdown (headings, lists, quotes, rules, paragraphs) plus bold, italics and code.
+    // Built from DOM nodes so entry text is never parsed as HTML.
+    renderMarkdown(content) {
+        const fragment = document.createDocumentFragment();
+        let block = null; // The paragraph, list or quote that following lines continue
+
+        content.split('\n').forEach(line => {
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+            const quote = line.match(/^>\s?(.*)$/);
+
+            if (!line.trim()) {
+                block = null;
+            } else if (heading) {
+                // Entry text sits under the day (h2) and entry (h3) headers
+                const element = document.createElement(`h${Math.min(heading[1].length + 3, 6)}`);
+                element.className = `print-md-heading print-md-h${heading[1].length}`;
+                this.appendInline(element, heading[2]);
+                fragment.appendChild(element);
+                block = null;
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                fragment.appendChild(document.createElement('hr'));
+                block = null;
+            } else if (item) {
+                const tag = item[1] ? 'UL' : 'OL';
+                if (!block || block.tagName !== tag) {
+                    block = document.createElement(tag.toLowerCase());
+                    fragment.appendChild(block);
+                }
+                const listItem = document.createElement('li');
+                this.appendInline(listItem, item[2]);
+                block.appendChild(listItem);
+            } else {
+                const tag = quote ? 'BLOCKQUOTE' : 'P';
+                if (!block || block.tagName !== tag) {
+                    block = document.createElement(tag.toLowerCase());
+                    fragment.appendChild(block);
+                } else {
+                    block.appendChild(document.createElement('br'));
+                }
+                this.appendInline(block, quote ? quote[1] : line);
+            }
+        });
+
+        return fragment;
+    }
+
+    appendInline(parent, text) {
+        // Only * for emphasis - underscores turn up inside words and file names
+        text.split(/(\*\*[^*]+\*\*|`[^`]+`|\*[^*\s][^*]*\*)/).forEach(part => {
+            if (!part) return;
+            let element = null;
+            if (/^\*\*.+\*\*$/.test(part)) {
+                element = document.createElement('strong');
+                element.textContent = part.slice(2, -2);
+            } else if (/^`.+`$/.test(part)) {
+                element = document.createElement('code');
+                element.textContent = part.slice(1, -1);
+            } else if (/^\*.+\*$/.test(part)) {
+                element = document.createElement('em');
+                element.textContent = part.slice(1, -1);
+            }
+            parent.appendChild(element || document.createTextNode(part));
+        });
+    }
+}
+
+// Export Schema Class - Handles the JSON backup format: validation and upgrades from older versions
+class ExportSchema {
+    constructor() {
+        this.currentVersion = '2.0';
+
+        // Rules for the fields the app relies on; anything else on an entry is kept as-is
+        this.entryFields = {
+            // Ids go into markup and selectors, so only plain tokens like the app generates are accepted
+            id: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]+$/ },
+            content: { type: 'string', required: true },
+            createdAt: { type: 'date', required: true },
+            updatedAt: { type: 'date' },
+            title: { type: 'string' },
+            wordCount: { type: 'number' },
+            isTemplate: { type: 'boolean' },
+            templateOrder: { type: 'number' },
+            isReview: { type: 'boolean' },
+            reviewOf: { type: 'array' },
+            revisions: { type: 'array' }
+        };
+
+        // Each migration upgrades a backup from its key's version to the next one
+        this.migrations = {
+            // 1.0 never changed its version number, so it covers both the original { id, content, date }
+            // entries and later ones with createdAt/updatedAt and template fields
+            '1.0': (data) => ({
+                ...data,
+                version: '2.0',
+                app: null,
+                settings: null,
+                entries: data.entries.map(entry => {
+                    if (!entry || typeof entry !== 'object') return entry;
+                    const { date, ...rest } = entry;
+                    return {
+                        ...rest,
+                        createdAt: entry.createdAt ?? date,
+                        updatedAt: entry.updatedAt ?? date ?? entry.createdAt,
+                        isTemplate: entry.isTemplate ?? false,
+                        templateOrder: entry.templateOrder ?? null
+                    };
+                })
+            })
+        };
+    }
+
+    // Upgrades a parsed backup to the current version; throws when it can't be read at all
+    migrate(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.entries)) {
+            throw new Error('This file isn\'t a journal backup or a Day One export');
+        }
+
+        // The first exports had no version field
+        let version = data.version === undefined ? '1.0' : String(data.version);
+        if (this.compareVersions(version, this.currentVersion) > 0) {
+            throw new Error(`This backup was made by a newer version of the app (format ${version}) - update to import it`);
+        }
+
+        while (version !== this.currentVersion) {
+            const migration = this.migrations[version];
+            if (!migration) {
+                throw new Error(`Backup format ${version} isn't supported`);
+            }
+            data = migration(data);
+            version = data.version;
+        }
+        return data;
+    }
+
+    compareVersions(a, b) {
+        const [aMajor = 0, aMinor = 0] = a.split('.').map(Number);
+        const [bMajor = 0, bMinor = 0] = b.split('.').map(Number);
+        return aMajor - bMajor || aMinor - bMinor;
+    }
+
+    // Splits a migrated backup's entries into valid ones and { index, id, message } errors
+    validate(data) {
+        const entries = [];
+        const errors = [];
+
+        data.entries.forEach((entry, index) => {
+            const problems = this.validateEntry(entry);
+            if (problems.length === 0) {
+                entries.push(entry);
+            } else {
+                const id = entry && typeof entry.id === 'string' ? entry.id : null;
+                errors.push({ index, id, message: problems.join(', ') });
+            }
+        });
+
+        return { entries, errors };
+    }
+
+    validateEntry(entry) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return ['not an entry'];
+        }
+
+        return Object.entries(this.entryFields).flatMap(([field, rule]) => {
+            const value = entry[field];
+            if (value === undefined || value === null) {
+                return rule.required ? [`missing ${field}`] : [];
+            }
+            if (rule.type === 'date') {
+                return typeof value === 'string' && !isNaN(new Date(value).getTime()) ? [] : [`${field} isn't a valid date`];
+            }
+            if (rule.type === 'array') {
+                return Array.isArray(value) ? [] : [`${field} should be a list`];
+            }
+            if (typeof value !== rule.type) {
+                return [`${field} should be a ${rule.type}`];
+            }
+            return rule.pattern && !rule.pattern.test(value) ? [`${field} has characters that aren't allowed`] : [];
+        });
+    }
+
+    formatError({ index, id, message }) {
+        return `Entry ${index + 1}${id ? ` (${id})` : ''}: ${message}`;
+    }
+}
+
+// Journal Importer Class - Handles reading Markdown folders and zips, Day One JSON and plain text files
+// Nothing is saved here: read() returns entries plus warnings for the user to preview first
+class JournalImporter {
+    constructor(journal) {
+        this.journal = journal;
+        this.maxWarnings = 200; // Beyond this only a count is kept
+    }
+
+    // files: [{ path, bytes: Uint8Array, date }] - date is the file's modified time
+    async read(files) {
+        const result = {
+            entries: [],
+            warnings: [],
+            counts: { markdown: 0, dayone: 0, text: 0 },
+            skippedFiles: 0,
+            fileCount: 0
+        };
+
+        for (const file of files) {
+            await this.readFile(file.path, file.bytes, file.date, result);
+        }
+
+        return result;
+    }
+
+    async readFile(path, bytes, date, result) {
+        const name = path.split('/').pop();
+        const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+
+        // System files from macOS zips and hidden folders like .obsidian aren't journal content
+        if (path.split('/').some(part => part.startsWith('.') || part === '__MACOSX')) return;
+
+        try {
+            if (extension === 'zip') {
+                const archive = await ZipArchive.read(bytes);
+                archive.unsupported.forEach(inner => this.warn(result, `${path}/${inner}: compressed in a way this browser can't read`));
+                for (const inner of archive.files) {
+                    await this.readFile(`${path}/${inner.path}`, inner.data, inner.date, result);
+                }
+                return;
+            }
+
+            const text = new TextDecoder().decode(bytes);
+            result.fileCount++;
+
+            if (extension === 'md' || extension === 'markdown') {
+                this.addEntry(result, 'markdown', this.parseMarkdown(path, text, date, result));
+            } else if (extension === 'txt') {
+                this.addEntry(result, 'text', this.parseText(path, text, date, result));
+            } else if (extension === 'json') {
+                const data = JSON.parse(text);
+                if (!this.isDayOne(data)) {
+                    this.warn(result, `${path}: not a Day One export - journal backups have to be imported on their own`);
+                    return;
+                }
+                data.entries.forEach((entry, index) => {
+                    this.addEntry(result, 'dayone', this.parseDayOneEntry(entry, `${path} #${index + 1}`, result));
+                });
+            } else {
+                result.fileCount--;
+                result.skippedFiles++;
+            }
+        } catch (error) {
+            this.warn(result, `${path}: ${error.message}`);
+        }
+    }
+
+    addEntry(result, format, entry) {
+        if (!entry) return;
+        result.entries.push(entry);
+        result.counts[format]++;
+    }
+
+    warn(result, message) {
+        if (result.warnings.length < this.maxWarnings) {
+            result.warnings.push(message);
+        } else {
+            result.hiddenWarnings = (result.hiddenWarnings || 0) + 1;
+        }
+    }
+
+    // Splits incoming entries into new ones, copies already in the journal, and conflicting versions.
+    // An id repeated within the same import gets a fresh id rather than overwriting the first copy.
+    classify(entries) {
+        const fresh = [];
+        const identical = [];
+        const conflicts = [];
+        const seen = new Set();
+
+        entries.forEach(entry => {
+            const incoming = seen.has(entry.id) ? { ...entry, id: this.journal.generateId() } : entry;
+            seen.add(incoming.id);
+
+            const local = this.journal.entryRepository.get(incoming.id);
+            if (!local) {
+                fresh.push(incoming);
+            } else if (this.isSameEntry(local, incoming)) {
+                identical.push(incoming);
+            } else {
+                conflicts.push({ local, incoming });
+            }
+        });
+
+        return { fresh, identical, conflicts };
+    }
+
+    // Edit times alone don't make a conflict - only what the user would see differently
+    isSameEntry(local, incoming) {
+        return (local.content || '').trim() === (incoming.content || '').trim() &&
+            (local.title || null) === (incoming.title || null) &&
+            new Date(local.createdAt).getTime() === new Date(incoming.createdAt).getTime() &&
+            !!local.isTemplate === !!incoming.isTemplate;
+    }
+
+    isDayOne(data) {
+        return !!data && !!data.metadata && Array.isArray(data.entries) &&
+            data.entries.some(entry => entry && 'creationDate' in entry);
+    }
+
+    // Ids end up in markup and selectors, so anything not shaped like a token gets a fresh one
+    createEntry({ id, content, createdAt, updatedAt, title = null, source, dateSource, extra = {} }) {
+        return {
+            id: id && /^[A-Za-z0-9_-]+$/.test(String(id)) ? String(id) : this.journal.generateId(),
+            content,
+            createdAt: createdAt.toISOString(),
+            updatedAt: (updatedAt && updatedAt >= createdAt ? updatedAt : createdAt).toISOString(),
+            wordCount: content.split(/\s+/).length,
+            title,
+            ...extra,
+            source, // Where it came from, for the preview - removed before saving
+            dateSource
+        };
+    }
+
+    // Dates without a time land at noon so no timezone shifts them to another day
+    parseDate(value) {
+        if (value instanceof Date) return isNaN(value) ? null : value;
+        if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+        const text = String(value).trim();
+        const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = dateOnly ? new Date(+dateOnly[1], dateOnly[2] - 1, +dateOnly[3], 12) : new Date(text);
+        return isNaN(date) ? null : date;
+    }
+
+    // 2026-03-05, 2026_03_05, 20260305 or a 2026/03/05 folder layout
+    dateFromPath(path) {
+        const name = path.split('/').pop();
+        for (const candidate of [name, path]) {
+            const match = candidate.match(/(?:^|\D)((?:19|20)\d{2})[-_./]?(\d{2})[-_./]?(\d{2})(?!\d)/);
+            if (match && +match[2] >= 1 && +match[2] <= 12 && +match[3] >= 1 && +match[3] <= 31) {
+                return new Date(+match[1], match[2] - 1, +match[3], 12);
+            }
+        }
+        return null;
+    }
+
+    // A leading "# Heading" doubles as the title
+    getHeadingTitle(text) {
+        const match = text.trim().match(/^#\s+(.+)/);
+        return match ? match[1].trim() : null;
+    }
+
+    // Tags and location have no field of their own, so they become #hashtags and a 📍 line,
+    // which search, chat scope and the Markdown export already understand
+    appendMetadata(content, tags = [], location = '') {
+        const existing = this.journal.markdownExporter.getTags(content).map(tag => tag.toLowerCase());
+        const missing = tags
+            .map(tag => String(tag).trim().replace(/^#/, '').replace(/\s+/g, '-'))
+            .filter(tag => tag && !existing.includes(tag.toLowerCase()));
+        const footer = [
+            location ? `📍 ${location}` : '',
+            missing.length > 0 ? missing.map(tag => `#${tag}`).join(' ') : ''
+        ].filter(Boolean).join('\n');
+        return footer ? `${content}\n\n${footer}` : content;
+    }
+
+    // Minimal YAML front matter: key: value pairs with strings, numbers, booleans and lists
+    parseFrontMatter(text) {
+        const match = text.match(/^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)\s*(?:\r?\n|$)/);
+        if (!match) return { data: null, body: text, invalidLines: [] };
+
+        const data = {};
+        const invalidLines = [];
+        let listKey = null;
+
+        match[1].split(/\r?\n/).forEach(line => {
+            if (!line.trim() || line.trim().startsWith('#')) return;
+
+            const item = line.match(/^\s+-\s*(.*)$/) || (listKey && line.match(/^-\s+(.*)$/));
+            if (item && listKey) {
+                data[listKey].push(this.parseYamlValue(item[1]));
+                return;
+            }
+
+            const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+            if (!pair) {
+                invalidLines.push(line.trim());
+                return;
+            }
+
+            const key = pair[1].toLowerCase();
+            if (pair[2].trim() === '') {
+                data[key] = [];
+                listKey = key;
+            } else {
+                data[key] = this.parseYamlValue(pair[2]);
+                listKey = null;
+            }
+        });
+
+        return { data, body: text.substring(match[0].length), invalidLines };
+    }
+
+    parseYamlValue(raw) {
+        const value = raw.trim();
+        if (value.startsWith('[') && value.endsWith(']')) {
+            const items = value.slice(1, -1).match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g) || [];
+            return items.map(item => this.parseYamlValue(item)).filter(item => item !== '');
+        }
+        if (value.startsWith('"') && value.endsWith('"')) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value.slice(1, -1);
+            }
+        }
+        if (value.startsWith("'") && value.endsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+        if (/^(true|yes)$/i.test(value)) return true;
+        if (/^(false|no)$/i.test(value)) return false;
+        if (/^(null|~)$/i.test(value)) return null;
+        if (/^-?\d+(\.\d+)?$/.test(value) && value.length < 16) return Number(value);
+        return value;
+    }
+
+    parseMarkdown(path, text, fileDate, result) {
+        const { data, body, invalidLines } = this.parseFrontMatter(text);
+        const meta = data || {};
+        if (invalidLines.length > 0) {
+            this.warn(result, `${path}: ignored front matter lines it couldn't read (${invalidLines.slice(0, 3).join('; ')})`);
+        }
+
+        const content = body.trim();
+        if (!content) {
+            this.warn(result, `${path}: empty, skipped`);
+            return null;
+        }
+
+        const pick = (...keys) => keys.map(key => meta[key]).find(value => value !== undefined && value !== null && value !== '');
+        const { createdAt, dateSource } = this.resolveDate(path, pick('created', 'date', 'created_at', 'creation_date', 'created_on'), fileDate, result);
+        const tags = pick('tags', 'tag', 'keywords');
+        const location = pick('location', 'place');
+        const extra = {};
+        if (meta.template === true) {
+            extra.isTemplate = true;
+            extra.templateOrder = typeof meta.template_order === 'number' ? meta.template_order : null;
+        }
+        if (meta.review === true) {
+            extra.isReview = true;
+            extra.reviewOf = Array.isArray(meta.review_of) ? meta.review_of.map(String) : [];
+        }
+
+        return this.createEntry({
+            id: pick('id', 'uuid'),
+            content: this.appendMetadata(content, Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(/[,\s]+/) : [], typeof location === 'string' ? location : ''),
+            createdAt,
+            updatedAt: this.parseDate(pick('updated', 'modified', 'updated_at', 'last_modified')),
+            title: typeof meta.title === 'string' && meta.title.trim() ? meta.title.trim() : this.getHeadingTitle(content),
+            source: path,
+            dateSource,
+            extra
+        });
+    }
+
+    parseText(path, text, fileDate, result) {
+        const content = text.trim();
+        if (!content) {
+            this.warn(result, `${path}: empty, skipped`);
+            return null;
+        }
+
+        const { createdAt, dateSource } = this.resolveDate(path, null, fileDate, result);
+        return this.createEntry({ content, createdAt, source: path, dateSource });
+    }
+
+    // Front matter date, then a date in the file name, then the file's modified time
+    resolveDate(path, value, fileDate, result) {
+        if (value !== undefined && value !== null) {
+            const date = this.parseDate(value);
+            if (date) return { createdAt: date, dateSource: 'front matter' };
+            this.warn(result, `${path}: couldn't read the date "${value}"`);
+        }
+
+        const fromPath = this.dateFromPath(path);
+        if (fromPath) return { createdAt: fromPath, dateSource: 'file name' };
+
+        this.warn(result, `${path}: no date found, used the file's modified date`);
+        return { createdAt: fileDate && !isNaN(fileDate) ? fileDate : new Date(), dateSource: 'file date' };
+    }
+
+    parseDayOneEntry(entry, label, result) {
+        const createdAt = this.parseDate(entry.creationDate);
+        if (!createdAt) {
+            this.warn(result, `${label}: no creation date, skipped`);
+            return null;
+        }
+
+        // Day One escapes Markdown punctuation and links photos it keeps outside the JSON
+        let photos = 0;
+        const content = (entry.text || '')
+            .replace(/!\[[^\]]*\]\(dayone-moment:[^)]*\)/g, () => {
+                photos++;
+                return '📷';
+            })
+            .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1')
+            .trim();
+
+        if (!content) {
+            this.warn(result, `${label}: no text, skipped`);
+            return null;
+        }
+        if (photos > 0) {
+            this.warn(result, `${label}: ${photos} photo${photos === 1 ? '' : 's'} not imported (marked with 📷)`);
+        }
+
+        const place = entry.location || {};
+        const location = [place.placeName, place.localityName, place.administrativeArea, place.country]
+            .filter((part, index, parts) => part && parts.indexOf(part) === index)
+            .join(', ');
+
+        return this.createEntry({
+            id: entry.uuid ? `dayone-${entry.uuid}` : null,
+            content: this.appendMetadata(content, Array.isArray(entry.tags) ? entry.tags : [], location),
+            createdAt,
+            updatedAt: this.parseDate(entry.modifiedDate),
+            title: this.getHeadingTitle(content),
+            source: label,
+            dateSource: 'Day One'
+        });
+    }
+}
+
+// Simple Journal App - Extracted JavaScript
+class SimpleJournal {
+    constructor() {
+        this.entryRepository = new EntryRepository();
+        this.chatSessionRepository = new ChatSessionRepository(this.entryRepository);
+        this.encryptionManager = new EncryptionManager();
+        this.isLocked = false;
+        this.lastActivityAt = Date.now();
+        this.currentEntryId = null;
+        this.saveTimeout = null;
+        this.typingTimeout = null;
+        this.timeUpdateInterval = null;
+        this.lastSavedTimestamp = null;
+        this.sidebarManager = null; // Will be initialized in setupElements
+        this.aiService = new AIService();
+        this.embeddingIndex = new EmbeddingIndex(this.entryRepository, this.aiService);
+        this.themeManager = new ThemeManager();
+        this.analytics = new PrivacyAnalytics();
+        this.templateManager = new TemplateManager(this); // Initialize template manager
+        this.personaManager = new PersonaManager(this);
+        this.revisionManager = new RevisionManager(this);
+        this.markdownExporter = new MarkdownExporter();
+        this.exportSchema = new ExportSchema();
+        this.printExporter = new PrintExporter(this.markdownExporter);
+        this.appVersion = '2.0.0'; // Recorded in exports
+        this.journalImporter = new JournalImporter(this);
+        this.selectedRevisionId = null;
+        this.dateField = this.loadDateFieldPreference(); // 'createdAt' or 'updatedAt'
+        this.pendingCreatedAt = null; // Back-dated creation time for an entry not saved yet
+        this.currentFilter = 'all'; // 'all' or 'templates'
+        this.isTemplateContent = false; // Track if current content is from template
+        this.templateContentOriginal = null; // Store original template content
+        
+        // Set up analytics callbacks
+        this.themeManager.onThemeChange = (theme, mode) => {
+            this.analytics.trackThemeChange(theme, mode);
+        };
+        
+        this.aiService.onStatusChange((status) => {
+            this.analytics.trackAIStatus(status);
+        });
+        this.chatInterface = null;
+
+        this.init();
+    }
+
+    // Entries live in the repository; this accessor keeps existing callers working
+    get entries() {
+        return this.entryRepository.getAll();
+    }
+
+    set entries(entries) {
+        this.entryRepository.replaceAll(entries);
+    }
+
+    async init() {
+        console.log('🚀 Starting Simple Journal...');
+
+        // Add loading class to body
+        document.body.classList.add('loading');
+
+        this.setupElements();
+        this.setupEventListeners();
+
+        // Surface storage failures instead of losing writes silently
+        this.entryRepository.onError(() => this.handleStorageError());
+        this.entryRepository.onChange((saved, deletedIds) => this.embeddingIndex.handleEntriesChanged(saved, deletedIds));
+
+        // Encrypted journals stay unreadable until the passphrase is entered
+        if (this.encryptionManager.isEnabled()) {
+            await this.showLockScreen();
+        }
+        this.startIdleLockTimer();
+        await this.loadEntries();
+
+        this.renderEntries();
+        this.updateWordCount();
+        this.updateEntryDateInput();
+
+        // Initialize AI service
+        this.initializeAIService();
+
+        // Welcome overlay removed - cleaner startup
+
+        // Remove loading class after a short delay
+        setTimeout(() => {
+            document.body.classList.remove('loading');
+        }, 200);
+
+        console.log('✅ Simple Journal ready!');
+    }
+
+    setupElements() {
+        // Core elements
+        this.textarea = document.getElementById('journalEntry');
+        this.wordCount = document.getElementById('wordCount');
+        this.entryList = document.getElementById('entryList');
+        this.searchInput = document.getElementById('searchInput');
+        // Welcome overlay removed - no longer needed
+        this.writingContainer = document.querySelector('.writing-container');
+
+        // Autosave elements
+        this.autosaveDot = document.getElementById('autosaveDot');
+        this.autosaveStatus = document.getElementById('autosaveStatus');
+        this.lastSavedTime = document.getElementById('lastSavedTime');
+
+        // Initialize enhanced sidebar management - get elements fresh
+        setTimeout(() => {
+            this.leftToggle = document.getElementById('leftToggle');
+            this.rightToggle = document.getElementById('rightToggle');
+
+            console.log('Fresh element lookup:', {
+                leftToggle: this.leftToggle,
+                rightToggle: this.rightToggle,
+                leftToggleId: this.leftToggle?.id,
+                rightToggleId: this.rightToggle?.id
+            });
+
+            if (this.leftToggle && this.rightToggle) {
+                this.sidebarManager = new SidebarManager(this.leftToggle, this.rightToggle, this.analytics);
+                console.log('SidebarManager created successfully:', this.sidebarManager);
+            } else {
+                console.error('Toggle buttons not found!');
+            }
+        }, 100);
+
+        // Buttons
+        this.newBtn = document.getElementById('newBtn');
+        this.templateDropdownBtn = document.getElementById('templateDropdownBtn');
+        this.newEntryDropdown = document.getElementById('newEntryDropdown');
+        this.floatingNewBtn = document.getElementById('floatingNewBtn');
+        
+        // Debug: Check if template dropdown button exists
+        if (!this.templateDropdownBtn) {
+            console.error('Template dropdown button not found!');
+        } else {
+            console.log('Template dropdown button found:', this.templateDropdownBtn);
+        }
+        this.exportBtn = document.getElementById('exportBtn');
+        this.exportMarkdownBtn = document.getElementById('exportMarkdownBtn');
+        this.importBtn = document.getElementById('importBtn');
+        this.importFile = document.getElementById('importFile');
+        this.importFolderBtn = document.getElementById('importFolderBtn');
+        this.importFolder = document.getElementById('importFolder');
+        this.importPanel = document.getElementById('importPanel');
+        this.printBtn = document.getElementById('printBtn');
+        this.printPanel = document.getElementById('printPanel');
+        this.printRangeSelect = document.getElementById('printRangeSelect');
+        this.printFrom = document.getElementById('printFrom');
+        this.printTo = document.getElementById('printTo');
+        this.printTagSelect = document.getElementById('printTagSelect');
+        this.printPageBreaks = document.getElementById('printPageBreaks');
+        this.printSummary = document.getElementById('printSummary');
+        this.printConfirmBtn = document.getElementById('printConfirmBtn');
+        this.printView = document.getElementById('printView');
+        this.aiChatBtn = document.getElementById('aiChatBtn');
+        this.aiStatus = document.getElementById('aiStatus');
+        this.aiCapabilities = document.getElementById('aiCapabilities');
+        this.reviewButtons = document.querySelectorAll('.review-btn');
+        this.reviewSources = document.getElementById('reviewSources');
+        this.reviewAbortController = null; // Set while a weekly/monthly review is being written
+        this.titleUntitledBtn = document.getElementById('titleUntitledBtn');
+        this.titleEdits = new Map(); // Open title editors by entry id: { value, suggestion, loading }
+        this.titleAbortController = null; // Set while "Title untitled entries" is running
+
+        // Entry date elements
+        this.dateSortButtons = document.querySelectorAll('.date-sort-btn');
+        this.entryDateInput = document.getElementById('entryDateInput');
+
+        // Template filter elements
+        this.filterTabs = document.querySelectorAll('.filter-tab');
+        this.templateCount = document.getElementById('templateCount');
+
+        // Template management elements
+        this.templateManagement = document.getElementById('templateManagement');
+        this.templateCountText = document.getElementById('templateCountText');
+        this.templateListContainer = document.getElementById('templateListContainer');
+
+        // Entry summary elements removed - no longer using summarization
+
+        // Floating chat interface elements
+        this.floatingAIChat = document.getElementById('floatingAIChat');
+        this.chatMessages = document.getElementById('chatMessages');
+        this.chatInput = document.getElementById('chatInput');
+        this.chatSendBtn = document.getElementById('chatSendBtn');
+        this.chatStopBtn = document.getElementById('chatStopBtn');
+        this.chatNewBtn = document.getElementById('chatNewBtn');
+        this.chatScopeSelect = document.getElementById('chatScopeSelect');
+        this.chatScopeFrom = document.getElementById('chatScopeFrom');
+        this.chatScopeTo = document.getElementById('chatScopeTo');
+        this.chatScopeDates = document.getElementById('chatScopeDates');
+        this.chatScopeSummary = document.getElementById('chatScopeSummary');
+        this.chatScope = this.loadChatScope(); // { kind, from, to }
+        this.chatPersonaSelect = document.getElementById('chatPersonaSelect');
+        this.chatPersonaEditBtn = document.getElementById('chatPersonaEditBtn');
+        this.chatPersonaPanel = document.getElementById('chatPersonaPanel');
+        this.chatPersonaDeleteBtn = document.getElementById('chatPersonaDeleteBtn');
+        this.editingPersonaId = null; // Custom persona open in the editor, null for a new one
+        this.chatAbortController = null;
+        this.chatHistory = [];
+
+        // Saved chat session elements (opt-in)
+        this.chatSessionsBtn = document.getElementById('chatSessionsBtn');
+        this.chatSessionsPanel = document.getElementById('chatSessionsPanel');
+        this.chatSessionSearch = document.getElementById('chatSessionSearch');
+        this.chatSessionList = document.getElementById('chatSessionList');
+        this.chatSaveToggle = document.getElementById('chatSaveToggle');
+        this.chatDisclaimerText = document.getElementById('chatDisclaimerText');
+        this.chatSessionsEnabled = this.loadChatSessionPreference();
+        this.currentChatSessionId = null;
+        this.chatCloseBtn = document.getElementById('chatCloseBtn');
+        this.chatActions = document.getElementById('chatActions');
+        this.createReflectionBtn = document.getElementById('createReflectionBtn');
+
+        // Entry history panel elements
+        this.historyBtn = document.getElementById('historyBtn');
+        this.historyPanel = document.getElementById('historyPanel');
+        this.historyList = document.getElementById('historyList');
+        this.historyCompareSelect = document.getElementById('historyCompareSelect');
+        this.historyDiff = document.getElementById('historyDiff');
+        this.historyRestoreBtn = document.getElementById('historyRestoreBtn');
+        this.historyCloseBtn = document.getElementById('historyCloseBtn');
+
+        // AI connection settings elements
+        this.aiEndpointInput = document.getElementById('aiEndpointInput');
+        this.testConnectionBtn = document.getElementById('testConnectionBtn');
+        this.connectionTestResult = document.getElementById('connectionTestResult');
+        this.aiProviderSelect = document.getElementById('aiProviderSelect');
+        this.aiProviderSelect.value = this.aiService.providerId;
+        this.aiEndpointInput.value = this.aiService.endpoint;
+        this.aiEndpointInput.placeholder = this.aiService.provider.defaultEndpoint;
+
+        // Journal lock elements
+        this.lockScreen = document.getElementById('lockScreen');
+        this.lockForm = document.getElementById('lockForm');
+        this.lockPassphraseInput = document.getElementById('lockPassphraseInput');
+        this.lockError = document.getElementById('lockError');
+        this.unlockBtn = document.getElementById('unlockBtn');
+        this.lockDialog = document.getElementById('lockDialog');
+        this.lockDialogForm = document.getElementById('lockDialogForm');
+        this.lockSettings = document.getElementById('lockSettings');
+        this.renderLockSettings();
+
+        // Test panel button
+        this.testToggleBtn = document.getElementById('testToggleBtn');
+
+        // Initialize theme UI
+        this.themeManager.initializeUI();
+
+        // Initialize AI model selector
+        this.initializeModelSelector();
+
+        // Initialize template dropdown
+        this.initializeTemplateDropdown();
+
+        // Initialize chat persona picker
+        this.renderPersonaOptions();
+    }
+
+    setupEventListeners() {
+        // Welcome overlay removed - no longer needed
+
+        // Focus textarea on main content click
+        document.querySelector('.main-content').addEventListener('click', () => {
+            this.textarea.focus();
+        });
+
+        // Sidebar toggles are now handled by SidebarManager
+
+        // Textarea
+        this.textarea.addEventListener('input', () => {
+            this.updateWordCount();
+            
+            // Check if this is the first edit of template content
+            if (this.isTemplateContent) {
+                // User has started editing the template
+                this.isTemplateContent = false;
+                this.templateContentOriginal = null;
+            }
+            
+            this.autoSave();
+
+            // Add typing indicator
+            this.writingContainer?.classList.add('typing');
+            clearTimeout(this.typingTimeout);
+            this.typingTimeout = setTimeout(() => {
+                this.writingContainer?.classList.remove('typing');
+            }, 1000);
+        });
+
+        this.textarea.addEventListener('focus', () => {
+            this.writingContainer?.classList.add('focused');
+        });
+
+        this.textarea.addEventListener('blur', () => {
+            this.writingContainer?.classList.remove('focused');
+            // No automatic welcome screen reappearing - less annoying UX
+        });
+
+        // Buttons
+        this.newBtn.addEventListener('click', () => this.createBlankEntry());
+        this.templateDropdownBtn.addEventListener('click', (e) => this.toggleTemplateDropdown(e));
+        this.floatingNewBtn.addEventListener('click', () => this.createBlankEntry());
+        this.exportBtn.addEventListener('click', () => this.exportEntries());
+        this.exportMarkdownBtn.addEventListener('click', () => this.exportMarkdown());
+        this.importBtn.addEventListener('click', () => this.importFile.click());
+        this.importFile.addEventListener('change', (e) => this.handleImport(e));
+        this.importFolderBtn.addEventListener('click', () => this.importFolder.click());
+        this.importFolder.addEventListener('change', (e) => this.handleImport(e));
+        this.printBtn.addEventListener('click', () => this.openPrintPanel());
+        this.aiChatBtn.addEventListener('click', () => this.toggleAIChat());
+        this.reviewButtons.forEach(button => {
+            button.addEventListener('click', () => this.generateReview(button.dataset.period));
+        });
+        this.titleUntitledBtn.addEventListener('click', () => this.titleUntitledEntries());
+        this.testToggleBtn.addEventListener('click', () => this.toggleTestPanel());
+
+        // Print / PDF export
+        this.printRangeSelect.addEventListener('change', () => {
+            this.applyPrintRange(this.printRangeSelect.value);
+            this.updatePrintSummary();
+        });
+        [this.printFrom, this.printTo].forEach(input => {
+            input.addEventListener('change', () => {
+                this.printRangeSelect.value = 'custom';
+                this.updatePrintSummary();
+            });
+        });
+        this.printTagSelect.addEventListener('change', () => this.updatePrintSummary());
+        this.printConfirmBtn.addEventListener('click', () => this.printJournal());
+        this.printPanel.querySelectorAll('[data-action="cancel"]').forEach(button => {
+            button.addEventListener('click', () => this.closePrintPanel());
+        });
+        window.addEventListener('afterprint', () => this.clearPrintView());
+
+        // Entry history
+        this.historyBtn.addEventListener('click', () => this.toggleHistoryPanel());
+        this.historyCloseBtn.addEventListener('click', () => this.closeHistoryPanel());
+        this.historyCompareSelect.addEventListener('change', () => this.renderRevisionDiff());
+        this.historyRestoreBtn.addEventListener('click', () => {
+            if (this.currentEntryId && this.selectedRevisionId) {
+                this.revisionManager.restoreRevision(this.currentEntryId, this.selectedRevisionId);
+                this.renderHistoryPanel();
+            }
+        });
+
+
+        // Chat interface
+        this.chatSendBtn.addEventListener('click', () => this.sendChatMessage());
+        this.testConnectionBtn.addEventListener('click', () => this.testAIConnection());
+        this.aiProviderSelect.addEventListener('change', (e) => this.switchAIProvider(e.target.value));
+        this.aiEndpointInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.testAIConnection();
+            }
+        });
+        this.chatStopBtn.addEventListener('click', () => this.stopChatResponse());
+        this.chatNewBtn.addEventListener('click', () => this.startNewConversation());
+        this.chatPersonaSelect.addEventListener('change', (e) => this.selectPersona(e.target.value));
+        this.chatScopeSelect.addEventListener('change', () => this.setChatScope({ kind: this.chatScopeSelect.value }));
+        [this.chatScopeFrom, this.chatScopeTo].forEach(input => {
+            input.addEventListener('change', () => this.setChatScope({ from: this.chatScopeFrom.value, to: this.chatScopeTo.value }));
+        });
+        this.chatPersonaEditBtn.addEventListener('click', () => this.togglePersonaEditor());
+        this.chatPersonaPanel.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePersonaFromEditor();
+        });
+        this.chatPersonaDeleteBtn.addEventListener('click', () => this.deleteSelectedPersona());
+        document.getElementById('chatPersonaCancelBtn').addEventListener('click', () => this.hidePersonaEditor());
+        this.chatSessionsBtn.addEventListener('click', () => this.toggleChatSessionsPanel());
+        this.chatSessionSearch.addEventListener('input', () => this.renderChatSessionList());
+        this.chatSaveToggle.addEventListener('change', (e) => this.setChatSessionsEnabled(e.target.checked));
+        this.chatCloseBtn.addEventListener('click', () => this.closeAIChat());
+        this.createReflectionBtn.addEventListener('click', () => this.createReflectionEntry());
+        this.chatInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.sendChatMessage();
+            }
+        });
+
+        // Search
+        this.searchInput.addEventListener('input', () => {
+            this.filterEntries();
+            this.updateChatScopeUI();
+        });
+
+        // Template filter tabs
+        this.filterTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.switchFilter(tab.dataset.filter));
+        });
+
+        // Group/sort by creation or last-edit date
+        this.dateSortButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.dateField === this.dateField);
+            btn.addEventListener('click', () => this.setDateField(btn.dataset.dateField));
+        });
+
+        // Back-dating the current entry
+        this.entryDateInput.addEventListener('change', () => this.setEntryCreatedDate(this.entryDateInput.value));
+
+        // Close dropdown when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.new-entry-container')) {
+                this.closeTemplateDropdown();
+            }
+        });
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if ((e.metaKey || e.ctrlKey) && e.key === '[') {
+                e.preventDefault();
+                this.sidebarManager.toggleSidebar('left');
+            }
+            if ((e.metaKey || e.ctrlKey) && e.key === ']') {
+                e.preventDefault();
+                this.sidebarManager.toggleSidebar('right');
+            }
+        });
+    }
+
+    updateWordCount() {
+        const text = this.textarea.value.trim();
+        const words = text ? text.split(/\s+/).length : 0;
+        this.wordCount.textContent = `${words} words`;
+    }
+
+    autoSave() {
+        // Show saving status
+        this.updateAutosaveStatus('saving');
+
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.saveCurrentEntry();
+        }, 1000);
+    }
+
+    saveCurrentEntry() {
+        const content = this.textarea.value.trim();
+        if (!content) {
+            this.updateAutosaveStatus('saved');
+            return;
+        }
+
+        const now = new Date();
+        const entry = {
+            id: this.currentEntryId || this.generateId(),
+            content: content,
+            createdAt: (this.pendingCreatedAt || now).toISOString(),
+            updatedAt: now.toISOString(),
+            wordCount: content.split(/\s+/).length,
+            // summary field removed - focusing on chat-based AI interaction
+            title: null // Short title for entry list
+        };
+
+        // Preserve existing title, creation date and template flags when updating content
+        const existingEntry = this.entryRepository.get(entry.id);
+        if (existingEntry) {
+            entry.createdAt = existingEntry.createdAt;
+            entry.title = existingEntry.title;
+            entry.isTemplate = existingEntry.isTemplate || false;
+            entry.templateOrder = existingEntry.templateOrder ?? null;
+            if (existingEntry.isReview) {
+                entry.isReview = true;
+                entry.reviewOf = existingEntry.reviewOf || [];
+            }
+        }
+
+        // Snapshot this version, coalesced with earlier saves from the same editing session
+        entry.revisions = this.revisionManager.recordSnapshot(existingEntry?.revisions, content, now, existingEntry);
+
+        this.currentEntryId = entry.id;
+        this.pendingCreatedAt = null;
+        const saving = this.entryRepository.save(entry);
+        this.renderEntries();
+        this.updateEntryDateInput();
+
+        // Update autosave status once the write has actually landed
+        return saving.then(saved => {
+            if (saved) {
+                this.updateAutosaveStatus('saved', now);
+            }
+            return saved;
+        });
+    }
+
+    updateAutosaveStatus(status, timestamp = null) {
+        if (!this.autosaveDot || !this.autosaveStatus || !this.lastSavedTime) return;
+
+        if (status === 'saving') {
+            this.autosaveDot.classList.remove('error');
+            this.autosaveDot.classList.add('saving');
+            this.autosaveStatus.textContent = 'Saving...';
+            this.lastSavedTime.textContent = '';
+        } else if (status === 'error') {
+            this.autosaveDot.classList.remove('saving');
+            this.autosaveDot.classList.add('error');
+            this.autosaveStatus.textContent = 'Not saved';
+            this.lastSavedTime.textContent = '';
+        } else if (status === 'saved') {
+            this.autosaveDot.classList.remove('saving', 'error');
+            this.autosaveStatus.textContent = 'Saved';
+
+            if (timestamp) {
+                this.lastSavedTimestamp = timestamp;
+                this.updateSavedTimeDisplay();
+
+                // Update the time display every minute
+                if (this.timeUpdateInterval) {
+                    clearInterval(this.timeUpdateInterval);
+                }
+                this.timeUpdateInterval = setInterval(() => {
+                    this.updateSavedTimeDisplay();
+                }, 60000); // Update every minute
+            }
+        }
+    }
+
+    updateSavedTimeDisplay() {
+        if (!this.lastSavedTimestamp || !this.lastSavedTime) return;
+
+        const now = new Date();
+        const diffMs = now - this.lastSavedTimestamp;
+        const diffMinutes = Math.floor(diffMs / 60000);
+
+        if (diffMinutes < 1) {
+            this.lastSavedTime.textContent = 'just now';
+        } else if (diffMinutes < 60) {
+            this.lastSavedTime.textContent = `${diffMinutes} min ago`;
+        } else {
+            const timeString = this.lastSavedTimestamp.toLocaleTimeString('en-US', {
+                hour: 'numeric',
+                minute: '2-digit',
+                hour12: true
+            });
+            this.lastSavedTime.textContent = `at ${timeString}`;
+        }
+    }
+
+    newEntry() {
+        this.textarea.value = '';
+        this.currentEntryId = null;
+        this.pendingCreatedAt = null;
+        this.revisionManager.startSession();
+        this.updateWordCount();
+        this.updateEntryDateInput();
+        this.renderReviewSources();
+        this.textarea.focus();
+        
+        // Track new entry creation (no content tracked)
+        this.analytics.trackFeatureUse('new_entry', 'created');
+    }
+
+    loadEntry(entryId) {
+        const entry = this.entryRepository.get(entryId);
+        if (entry) {
+            this.textarea.value = entry.content;
+            this.currentEntryId = entry.id;
+            this.pendingCreatedAt = null;
+            this.revisionManager.startSession();
+            this.isTemplateContent = false;
+            this.templateContentOriginal = null;
+            this.updateWordCount();
+            this.updateEntryDateInput();
+            this.renderReviewSources();
+            this.textarea.focus();
+
+            // Keep an open history panel in sync with the entry being viewed
+            if (this.historyPanel?.classList.contains('show')) {
+                this.renderHistoryPanel();
+            }
+
+            this.updateChatScopeUI();
+        }
+    }
+
+    renderEntries() {
+        const filteredEntries = this.getFilteredEntries();
+        const emptyState = document.getElementById('emptyState');
+
+        // Update template count
+        this.updateTemplateCount();
+
+        if (filteredEntries.length === 0) {
+            if (this.entryRepository.getAll().length === 0) {
+                // No entries at all
+                emptyState.innerHTML = `
+                    <div class="empty-icon">📝</div>
+                    <p>No entries yet</p>
+                    <span>Start writing to see your entries here</span>
+                `;
+            } else if (this.currentFilter === 'templates') {
+                // No templates
+                emptyState.innerHTML = `
+                    <div class="empty-icon">📌</div>
+                    <p>No templates yet</p>
+                    <span>Mark an entry as a template to see it here</span>
+                `;
+            } else {
+                // No search results
+                emptyState.innerHTML = `
+                    <div class="empty-icon">🔍</div>
+                    <p>No matching entries</p>
+                    <span>Try a different search term</span>
+                `;
+            }
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+
+        // Rebuilding the list would otherwise drop focus from a title being typed
+        const focusedTitle = document.activeElement?.classList.contains('entry-title-input') ?
+            { id: document.activeElement.closest('.entry-title-editor').dataset.entryId, caret: document.activeElement.selectionStart } : null;
+
+        // Clear and rebuild entry list
+        const entryContainer = this.entryList;
+        const existingEntries = entryContainer.querySelectorAll('.entry-group, .entry-item');
+        existingEntries.forEach(entry => entry.remove());
+
+        // Group entries by date
+        const groupedEntries = this.groupEntriesByDate(filteredEntries);
+
+        Object.entries(groupedEntries).forEach(([dateKey, entries]) => {
+            // Create date group header
+            const dateGroup = document.createElement('div');
+            dateGroup.className = 'entry-group';
+
+            const dateHeader = document.createElement('div');
+            dateHeader.className = 'entry-date-header';
+            dateHeader.textContent = dateKey;
+            dateGroup.appendChild(dateHeader);
+
+            // Add entries for this date
+            entries.forEach(entry => {
+                const div = document.createElement('div');
+                div.className = 'entry-item';
+
+                // Show the title editor while one is open, then the title if set, otherwise a content preview
+                const titleEdit = this.titleEdits.get(entry.id);
+                const displayContent = titleEdit ?
+                    `${titleEdit.suggestion !== null ? '<div class="entry-title-hint">✨ Suggested title - edit, accept or reject</div>' : ''}
+                    <form class="entry-title-editor${titleEdit.suggestion !== null ? ' suggested' : ''}" data-entry-id="${entry.id}">
+                        <input type="text" class="entry-title-input" maxlength="80" aria-label="Entry title"
+                               placeholder="${titleEdit.loading ? 'Thinking of a title…' : 'Type a title'}" ${titleEdit.loading ? 'disabled' : ''}>
+                        <button type="button" class="entry-title-suggest" title="Suggest a title with AI" ${titleEdit.loading ? 'disabled' : ''}>✨</button>
+                        <button type="submit" class="entry-title-accept" title="Save title" ${titleEdit.loading ? 'disabled' : ''}>✓</button>
+                        <button type="button" class="entry-title-reject" title="${titleEdit.suggestion !== null ? 'Reject suggestion' : 'Cancel'}">×</button>
+                    </form>
+                    <div class="entry-preview">${this.escapeHtml(this.truncateText(entry.content, 60))}</div>` :
+                    entry.title ?
+                    `<div class="entry-title">
+                        ${this.escapeHtml(entry.title)}
+                        <button class="entry-title-remove" data-entry-id="${entry.id}" title="Remove title">×</button>
+                    </div>
+                    <div class="entry-preview">${this.escapeHtml(this.truncateText(entry.content, 60))}</div>` :
+                    `<div class="entry-preview">${this.escapeHtml(this.truncateText(entry.content, 100))}</div>`;
+
+                // Template indicator
+                const templateIndicator = entry.isTemplate ? 
+                    `<span class="entry-template-indicator" title="Template">📌</span>` : '';
+                const reviewIndicator = entry.isReview && !entry.isTemplate ?
+                    `<span class="entry-review-indicator" title="AI review of ${(entry.reviewOf || []).length} entries">🗓️</span>` : '';
+
+                div.innerHTML = `
+                    <div class="entry-header">
+                        ${templateIndicator}${reviewIndicator}
+                        <div class="entry-actions">
+                            <button class="entry-title-edit" data-entry-id="${entry.id}" title="${entry.title ? 'Edit title' : 'Add a title'}" aria-label="${entry.title ? 'Edit title' : 'Add a title'}">🏷️</button>
+                            <button class="entry-template-toggle ${entry.isTemplate ? 'active' : ''}" 
+                                    data-entry-id="${entry.id}" 
+                                    title="${entry.isTemplate ? 'Remove from templates' : 'Mark as template'}"
+                                    aria-label="${entry.isTemplate ? 'Remove from templates' : 'Mark as template'}"
+                                    aria-pressed="${entry.isTemplate}">
+                                📌
+                            </button>
+                            <button class="entry-delete-btn" data-entry-id="${entry.id}" title="Delete entry">×</button>
+                        </div>
+                    </div>
+                    ${displayContent}
+                `;
+
+                // Add click handler for loading entry (but not on action buttons)
+                div.addEventListener('click', (e) => {
+                    if (!e.target.classList.contains('entry-delete-btn') &&
+                        !e.target.classList.contains('entry-title-remove') &&
+                        !e.target.classList.contains('entry-title-edit') &&
+                        !e.target.classList.contains('entry-template-toggle') &&
+                        !e.target.closest('.entry-title-editor')) {
+                        this.loadEntry(entry.id);
+                    }
+                });
+
+                // Add template toggle handler
+                const templateToggle = div.querySelector('.entry-template-toggle');
+                templateToggle.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.toggleEntryTemplate(entry.id);
+                });
+
+                // Add delete handler
+                const deleteBtn = div.querySelector('.entry-delete-btn');
+                deleteBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.deleteEntry(entry.id);
+                });
+
+
+
+                // Add title remove handler
+                const titleRemoveBtn = div.querySelector('.entry-title-remove');
+                if (titleRemoveBtn) {
+                    titleRemoveBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.removeEntryTitle(entry.id);
+                    });
+                }
+
+                div.querySelector('.entry-title-edit').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.openTitleEditor(entry.id);
+                });
+
+                const titleEditor = div.querySelector('.entry-title-editor');
+                if (titleEditor) {
+                    const titleInput = titleEditor.querySelector('.entry-title-input');
+                    titleInput.value = titleEdit.value;
+                    titleInput.addEventListener('input', () => {
+                        titleEdit.value = titleInput.value;
+                    });
+                    titleInput.addEventListener('keydown', (e) => {
+                        if (e.key === 'Escape') this.closeTitleEditor(entry.id);
+                    });
+                    titleEditor.addEventListener('submit', (e) => {
+                        e.preventDefault();
+                        this.acceptEntryTitle(entry.id);
+                    });
+                    titleEditor.querySelector('.entry-title-suggest').addEventListener('click', () => this.suggestEntryTitle(entry.id));
+                    titleEditor.querySelector('.entry-title-reject').addEventListener('click', () => this.closeTitleEditor(entry.id));
+                }
+
+                dateGroup.appendChild(div);
+            });
+
+            entryContainer.appendChild(dateGroup);
+        });
+
+        if (focusedTitle) {
+            const input = entryContainer.querySelector(`.entry-title-editor[data-entry-id="${focusedTitle.id}"] .entry-title-input`);
+            if (input && !input.disabled) {
+                input.focus();
+                input.setSelectionRange(focusedTitle.caret, focusedTitle.caret);
+            }
+        }
+    }
+
+    groupEntriesByDate(entries, dateField = this.dateField) {
+        const groups = {};
+        const today = new Date();
+        const yesterday = new Date(today);
+        yesterday.setDate(yesterday.getDate() - 1);
+
+        entries.forEach(entry => {
+            const entryDate = new Date(entry[dateField]);
+            let dateKey;
+
+            if (this.isSameDay(entryDate, today)) {
+                dateKey = 'Today';
+            } else if (this.isSameDay(entryDate, yesterday)) {
+                dateKey = 'Yesterday';
+            } else {
+                dateKey = entryDate.toLocaleDateString('en-US', {
+                    weekday: 'long',
+                    month: 'long',
+                    day: 'numeric',
+                    year: entryDate.getFullYear() !== today.getFullYear() ? 'numeric' : undefined
+                });
+            }
+
+            if (!groups[dateKey]) {
+                groups[dateKey] = [];
+            }
+            groups[dateKey].push(entry);
+        });
+
+        return groups;
+    }
+
+    isSameDay(date1, date2) {
+        return date1.getDate() === date2.getDate() &&
+            date1.getMonth() === date2.getMonth() &&
+            date1.getFullYear() === date2.getFullYear();
+    }
+
+    getFilteredEntries() {
+        let filtered = this.entryRepository.getAll();
+
+        // Apply template filter
+        if (this.currentFilter === 'templates') {
+            filtered = filtered.filter(entry => entry.isTemplate === true);
+        }
+
+        // Apply search filter
+        const query = this.searchInput.value.toLowerCase().trim();
+        if (query) {
+            filtered = filtered.filter(entry => this.entryMatchesSearch(entry, query));
+        }
+
+        // Sort newest first by the selected date
+        return [...filtered].sort((a, b) => new Date(b[this.dateField]) - new Date(a[this.dateField]));
+    }
+
+    entryMatchesSearch(entry, query) {
+        return entry.content.toLowerCase().includes(query) ||
+            new Date(entry.createdAt).toLocaleDateString().includes(query);
+    }
+
+    filterEntries() {
+        this.renderEntries();
+    }
+
+    truncateText(text, maxLength) {
+        if (text.length <= maxLength) return text;
+        return text.substring(0, maxLength) + '...';
+    }
+
+    // Titles can come from the AI or be typed, so escape them before using innerHTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    async exportEntries() {
+        const data = {
+            version: this.exportSchema.currentVersion,
+            exportDate: new Date().toISOString(),
+            app: { name: 'Reflect', version: this.appVersion },
+            settings: this.getExportSettings(),
+            entries: this.entryRepository.getAll()
+        };
+
+        // Saved chats only exist if the user opted in
+        const chatSessions = this.chatSessionRepository.getAll();
+        if (chatSessions.length > 0) {
+            data.chatSessions = chatSessions;
+        }
+
+        const personas = this.personaManager.getCustomPersonas();
+        if (personas.length > 0) {
+            data.personas = personas;
+        }
+
+        let fileData = data;
+        if (this.encryptionManager.isEnabled() &&
+            confirm('Encrypt this export with your journal passphrase?\n\nChoose Cancel to export a readable, unencrypted file.')) {
+            fileData = await this.encryptExport(data);
+        }
+
+        const blob = new Blob([JSON.stringify(fileData, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, `journal-export-${new Date().toISOString().split('T')[0]}.json`);
+    }
+
+    // Preferences recorded alongside a backup - endpoints and passphrases stay out of it
+    getExportSettings() {
+        return {
+            theme: { name: this.themeManager.currentTheme, mode: this.themeManager.currentMode },
+            ai: {
+                provider: this.aiService.providerId,
+                model: this.aiService.model,
+                generation: this.aiService.generationSettings,
+                embeddingModel: this.embeddingIndex.model
+            },
+            persona: this.personaManager.selectedId,
+            chatScope: this.chatScope,
+            saveChatSessions: this.chatSessionsEnabled,
+            entryDateField: this.dateField,
+            lock: { enabled: this.encryptionManager.isEnabled(), idleMinutes: this.encryptionManager.getIdleMinutes() }
+        };
+    }
+
+    // One Markdown file per entry, zipped - readable without this app
+    async exportMarkdown() {
+        const entries = this.entryRepository.getAll();
+        if (entries.length === 0) {
+            this.themeManager.showToast('No entries to export yet', 'info', '📝');
+            return;
+        }
+
+        if (this.encryptionManager.isEnabled() &&
+            !confirm('Markdown exports can\'t be encrypted - anyone with the zip can read every entry.\n\nExport anyway?')) {
+            return;
+        }
+
+        // Include edits that haven't been autosaved yet
+        if (this.saveTimeout && !this.isTemplateContent) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+            await this.saveCurrentEntry();
+        }
+
+        const archive = this.markdownExporter.createArchive(this.entryRepository.getAll());
+        this.downloadBlob(archive.toBlob(), `journal-markdown-${new Date().toISOString().split('T')[0]}.zip`);
+        this.themeManager.showToast(`Exported ${archive.files.length} entries as Markdown`, 'success', '📝');
+        this.analytics.trackFeatureUse('export', 'markdown');
+    }
+
+    // A date range laid out for paper - the browser's print dialog also offers "Save as PDF"
+    openPrintPanel() {
+        const tags = this.printExporter.getTagCounts(this.entryRepository.getAll());
+        const selectedTag = this.printTagSelect.value;
+        this.printTagSelect.replaceChildren(
+            new Option('All entries', ''),
+            ...tags.map(([tag, count]) => new Option(`#${tag} (${count})`, tag))
+        );
+        this.printTagSelect.value = tags.some(([tag]) => tag === selectedTag) ? selectedTag : '';
+
+        // Presets follow the calendar, so "This month" stays right if the panel is reopened tomorrow
+        this.applyPrintRange(this.printRangeSelect.value);
+        this.updatePrintSummary();
+
+        this.printPanel.style.display = 'flex';
+        setTimeout(() => {
+            this.printPanel.classList.add('show');
+        }, 10);
+    }
+
+    closePrintPanel() {
+        this.printPanel.classList.remove('show');
+        setTimeout(() => {
+            this.printPanel.style.display = 'none';
+        }, 300);
+    }
+
+    applyPrintRange(range) {
+        if (range === 'custom') return;
+
+        const now = new Date();
+        let from;
+        let to;
+        if (range === 'this-month' || range === 'last-month') {
+            const month = now.getMonth() - (range === 'last-month' ? 1 : 0);
+            from = new Date(now.getFullYear(), month, 1);
+            to = new Date(now.getFullYear(), month + 1, 0);
+        } else {
+            const year = now.getFullYear() - (range === 'last-year' ? 1 : 0);
+            from = new Date(year, 0, 1);
+            to = new Date(year, 11, 31);
+        }
+        this.printFrom.value = this.toDateInputValue(from);
+        this.printTo.value = this.toDateInputValue(to);
+    }
+
+    getPrintEntries() {
+        return this.printExporter.selectEntries(this.entryRepository.getAll(), {
+            from: this.printFrom.value,
+            to: this.printTo.value,
+            tag: this.printTagSelect.value
+        });
+    }
+
+    updatePrintSummary() {
+        const entries = this.getPrintEntries();
+        const days = this.printExporter.groupByDay(entries).length;
+        this.printSummary.textContent = entries.length === 0 ? 'No entries in this period' :
+            `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'} on ${days} ${days === 1 ? 'day' : 'days'}`;
+        this.printConfirmBtn.disabled = entries.length === 0;
+    }
+
+    async printJournal() {
+        await this.flushPendingSave();
+        const entries = this.getPrintEntries();
+        if (entries.length === 0) {
+            this.updatePrintSummary();
+            return;
+        }
+
+        const format = (date) => date.toLocaleDateString([], { month: 'long', day: 'numeric', year: 'numeric' });
+        const from = this.printFrom.value ? new Date(`${this.printFrom.value}T00:00:00`) : new Date(entries[0].createdAt);
+        const to = this.printTo.value ? new Date(`${this.printTo.value}T00:00:00`) : new Date(entries[entries.length - 1].createdAt);
+        const tag = this.printTagSelect.value;
+
+        this.printView.replaceChildren(this.printExporter.render(entries, {
+            title: `Journal · ${format(from)} – ${format(to)}`,
+            subtitle: `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}${tag ? ` tagged #${tag}` : ''} · printed ${format(new Date())}`,
+            typography: this.themeManager.getTypography(),
+            pageBreakPerDay: this.printPageBreaks.checked
+        }));
+        this.closePrintPanel();
+        document.body.classList.add('printing');
+        this.analytics.trackFeatureUse('print', tag ? 'tag' : 'range');
+
+        window.print();
+    }
+
+    // Runs after the print dialog closes; the printable copy holds decrypted text, so it isn't kept around
+    clearPrintView() {
+        document.body.classList.remove('printing');
+        this.printView.replaceChildren();
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async handleImport(event) {
+        const files = [...event.target.files];
+        event.target.value = ''; // Picking the same file again should still import it
+        if (files.length === 0) return;
+
+        try {
+            // The app's own backups keep their own path; a lone Day One JSON goes through the importers
+            if (files.length === 1 && /\.json$/i.test(files[0].name)) {
+                const data = JSON.parse(new TextDecoder().decode(await this.readFileBytes(files[0])));
+                if (!this.journalImporter.isDayOne(data)) {
+                    await this.importBackup(data);
+                    return;
+                }
+            }
+
+            await this.importFiles(files);
+        } catch (error) {
+            alert('Error importing file: ' + error.message);
+        }
+    }
+
+    readFileBytes(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(new Uint8Array(reader.result));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // Markdown folders or zips, Day One exports and .txt files, previewed before anything is saved
+    async importFiles(files) {
+        const read = [];
+        for (const file of files) {
+            read.push({
+                path: file.webkitRelativePath || file.name,
+                bytes: await this.readFileBytes(file),
+                date: new Date(file.lastModified)
+            });
+        }
+
+        const result = await this.journalImporter.read(read);
+        if (result.entries.length === 0 && result.warnings.length === 0) {
+            alert('Nothing to import - choose Markdown (.md), plain text (.txt), Day One (.json) or zip files.');
+            return;
+        }
+
+        await this.flushPendingSave();
+        const classified = this.journalImporter.classify(result.entries);
+        const resolutions = await this.showImportPreview(classified, {
+            files: result,
+            warnings: result.warnings,
+            hiddenWarnings: result.hiddenWarnings
+        });
+        if (!resolutions) return;
+
+        const counts = await this.applyImport(classified, resolutions);
+        this.analytics.trackFeatureUse('import', 'files');
+        alert(this.formatImportSummary(counts));
+    }
+
+    // Edits still waiting for autosave would otherwise overwrite what gets imported
+    async flushPendingSave() {
+        if (this.saveTimeout && !this.isTemplateContent) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+            await this.saveCurrentEntry();
+        }
+    }
+
+    // Saves new entries and resolved conflicts; resolutions map an entry id to 'local', 'imported' or 'both'
+    async applyImport({ fresh, identical, conflicts }, resolutions = new Map()) {
+        const prepare = ({ source, dateSource, ...entry }) => this.entryRepository.normalizeEntry({
+            ...entry,
+            revisions: this.revisionManager.normalizeRevisions(entry.revisions)
+        });
+        const counts = { added: fresh.length, identical: identical.length, keptLocal: 0, replaced: 0, keptBoth: 0 };
+        const toSave = fresh.map(prepare);
+        let replacedCurrent = false;
+
+        conflicts.forEach(({ local, incoming }) => {
+            const choice = resolutions.get(incoming.id) || 'local';
+            if (choice === 'imported') {
+                toSave.push(prepare({ ...incoming, revisions: this.revisionManager.mergeRevisions(local.revisions, incoming.revisions) }));
+                replacedCurrent = replacedCurrent || incoming.id === this.currentEntryId;
+                counts.replaced++;
+            } else if (choice === 'both') {
+                // The copy doesn't take a second template slot
+                toSave.push(prepare({ ...incoming, id: this.generateId(), isTemplate: false, templateOrder: null }));
+                counts.keptBoth++;
+            } else {
+                counts.keptLocal++;
+            }
+        });
+
+        await this.entryRepository.saveMany(toSave);
+        if (replacedCurrent) {
+            this.loadEntry(this.currentEntryId);
+        }
+        this.renderEntries();
+        this.updateTemplateDropdown();
+        return counts;
+    }
+
+    formatImportSummary(counts, extras = []) {
+        const entries = (count) => `${count} ${count === 1 ? 'entry' : 'entries'}`;
+        const lines = [
+            `• ${entries(counts.added)} added`,
+            `• ${entries(counts.identical)} already in your journal`
+        ];
+        const conflicts = counts.keptLocal + counts.replaced + counts.keptBoth;
+        if (conflicts > 0) {
+            lines.push(`• ${conflicts} ${conflicts === 1 ? 'conflict' : 'conflicts'}: ${counts.keptLocal} kept yours, ${counts.replaced} replaced with the imported version, ${counts.keptBoth} kept both`);
+        }
+        extras.forEach(extra => lines.push(`• ${extra}`));
+        return `Import complete\n\n${lines.join('\n')}`;
+    }
+
+    // Shows what an import will do and, for conflicts, lets the user pick a version.
+    // Resolves to a Map of entry id -> 'local' | 'imported' | 'both', or null when cancelled.
+    // `files` is JournalImporter.read()'s result, or null for the app's own backups.
+    showImportPreview({ fresh, identical, conflicts }, { files = null, warnings = [], hiddenWarnings = 0 } = {}) {
+        const format = (date) => new Date(date).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+        const summary = this.importPanel.querySelector('.import-summary');
+        summary.replaceChildren();
+        const addLine = (text, className = '') => {
+            const line = document.createElement('p');
+            line.className = className;
+            line.textContent = text;
+            summary.appendChild(line);
+        };
+
+        addLine(`${fresh.length} new · ${identical.length} identical · ${conflicts.length} conflicting`, 'import-summary-main');
+
+        if (files) {
+            const formats = [
+                files.counts.markdown > 0 ? `${files.counts.markdown} Markdown` : '',
+                files.counts.dayone > 0 ? `${files.counts.dayone} Day One` : '',
+                files.counts.text > 0 ? `${files.counts.text} plain text` : ''
+            ].filter(Boolean).join(' · ');
+            const dates = files.entries.map(entry => new Date(entry.createdAt)).sort((a, b) => a - b);
+            const dateSources = {};
+            files.entries.forEach(entry => {
+                dateSources[entry.dateSource] = (dateSources[entry.dateSource] || 0) + 1;
+            });
+
+            addLine(`Found ${files.entries.length} in ${files.fileCount} ${files.fileCount === 1 ? 'file' : 'files'}${formats ? ` (${formats})` : ''}.`);
+            if (dates.length > 0) {
+                addLine(`Dates: ${format(dates[0])} – ${format(dates[dates.length - 1])}, taken from ${Object.entries(dateSources).map(([source, count]) => `${source} (${count})`).join(', ')}.`);
+            }
+            if (files.skippedFiles > 0) {
+                addLine(`${files.skippedFiles} other ${files.skippedFiles === 1 ? 'file' : 'files'} (images, attachments) ignored.`);
+            }
+        }
+        if (identical.length > 0) {
+            addLine(`${identical.length} identical ${identical.length === 1 ? 'entry is' : 'entries are'} already in your journal and will be left alone.`);
+        }
+
+        const warningList = this.importPanel.querySelector('.import-warnings');
+        warningList.replaceChildren();
+        const warningCount = warnings.length + hiddenWarnings;
+        warningList.style.display = warningCount > 0 ? 'block' : 'none';
+        if (warningCount > 0) {
+            const title = document.createElement('summary');
+            title.textContent = `⚠️ ${warningCount} ${warningCount === 1 ? 'warning' : 'warnings'}`;
+            const list = document.createElement('ul');
+            warnings.forEach(warning => {
+                const item = document.createElement('li');
+                item.textContent = warning;
+                list.appendChild(item);
+            });
+            if (hiddenWarnings) {
+                const item = document.createElement('li');
+                item.textContent = `…and ${hiddenWarnings} more`;
+                list.appendChild(item);
+            }
+            warningList.append(title, list);
+        }
+
+        const choices = this.renderImportConflicts(conflicts);
+
+        const list = this.importPanel.querySelector('.import-entry-list');
+        list.replaceChildren();
+        list.style.display = fresh.length > 0 ? 'block' : 'none';
+        [...fresh].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)).forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'import-entry';
+            const date = document.createElement('span');
+            date.className = 'import-entry-date';
+            date.textContent = format(entry.createdAt);
+            date.title = entry.dateSource ? `Date from ${entry.dateSource}` : '';
+            const text = document.createElement('span');
+            text.className = 'import-entry-text';
+            text.textContent = entry.title || this.truncateText((entry.content || '').replace(/\s+/g, ' ').trim(), 80);
+            const source = document.createElement('span');
+            source.className = 'import-entry-source';
+            source.textContent = entry.source || 'New';
+            row.append(date, text, source);
+            list.appendChild(row);
+        });
+
+        const confirmBtn = this.importPanel.querySelector('.import-confirm-btn');
+        confirmBtn.disabled = fresh.length === 0 && conflicts.length === 0;
+        confirmBtn.querySelector('span:last-child').textContent = conflicts.length > 0 ? 'Import and apply choices' :
+            `Import ${fresh.length} ${fresh.length === 1 ? 'entry' : 'entries'}`;
+
+        this.importPanel.style.display = 'flex';
+        setTimeout(() => {
+            this.importPanel.classList.add('show');
+        }, 10);
+
+        return new Promise(resolve => {
+            const close = (resolutions) => {
+                this.importPanel.classList.remove('show');
+                setTimeout(() => {
+                    this.importPanel.style.display = 'none';
+                }, 300);
+                confirmBtn.onclick = null;
+                this.importPanel.querySelectorAll('[data-action="cancel"]').forEach(button => {
+                    button.onclick = null;
+                });
+                resolve(resolutions);
+            };
+
+            confirmBtn.onclick = () => close(choices());
+            this.importPanel.querySelectorAll('[data-action="cancel"]').forEach(button => {
+                button.onclick = () => close(null);
+            });
+        });
+    }
+
+    // One card per conflict with both versions side by side; returns a function reading the choices
+    renderImportConflicts(conflicts) {
+        const section = this.importPanel.querySelector('.import-conflicts');
+        const container = section.querySelector('.import-conflict-list');
+        const ruleSelect = section.querySelector('.import-conflict-rule');
+        container.replaceChildren();
+        ruleSelect.value = '';
+        section.style.display = conflicts.length > 0 ? 'block' : 'none';
+        section.querySelector('.import-conflicts-title').textContent =
+            `${conflicts.length} ${conflicts.length === 1 ? 'entry differs' : 'entries differ'} from your copy`;
+
+        const formatEdited = (entry) => `edited ${this.formatRevisionDate(entry.updatedAt || entry.createdAt)}`;
+        const groups = conflicts.map(({ local, incoming }, index) => {
+            const card = document.createElement('div');
+            card.className = 'import-conflict';
+
+            const title = document.createElement('div');
+            title.className = 'import-conflict-title';
+            title.textContent = `${local.title || this.truncateText(local.content.replace(/\s+/g, ' ').trim(), 60)} · ${new Date(local.createdAt).toLocaleDateString()}`;
+
+            const diff = document.createElement('div');
+            diff.className = 'import-conflict-diff';
+            const addCell = (text, className) => {
+                const cell = document.createElement('div');
+                cell.className = className;
+                cell.textContent = text;
+                diff.appendChild(cell);
+            };
+            addCell(`Your copy · ${formatEdited(local)}`, 'import-conflict-side');
+            addCell(`Imported · ${formatEdited(incoming)}`, 'import-conflict-side');
+
+            const metaChanges = [];
+            if ((local.title || null) !== (incoming.title || null)) {
+                metaChanges.push([`Title: ${local.title || '(none)'}`, `Title: ${incoming.title || '(none)'}`]);
+            }
+            if (new Date(local.createdAt).getTime() !== new Date(incoming.createdAt).getTime()) {
+                metaChanges.push([`Written: ${new Date(local.createdAt).toLocaleDateString()}`, `Written: ${new Date(incoming.createdAt).toLocaleDateString()}`]);
+            }
+            metaChanges.forEach(([left, right]) => {
+                addCell(left, 'diff-line diff-removed');
+                addCell(right, 'diff-line diff-added');
+            });
+
+            this.revisionManager.diffLines(local.content.trim(), (incoming.content || '').trim()).forEach(line => {
+                if (line.type === 'same') {
+                    addCell(line.text, 'diff-line diff-same');
+                    addCell(line.text, 'diff-line diff-same');
+                } else if (line.type === 'removed') {
+                    addCell(line.text, 'diff-line diff-removed');
+                    addCell('', 'diff-line diff-empty');
+                } else {
+                    addCell('', 'diff-line diff-empty');
+                    addCell(line.text, 'diff-line diff-added');
+                }
+            });
+
+            const options = document.createElement('div');
+            options.className = 'import-conflict-choices';
+            options.setAttribute('role', 'radiogroup');
+            [['local', 'Keep mine'], ['imported', 'Keep imported'], ['both', 'Keep both']].forEach(([value, label]) => {
+                const option = document.createElement('label');
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `import-conflict-${index}`;
+                radio.value = value;
+                radio.checked = value === 'local';
+                radio.addEventListener('change', () => {
+                    ruleSelect.value = '';
+                });
+                option.append(radio, ` ${label}`);
+                options.appendChild(option);
+            });
+
+            card.append(title, diff, options);
+            container.appendChild(card);
+            return { local, incoming, options };
+        });
+
+        // A rule sets every choice at once; the cards can still be changed afterwards
+        ruleSelect.onchange = () => {
+            if (!ruleSelect.value) return;
+            const rule = ruleSelect.value;
+            groups.forEach(({ local, incoming, options }) => {
+                const value = rule !== 'newer' ? rule :
+                    new Date(incoming.updatedAt || incoming.createdAt) > new Date(local.updatedAt || local.createdAt) ? 'imported' : 'local';
+                options.querySelector(`input[value="${value}"]`).checked = true;
+            });
+        };
+
+        return () => new Map(groups.map(({ incoming, options }) => [incoming.id, options.querySelector('input:checked').value]));
+    }
+
+    // The app's own JSON export, optionally encrypted
+    async importBackup(data) {
+        // Encrypted exports need the passphrase they were made with
+        if (data.encrypted) {
+            data = await this.decryptImport(data);
+            if (!data) return;
+        }
+
+        // Older formats are upgraded first, then entries the app can't display are left out
+        try {
+            data = this.exportSchema.migrate(data);
+        } catch (error) {
+            alert(`${error.message}, so nothing was imported.`);
+            return;
+        }
+        const { entries, errors } = this.exportSchema.validate(data);
+        const warnings = errors.map(error => this.exportSchema.formatError(error));
+
+        // Only conflicts and invalid entries need the dialog; everything else merges straight in
+        await this.flushPendingSave();
+        const classified = this.journalImporter.classify(entries);
+        let resolutions = new Map();
+        if (classified.conflicts.length > 0 || errors.length > 0) {
+            const { maxWarnings } = this.journalImporter;
+            resolutions = await this.showImportPreview(classified, {
+                warnings: warnings.slice(0, maxWarnings),
+                hiddenWarnings: Math.max(0, warnings.length - maxWarnings)
+            });
+            if (!resolutions) return;
+        }
+        const counts = await this.applyImport(classified, resolutions);
+
+        const newSessions = Array.isArray(data.chatSessions) ? data.chatSessions
+            .filter(session => session && session.id && !this.chatSessionRepository.get(session.id))
+            .map(session => this.chatSessionRepository.normalizeSession(session)) : [];
+        if (newSessions.length > 0) {
+            this.chatSessionRepository.saveMany(newSessions);
+            this.updateChatSaveUI();
+        }
+
+        const newPersonas = this.personaManager.importPersonas(data.personas);
+        if (newPersonas > 0) {
+            this.renderPersonaOptions();
+        }
+
+        const extras = [
+            newSessions.length > 0 ? `${newSessions.length} saved conversations added` : '',
+            newPersonas > 0 ? `${newPersonas} personas added` : '',
+            errors.length > 0 ? `${errors.length} invalid ${errors.length === 1 ? 'entry' : 'entries'} skipped:\n    ${warnings.slice(0, 5).join('\n    ')}${errors.length > 5 ? '\n    …' : ''}` : ''
+        ].filter(Boolean);
+
+        alert(this.formatImportSummary(counts, extras));
+    }
+
+    async encryptExport(data) {
+        const settings = this.encryptionManager.settings;
+        return {
+            version: data.version,
+            encrypted: true,
+            exportDate: data.exportDate,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: settings.salt, iterations: settings.iterations },
+            cipher: 'AES-GCM',
+            payload: await this.encryptionManager.encryptJSON(data)
+        };
+    }
+
+    async decryptImport(fileData) {
+        let decrypted = null;
+
+        const values = await this.showPassphraseDialog({
+            title: '🔐 Encrypted backup',
+            message: 'Enter the passphrase that was active when this file was exported.',
+            fields: [{ name: 'passphrase', label: 'Passphrase', autocomplete: 'current-password' }],
+            confirmLabel: 'Decrypt and import',
+            validate: async ({ passphrase }) => {
+                try {
+                    const key = await this.encryptionManager.deriveKey(passphrase, fileData.kdf.salt, fileData.kdf.iterations);
+                    decrypted = JSON.parse(await this.encryptionManager.decryptWithKey(key, fileData.payload));
+                    return null;
+                } catch (error) {
+                    return 'That passphrase can\'t open this file';
+                }
+            }
+        });
+
+        return values ? decrypted : null;
+    }
+
+    // generateAISummary method removed - focusing on chat-based AI interaction
+
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    async loadEntries() {
+        // Migrates the legacy localStorage key on first run
+        const entries = await this.entryRepository.load();
+        if (this.entryRepository.migrationError) {
+            this.themeManager.showToast(
+                'Some older entries couldn\'t be moved to the new storage - they are kept untouched, so export a backup before clearing site data',
+                'error',
+                '⚠️'
+            );
+        }
+        await this.chatSessionRepository.load();
+        await this.embeddingIndex.load().catch(error => console.error('Error loading embeddings:', error));
+        return entries;
+    }
+
+    saveEntries() {
+        // Persist every cached entry - prefer entryRepository.save() for single edits
+        return this.entryRepository.saveMany(this.entryRepository.getAll());
+    }
+
+    handleStorageError() {
+        this.updateAutosaveStatus('error');
+        this.themeManager.showToast(
+            'Couldn\'t save your entry - export a backup to be safe',
+            'error',
+            '⚠️'
+        );
+    }
+
+    // Journal lock (passphrase encryption at rest)
+    showLockScreen() {
+        this.isLocked = true;
+        this.lockScreen.style.display = 'flex';
+        this.lockError.textContent = '';
+        this.lockPassphraseInput.value = '';
+        setTimeout(() => this.lockPassphraseInput.focus(), 10);
+
+        return new Promise(resolve => {
+            this.lockForm.onsubmit = async (e) => {
+                e.preventDefault();
+                this.unlockBtn.disabled = true;
+                this.unlockBtn.textContent = 'Unlocking...';
+
+                const unlocked = await this.encryptionManager.unlock(this.lockPassphraseInput.value);
+
+                this.unlockBtn.disabled = false;
+                this.unlockBtn.textContent = 'Unlock';
+
+                if (!unlocked) {
+                    this.lockError.textContent = 'That passphrase didn\'t work - try again';
+                    this.lockPassphraseInput.select();
+                    return;
+                }
+
+                this.entryRepository.setCipher(this.encryptionManager);
+                this.lockPassphraseInput.value = '';
+                this.lockScreen.style.display = 'none';
+                this.lockForm.onsubmit = null;
+                this.isLocked = false;
+                this.lastActivityAt = Date.now();
+                resolve();
+            };
+        });
+    }
+
+    async lockJournal() {
+        if (!this.encryptionManager.isEnabled() || this.isLocked) return;
+
+        // Flush a pending autosave so nothing typed is lost
+        if (this.saveTimeout && !this.isTemplateContent) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+            await this.saveCurrentEntry();
+        }
+        await this.entryRepository.writeQueue;
+
+        // Drop everything decrypted from memory and the page
+        this.encryptionManager.lock();
+        this.entryRepository.clearCache();
+        this.chatSessionRepository.clearCache();
+        this.embeddingIndex.clearCache();
+        this.reviewAbortController?.abort();
+        this.titleAbortController?.abort();
+        this.titleEdits.clear();
+        this.textarea.value = '';
+        this.currentEntryId = null;
+        this.updateWordCount();
+        this.renderReviewSources();
+        this.closeHistoryPanel();
+        this.closePrintPanel();
+        this.clearPrintView();
+        if (this.floatingAIChat.style.display !== 'none') {
+            this.closeAIChat();
+        }
+        this.renderEntries();
+
+        this.analytics.trackFeatureUse('journal_lock', 'locked');
+
+        await this.showLockScreen();
+        await this.loadEntries();
+        this.renderEntries();
+        this.updateEntryDateInput();
+    }
+
+    startIdleLockTimer() {
+        ['keydown', 'mousemove', 'mousedown', 'touchstart', 'scroll'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                this.lastActivityAt = Date.now();
+            }, { passive: true });
+        });
+
+        setInterval(() => {
+            if (!this.encryptionManager.isEnabled() || this.isLocked) return;
+
+            const idleMs = Date.now() - this.lastActivityAt;
+            if (idleMs > this.encryptionManager.getIdleMinutes() * 60000) {
+                this.lockJournal();
+            }
+        }, 30000);
+    }
+
+    renderLockSettings() {
+        if (!this.lockSettings) return;
+
+        if (!this.encryptionManager.isEnabled()) {
+            this.lockSettings.innerHTML = `
+                <p class="lock-settings-description">Encrypt your entries on this device with a passphrase.</p>
+                <button class="tool-btn" id="setupLockBtn">
+                    <span class="tool-icon">🔒</span>
+                    <span>Set up passphrase lock</span>
+                </button>
+            `;
+            this.lockSettings.querySelector('#setupLockBtn').addEventListener('click', () => this.setupJournalLock());
+            return;
+        }
+
+        const idleMinutes = this.encryptionManager.getIdleMinutes();
+        this.lockSettings.innerHTML = `
+            <div class="lock-status">🔐 Entries are encrypted</div>
+            <button class="tool-btn" id="lockNowBtn">
+                <span class="tool-icon">🔒</span>
+                <span>Lock now</span>
+            </button>
+            <button class="tool-btn" id="changePassphraseBtn">
+                <span class="tool-icon">🔑</span>
+                <span>Change passphrase</span>
+            </button>
+            <button class="tool-btn" id="disableLockBtn">
+                <span class="tool-icon">🔓</span>
+                <span>Turn off lock</span>
+            </button>
+            <label class="lock-idle-setting">
+                <span>Lock after</span>
+                <select id="lockIdleSelect" class="history-select">
+                    ${[5, 15, 30, 60].map(minutes => `<option value="${minutes}" ${minutes === idleMinutes ? 'selected' : ''}>${minutes} min idle</option>`).join('')}
+                </select>
+            </label>
+        `;
+
+        this.lockSettings.querySelector('#lockNowBtn').addEventListener('click', () => this.lockJournal());
+        this.lockSettings.querySelector('#changePassphraseBtn').addEventListener('click', () => this.changeJournalPassphrase());
+        this.lockSettings.querySelector('#disableLockBtn').addEventListener('click', () => this.disableJournalLock());
+        this.lockSettings.querySelector('#lockIdleSelect').addEventListener('change', (e) => {
+            this.encryptionManager.setIdleMinutes(parseInt(e.target.value, 10));
+        });
+    }
+
+    async setupJournalLock() {
+        if (!this.encryptionManager.isSupported()) {
+            this.themeManager.showToast('Encryption isn\'t available in this browser', 'error', '❌');
+            return;
+        }
+
+        const values = await this.showPassphraseDialog({
+            title: '🔒 Set up passphrase lock',
+            message: 'Your entries will be encrypted on this device and the journal will ask for this passphrase when it opens.',
+            warning: 'There is no way to recover a forgotten passphrase. Nobody - including us - can unlock your entries without it. Consider exporting a backup first.',
+            fields: [
+                { name: 'passphrase', label: 'Passphrase', autocomplete: 'new-password' },
+                { name: 'confirmation', label: 'Confirm passphrase', autocomplete: 'new-password' }
+            ],
+            acknowledge: 'I understand that if I lose my passphrase, my journal is lost',
+            confirmLabel: 'Encrypt my journal',
+            validate: ({ passphrase, confirmation }) => this.validateNewPassphrase(passphrase, confirmation)
+        });
+        if (!values) return;
+
+        const { key, settings } = await this.encryptionManager.createLockSettings(values.passphrase);
+
+        // Encrypt first, then store the lock - a failed write must not leave a "locked" journal in plaintext
+        this.encryptionManager.key = key;
+        const saved = await this.reencryptJournal(this.encryptionManager);
+        if (!saved) {
+            // Undo whatever was encrypted so the journal still opens without a passphrase
+            await this.reencryptJournal(null);
+            this.encryptionManager.key = null;
+            this.themeManager.showToast('Journal not encrypted - entries couldn\'t be saved', 'error', '❌');
+            return;
+        }
+
+        this.encryptionManager.saveSettings(settings);
+        this.renderLockSettings();
+        this.themeManager.showToast('Journal encrypted', 'success', '🔐');
+        this.analytics.trackFeatureUse('journal_lock', 'enabled');
+    }
+
+    async changeJournalPassphrase() {
+        const values = await this.showPassphraseDialog({
+            title: '🔑 Change passphrase',
+            message: 'All entries will be re-encrypted with the new passphrase.',
+            warning: 'There is no way to recover a forgotten passphrase.',
+            fields: [
+                { name: 'current', label: 'Current passphrase', autocomplete: 'current-password' },
+                { name: 'passphrase', label: 'New passphrase', autocomplete: 'new-password' },
+                { name: 'confirmation', label: 'Confirm new passphrase', autocomplete: 'new-password' }
+            ],
+            confirmLabel: 'Change passphrase',
+            validate: async ({ current, passphrase, confirmation }) => {
+                if (!await this.encryptionManager.checkPassphrase(current)) {
+                    return 'Current passphrase is incorrect';
+                }
+                return this.validateNewPassphrase(passphrase, confirmation);
+            }
+        });
+        if (!values) return;
+
+        const previousKey = this.encryptionManager.key;
+        const { key, settings } = await this.encryptionManager.createLockSettings(values.passphrase);
+
+        // Re-encrypt first, then store the new salt - otherwise a failed write would strand the entries
+        this.encryptionManager.key = key;
+        const saved = await this.reencryptJournal(this.encryptionManager);
+        if (!saved) {
+            this.encryptionManager.key = previousKey;
+            this.themeManager.showToast('Passphrase not changed - entries couldn\'t be re-encrypted', 'error', '❌');
+            return;
+        }
+
+        this.encryptionManager.saveSettings(settings);
+        this.themeManager.showToast('Passphrase changed', 'success', '🔑');
+    }
+
+    async disableJournalLock() {
+        const values = await this.showPassphraseDialog({
+            title: '🔓 Turn off lock',
+            message: 'Your entries will be stored unencrypted on this device again.',
+            fields: [{ name: 'current', label: 'Current passphrase', autocomplete: 'current-password' }],
+            confirmLabel: 'Turn off lock',
+            validate: async ({ current }) => {
+                return await this.encryptionManager.checkPassphrase(current) ? null : 'Passphrase is incorrect';
+            }
+        });
+        if (!values) return;
+
+        const saved = await this.reencryptJournal(null);
+        if (!saved) {
+            this.entryRepository.setCipher(this.encryptionManager);
+            this.themeManager.showToast('Lock not turned off - entries couldn\'t be saved', 'error', '❌');
+            return;
+        }
+
+        this.encryptionManager.saveSettings(null);
+        this.encryptionManager.lock();
+        this.renderLockSettings();
+        this.themeManager.showToast('Journal lock turned off', 'info', '🔓');
+        this.analytics.trackFeatureUse('journal_lock', 'disabled');
+    }
+
+    // Entries and saved chats always share one cipher
+    async reencryptJournal(cipher) {
+        const entriesSaved = await this.entryRepository.reencryptAll(cipher);
+        const chatsSaved = await this.chatSessionRepository.reencryptAll();
+        await this.embeddingIndex.reencryptAll();
+        return entriesSaved && chatsSaved;
+    }
+
+    validateNewPassphrase(passphrase, confirmation) {
+        if (passphrase.length < 8) {
+            return 'Use at least 8 characters';
+        }
+        if (passphrase !== confirmation) {
+            return 'Passphrases don\'t match';
+        }
+        return null;
+    }
+
+    // Resolves with the entered values, or null when cancelled
+    showPassphraseDialog({ title, message, warning = '', fields, acknowledge = '', confirmLabel, validate }) {
+        this.lockDialogForm.innerHTML = `
+            <h3>${title}</h3>
+            <p>${message}</p>
+            ${warning ? `<div class="lock-warning">⚠️ ${warning}</div>` : ''}
+            ${fields.map(field => `
+                <label class="lock-field">
+                    <span>${field.label}</span>
+                    <input type="password" name="${field.name}" class="lock-input" autocomplete="${field.autocomplete}" required>
+                </label>
+            `).join('')}
+            ${acknowledge ? `
+                <label class="lock-acknowledge">
+                    <input type="checkbox" name="acknowledge" required>
+                    <span>${acknowledge}</span>
+                </label>
+            ` : ''}
+            <div class="lock-error"></div>
+            <div class="lock-dialog-actions">
+                <button type="button" class="tool-btn" data-action="cancel">Cancel</button>
+                <button type="submit" class="chat-action-btn">${confirmLabel}</button>
+            </div>
+        `;
+
+        this.lockDialog.style.display = 'flex';
+        setTimeout(() => this.lockDialogForm.querySelector('input')?.focus(), 10);
+
+        return new Promise(resolve => {
+            const close = (result) => {
+                this.lockDialog.style.display = 'none';
+                this.lockDialogForm.innerHTML = '';
+                this.lockDialogForm.onsubmit = null;
+                resolve(result);
+            };
+
+            this.lockDialogForm.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+
+            this.lockDialogForm.onsubmit = async (e) => {
+                e.preventDefault();
+                const values = {};
+                fields.forEach(field => {
+                    values[field.name] = this.lockDialogForm.elements[field.name].value;
+                });
+
+                const submitBtn = this.lockDialogForm.querySelector('[type="submit"]');
+                submitBtn.disabled = true;
+                const error = validate ? await validate(values) : null;
+                submitBtn.disabled = false;
+
+                if (error) {
+                    this.lockDialogForm.querySelector('.lock-error').textContent = error;
+                    return;
+                }
+                close(values);
+            };
+        });
+    }
+
+    updateAIStatus(status) {
+        const statusElement = this.aiStatus.querySelector('span');
+        if (statusElement) {
+            statusElement.textContent = `AI: ${status}`;
+        }
+
+        // Update CSS classes for styling
+        this.aiStatus.classList.remove('connected', 'generating', 'disconnected');
+
+        if (status.toLowerCase().includes('connected')) {
+            this.aiStatus.classList.add('connected');
+        } else if (status.toLowerCase().includes('generating')) {
+            this.aiStatus.classList.add('generating');
+        } else {
+            this.aiStatus.classList.add('disconnected');
+        }
+    }
+
+    // Welcome screen methods removed - no longer needed
+
+    checkWelcomeScreenVisibility() {
+        // Welcome screen is now disabled by default - no more interruptions
+        // Users can always start writing immediately
+        return;
+    }
+
+    // Delete entry functionality
+    deleteEntry(entryId) {
+        const entry = this.entryRepository.get(entryId);
+        if (!entry) return;
+
+        const confirmDelete = confirm(`Delete this entry from ${new Date(entry.createdAt).toLocaleDateString()}?\n\n"${this.truncateText(entry.content, 100)}"`);
+
+        if (confirmDelete) {
+            this.entryRepository.delete(entryId);
+
+            // If we're currently editing this entry, clear the textarea
+            if (this.currentEntryId === entryId) {
+                this.newEntry();
+            }
+
+            this.renderEntries();
+        }
+    }
+
+    // AI Service initialization and methods
+    initializeAIService() {
+        this.aiService.onStatusChange((status) => {
+            this.updateAIStatus(status);
+
+            // The installed model list is only known after a check
+            if (['connected', 'model-missing'].includes(status)) {
+                this.refreshModelSelector();
+                this.renderEmbeddingStatus();
+            }
+
+            // Catch up on entries written while the AI was offline
+            if (status === 'connected') {
+                this.embeddingIndex.indexMissing();
+            }
+        });
+
+        // Check AI status immediately and then periodically
+        this.aiService.checkOllamaStatus();
+
+        // Check every 30 seconds
+        setInterval(() => {
+            this.aiService.checkOllamaStatus();
+        }, 30000);
+    }
+
+    updateAIStatus(status) {
+        const statusElement = this.aiStatus.querySelector('span');
+        const indicator = this.aiStatus.querySelector('.status-indicator');
+
+        // Update status text and styling
+        this.aiStatus.classList.remove('connected', 'generating', 'disconnected', 'checking', 'busy');
+
+        switch (status) {
+            case 'connected':
+                statusElement.textContent = 'AI: Ready';
+                this.aiStatus.classList.add('connected');
+                this.aiCapabilities.style.display = 'block';
+                break;
+            case 'busy':
+                statusElement.textContent = 'AI: Working...';
+                this.aiStatus.classList.add('busy');
+                this.aiCapabilities.style.display = 'block';
+                break;
+            case 'generating':
+                statusElement.textContent = 'AI: Generating...';
+                this.aiStatus.classList.add('generating');
+                this.aiCapabilities.style.display = 'block';
+                break;
+            case 'checking':
+                statusElement.textContent = 'AI: Checking...';
+                this.aiStatus.classList.add('checking');
+                this.aiCapabilities.style.display = 'none';
+                break;
+            case 'downloading':
+                statusElement.textContent = 'AI: Downloading model...';
+                this.aiStatus.classList.add('busy');
+                this.aiCapabilities.style.display = 'none';
+                break;
+            case 'model-missing':
+                statusElement.textContent = 'AI: Model Missing';
+                this.aiStatus.classList.add('disconnected');
+                this.aiCapabilities.style.display = 'none';
+                break;
+            case 'timeout':
+                statusElement.textContent = 'AI: Connection Timeout';
+                this.aiStatus.classList.add('disconnected');
+                this.aiCapabilities.style.display = 'none';
+                break;
+            case 'not-installed':
+                statusElement.textContent = this.aiService.providerId === 'ollama' ? 'AI: Ollama Not Found' : 'AI: Server Not Found';
+                this.aiStatus.classList.add('disconnected');
+                this.aiCapabilities.style.display = 'none';
+                break;
+            case 'cors-blocked':
+                statusElement.textContent = 'AI: Blocked by CORS';
+                this.aiStatus.classList.add('disconnected');
+                this.aiCapabilities.style.display = 'none';
+                break;
+            case 'not-found':
+                statusElement.textContent = 'AI: Wrong Endpoint';
+                this.aiStatus.classList.add('disconnected');
+                this.aiCapabilities.style.display = 'none';
+                break;
+            default:
+                statusElement.textContent = 'AI: Unavailable';
+                this.aiStatus.classList.add('disconnected');
+                this.aiCapabilities.style.display = 'none';
+        }
+    }
 
+    // AI connection settings
+    async testAIConnection() {
+        try {
+            this.aiEndpointInput.value = this.confirmEndpoint(this.aiEndpointInput.value);
+        } catch (error) {
+            this.showConnectionResult('error', error.message);
+            return;
+        }
 
-                // Add title remove handler
-                const titleRemoveBtn = div.querySelector('.entry-title-remove');
-                if (titleRemoveBtn) {
-                    titleRemoveBtn.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        this.removeEntryTitle(entry.id);
-                    });
-                }
+        this.testConnectionBtn.disabled = true;
+        this.showConnectionResult('checking', `Connecting to ${this.aiService.endpoint}...`);
 
-                dateGroup.appendChild(div);
-            });
+        // Let any periodic check finish so the result reflects the new address
+        await this.aiService.currentCheck;
+        const status = await this.aiService.checkOllamaStatus();
 
-            entryContainer.appendChild(dateGroup);
-        });
+        this.testConnectionBtn.disabled = false;
+        const succeeded = status === 'connected' || status === 'model-missing';
+        this.showConnectionResult(succeeded ? 'success' : 'error', this.aiService.getStatusDetail(status));
+        this.analytics.trackFeatureUse('ai_connection', succeeded ? 'test_succeeded' : `test_${status}`);
     }
 
-    groupEntriesByDate(entries) {
-        const groups = {};
-        const today = new Date();
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
-
-        entries.forEach(entry => {
-            const entryDate = new Date(entry.date);
-            let dateKey;
+    // Addresses that don't look local need an explicit "this is on my network" before anything is sent
+    confirmEndpoint(value) {
+        try {
+            return this.aiService.setEndpoint(value);
+        } catch (error) {
+            if (!error.untrustedHost) throw error;
 
-            if (this.isSameDay(entryDate, today)) {
-                dateKey = 'Today';
-            } else if (this.isSameDay(entryDate, yesterday)) {
-                dateKey = 'Yesterday';
-            } else {
-                dateKey = entryDate.toLocaleDateString('en-US', {
-                    weekday: 'long',
-                    month: 'long',
-                    day: 'numeric',
-                    year: entryDate.getFullYear() !== today.getFullYear() ? 'numeric' : undefined
-                });
+            const trusted = confirm(`${error.untrustedHost} doesn't look like an address on this computer or your home network.\n\n` +
+                'Your journal entries are sent to this server when you chat. Only continue if it runs on your own network ' +
+                '(for example a reverse proxy or VPN address) - never a cloud service.\n\nIs this server on your network?');
+            if (!trusted) {
+                throw new Error('Not saved - only addresses on your own network are used, so your journal never goes to the cloud');
             }
 
-            if (!groups[dateKey]) {
-                groups[dateKey] = [];
-            }
-            groups[dateKey].push(entry);
-        });
+            this.analytics.trackFeatureUse('ai_connection', 'host_trusted');
+            return this.aiService.setEndpoint(value, { trustHost: true });
+        }
+    }
 
-        return groups;
+    switchAIProvider(providerId) {
+        this.aiService.setProvider(providerId);
+        this.aiEndpointInput.value = this.aiService.endpoint;
+        this.aiEndpointInput.placeholder = this.aiService.provider.defaultEndpoint;
+        this.refreshModelSelector();
+        this.updateModelManagerVisibility();
+
+        this.analytics.trackFeatureUse('ai_provider', providerId);
+        this.testAIConnection();
     }
 
-    isSameDay(date1, date2) {
-        return date1.getDate() === date2.getDate() &&
-            date1.getMonth() === date2.getMonth() &&
-            date1.getFullYear() === date2.getFullYear();
+    showConnectionResult(type, message) {
+        this.connectionTestResult.className = `connection-test-result ${type}`;
+        this.connectionTestResult.textContent = message;
+        this.connectionTestResult.style.display = 'block';
     }
 
-    getFilteredEntries() {
-        let filtered = this.entries;
+    // AI Chat functionality
+    toggleAIChat() {
+        const isVisible = this.floatingAIChat.style.display !== 'none';
 
-        // Apply template filter
-        if (this.currentFilter === 'templates') {
-            filtered = filtered.filter(entry => entry.isTemplate === true);
+        if (isVisible) {
+            this.closeAIChat();
+        } else {
+            this.openAIChat();
         }
+    }
 
-        // Apply search filter
-        const query = this.searchInput.value.toLowerCase().trim();
-        if (query) {
-            filtered = filtered.filter(entry =>
-                entry.content.toLowerCase().includes(query) ||
-                new Date(entry.date).toLocaleDateString().includes(query)
-            );
-        }
+    openAIChat() {
+        this.floatingAIChat.style.display = 'flex';
+        // Use setTimeout to ensure display change is processed before adding show class
+        setTimeout(() => {
+            this.floatingAIChat.classList.add('show');
+        }, 10);
+        
+        // Track AI chat opening (no content tracked)
+        this.analytics.trackFeatureUse('ai_chat', 'opened');
 
-        return filtered;
+        // Clear any existing messages since chat content isn't saved
+        this.resetConversation();
+        this.updateChatScopeUI();
+
+        setTimeout(() => {
+            this.chatInput.focus();
+        }, 300); // Wait for animation to complete
     }
 
-    filterEntries() {
-        this.renderEntries();
+    closeAIChat() {
+        // Don't keep generating for a window nobody can see
+        this.stopChatResponse();
+
+        this.floatingAIChat.classList.remove('show');
+        // Wait for animation to complete before hiding
+        setTimeout(() => {
+            this.floatingAIChat.style.display = 'none';
+        }, 300);
+
+        // Clear messages when closing since they're not saved
+        this.resetConversation();
     }
 
-    truncateText(text, maxLength) {
-        if (text.length <= maxLength) return text;
-        return text.substring(0, maxLength) + '...';
+    startNewConversation() {
+        this.stopChatResponse();
+        this.resetConversation();
+        this.chatInput.focus();
+
+        this.analytics.trackFeatureUse('ai_chat', 'new_conversation');
     }
 
-    exportEntries() {
-        const data = {
-            version: '1.0',
-            exportDate: new Date().toISOString(),
-            entries: this.entries
-        };
+    resetConversation() {
+        this.chatHistory = [];
+        this.currentChatSessionId = null;
+        this.hideChatSessionsPanel();
+        this.hidePersonaEditor();
+        this.updateChatSaveUI();
+        this.chatMessages.innerHTML = `
+            <div class="chat-welcome">
+                <p>I can help you explore your journal entries and identify patterns in your thinking.</p>
+                <p>Ask me about specific entries, themes across your writing, or insights from your reflections.</p>
+            </div>
+        `;
 
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `journal-export-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        // Hide action button until there's a new response
+        this.chatActions.style.display = 'none';
+        this.lastAIResponse = null;
     }
 
-    handleImport(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    async sendChatMessage() {
+        const message = this.chatInput.value.trim();
+        // Enter still works while Send is hidden, so ignore it until the current reply finishes
+        if (!message || this.chatAbortController) return;
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                if (data.entries && Array.isArray(data.entries)) {
-                    // Merge entries
-                    data.entries.forEach(entry => {
-                        if (!this.entries.find(e => e.id === entry.id)) {
-                            this.entries.push(entry);
-                        }
-                    });
+        const scope = this.getChatScope();
+        if (scope.kind !== 'all' && scope.entries.length === 0) {
+            this.themeManager.showToast(`No entries in scope (${scope.label}) - widen it to ask`, 'warning', '🔭');
+            return;
+        }
+
+        // Clear welcome message if it exists
+        const welcomeMsg = this.chatMessages.querySelector('.chat-welcome');
+        if (welcomeMsg) {
+            welcomeMsg.remove();
+        }
 
-                    // Sort by date
-                    this.entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+        // Add user message
+        const askedAt = new Date().toISOString();
+        this.addChatMessage('user', message, false, askedAt);
+        this.chatInput.value = '';
 
-                    this.saveEntries();
-                    this.renderEntries();
-                    alert(`Imported ${data.entries.length} entries successfully!`);
+        // Swap send for stop while the response streams in
+        this.chatSendBtn.disabled = true;
+        this.chatSendBtn.style.display = 'none';
+        this.chatStopBtn.style.display = 'block';
+        this.createReflectionBtn.disabled = true;
+        this.chatAbortController = new AbortController();
+
+        // Show typing indicator until the first token arrives
+        const messageId = this.addChatMessage('ai', 'Thinking...', true);
+        let streamedText = '';
+        let sourceIds = [];
+
+        try {
+            // Semantic matches when an embedding model is installed, keyword matching otherwise
+            const entries = scope.entries;
+            const passages = await this.embeddingIndex.retrieve(message, entries, this.embeddingIndex.topK, { signal: this.chatAbortController.signal });
+
+            // Pass current entry context to AI
+            const response = await this.aiService.chatWithEntries(message, entries, scope.currentEntryId, {
+                scopeLabel: scope.kind === 'all' ? null : scope.label,
+                signal: this.chatAbortController.signal,
+                history: this.chatHistory,
+                persona: this.personaManager.getSelected(),
+                passages,
+                onSources: (sources) => {
+                    sourceIds = sources.map(source => source.id);
+                },
+                onToken: (text) => {
+                    streamedText = text;
+                    this.updateChatMessage(messageId, text);
                 }
-            } catch (error) {
-                alert('Error importing file: ' + error.message);
+            });
+
+            this.updateChatMessage(messageId, response);
+            this.renderChatSources(messageId, sourceIds, scope.label);
+            if (!this.finishChatResponse(message, response, sourceIds, scope.label, askedAt)) {
+                // Thinking models sometimes stop after reasoning; say so rather than leave an empty reply
+                document.getElementById(messageId)?.classList.add('reasoning-only');
+                this.analytics.trackFeatureUse('ai_chat', 'reasoning_only');
             }
-        };
-        reader.readAsText(file);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Keep whatever arrived before the user stopped it, unless the conversation was reset
+                if (!document.getElementById(messageId)) return;
+                if (streamedText.trim()) {
+                    this.updateChatMessage(messageId, streamedText.trim(), true);
+                    this.renderChatSources(messageId, sourceIds, scope.label);
+                    this.finishChatResponse(message, streamedText.trim(), sourceIds, scope.label, askedAt);
+                } else {
+                    document.getElementById(messageId)?.remove();
+                }
+                return;
+            }
+
+            document.getElementById(messageId)?.remove();
+            const currentModel = this.aiService.getCurrentModel();
+            const fixSteps = this.aiService.provider.canPullModels ?
+                `• Make sure Ollama is running on your computer
+• Download the ${currentModel.name} model: ollama pull ${currentModel.id}` :
+                `• Make sure your local server is running at ${this.aiService.endpoint}
+• Load a model in it (currently selected: ${currentModel.name})`;
+            this.addChatMessage('ai', `I'm having trouble connecting right now and can't respond to your question. 
+
+To get me working again:
+${fixSteps}
+
+I'll be here when you get me connected!`);
+        } finally {
+            // Re-enable send button
+            this.chatAbortController = null;
+            this.chatStopBtn.style.display = 'none';
+            this.chatSendBtn.style.display = '';
+            this.chatSendBtn.disabled = false;
+            this.createReflectionBtn.disabled = false;
+        }
     }
 
-    // generateAISummary method removed - focusing on chat-based AI interaction
+    stopChatResponse() {
+        if (this.chatAbortController) {
+            this.chatAbortController.abort();
+            this.analytics.trackFeatureUse('ai_chat', 'stopped');
+        }
+    }
 
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    // Returns false when there was no answer to record, e.g. the model only returned its reasoning
+    finishChatResponse(question, rawResponse, sourceIds = [], scopeLabel = null, askedAt = new Date().toISOString()) {
+        // Reasoning stays in the bubble but never goes into history or reflection entries
+        const response = this.aiService.parseReasoning(rawResponse).answer;
+        if (!response) return false;
+
+        // Remember the turn so follow-up questions have context; times are fixed now so saving doesn't change them
+        this.chatHistory.push(
+            { role: 'user', content: question, at: askedAt },
+            { role: 'assistant', content: response, at: new Date().toISOString(), sources: sourceIds, ...(scopeLabel ? { scope: scopeLabel } : {}) }
+        );
+
+        // Store last AI response for reflection entry
+        this.lastAIResponse = response;
+
+        // Show action button once the response is complete
+        this.chatActions.style.display = 'block';
+
+        if (this.chatSessionsEnabled) {
+            this.saveChatSession();
+        }
+        return true;
     }
 
-    loadEntries() {
+    // Saved chat sessions (opt-in, off by default)
+    loadChatSessionPreference() {
         try {
-            const stored = localStorage.getItem('simpleJournalEntries');
-            const entries = stored ? JSON.parse(stored) : [];
-            
-            // Ensure backward compatibility - add template fields if missing
-            return entries.map(entry => ({
-                ...entry,
-                isTemplate: entry.isTemplate || false,
-                templateOrder: entry.templateOrder || null
-            }));
+            return localStorage.getItem('saveChatSessions') === 'true';
         } catch (error) {
-            console.error('Error loading entries:', error);
-            return [];
+            return false;
         }
     }
 
-    saveEntries() {
+    async setChatSessionsEnabled(enabled) {
+        this.chatSessionsEnabled = enabled;
         try {
-            localStorage.setItem('simpleJournalEntries', JSON.stringify(this.entries));
+            localStorage.setItem('saveChatSessions', String(enabled));
         } catch (error) {
-            console.error('Error saving entries:', error);
+            console.error('Failed to save chat preference:', error);
         }
-    }
 
-    updateAIStatus(status) {
-        const statusElement = this.aiStatus.querySelector('span');
-        if (statusElement) {
-            statusElement.textContent = `AI: ${status}`;
+        if (enabled) {
+            // Keep the conversation that's already on screen
+            if (this.chatHistory.length > 0) {
+                this.saveChatSession();
+            }
+            this.themeManager.showToast('Chats will be saved on this device', 'info', '💾');
+        } else {
+            const count = this.chatSessionRepository.getAll().length;
+            if (count > 0 && confirm(`Also delete your ${count} saved conversation${count === 1 ? '' : 's'}?`)) {
+                await this.chatSessionRepository.deleteAll();
+            }
+            this.currentChatSessionId = null;
         }
 
-        // Update CSS classes for styling
-        this.aiStatus.classList.remove('connected', 'generating', 'disconnected');
+        this.updateChatSaveUI();
+        this.analytics.trackFeatureUse('chat_sessions', enabled ? 'enabled' : 'disabled');
+    }
 
-        if (status.toLowerCase().includes('connected')) {
-            this.aiStatus.classList.add('connected');
-        } else if (status.toLowerCase().includes('generating')) {
-            this.aiStatus.classList.add('generating');
+    updateChatSaveUI() {
+        this.chatSaveToggle.checked = this.chatSessionsEnabled;
+        this.chatDisclaimerText.textContent = this.chatSessionsEnabled ?
+            '💾 Conversations are saved on this device' :
+            '💡 This conversation isn\'t saved - it\'s just for reflection in the moment';
+
+        // Saved sessions stay reachable after opting out, until they're deleted
+        const hasSessions = this.chatSessionRepository.getAll().length > 0;
+        this.chatSessionsBtn.style.display = this.chatSessionsEnabled || hasSessions ? '' : 'none';
+    }
+
+    saveChatSession() {
+        const now = new Date().toISOString();
+        const existing = this.currentChatSessionId && this.chatSessionRepository.get(this.currentChatSessionId);
+        const firstQuestion = this.chatHistory.find(message => message.role === 'user')?.content || '';
+
+        const session = {
+            id: existing ? existing.id : `chat_${Date.now()}`,
+            title: existing ? existing.title : this.createChatSessionTitle(firstQuestion),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            personaId: this.personaManager.selectedId,
+            messages: this.chatHistory.map(message => ({ ...message }))
+        };
+
+        this.currentChatSessionId = session.id;
+        this.updateChatSaveUI();
+        return this.chatSessionRepository.save(session);
+    }
+
+    createChatSessionTitle(question) {
+        const title = question.replace(/\s+/g, ' ').trim();
+        return title.length > 60 ? `${title.substring(0, 57)}...` : title || 'Untitled conversation';
+    }
+
+    toggleChatSessionsPanel() {
+        if (this.chatSessionsPanel.style.display !== 'none') {
+            this.hideChatSessionsPanel();
         } else {
-            this.aiStatus.classList.add('disconnected');
+            this.hidePersonaEditor();
+            this.chatSessionsPanel.style.display = 'flex';
+            this.chatMessages.style.display = 'none';
+            this.chatSessionSearch.value = '';
+            this.renderChatSessionList();
+            this.chatSessionSearch.focus();
         }
     }
 
-    // Welcome screen methods removed - no longer needed
+    hideChatSessionsPanel() {
+        this.chatSessionsPanel.style.display = 'none';
+        this.chatMessages.style.display = '';
+    }
 
-    checkWelcomeScreenVisibility() {
-        // Welcome screen is now disabled by default - no more interruptions
-        // Users can always start writing immediately
-        return;
+    renderChatSessionList() {
+        const sessions = this.chatSessionRepository.search(this.chatSessionSearch.value);
+        this.chatSessionList.innerHTML = '';
+
+        if (sessions.length === 0) {
+            this.chatSessionList.innerHTML = `<div class="history-empty">${this.chatSessionSearch.value ? 'No matching conversations' : 'No saved conversations yet'}</div>`;
+            return;
+        }
+
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = `chat-session-item ${session.id === this.currentChatSessionId ? 'active' : ''}`;
+            const questions = session.messages.filter(message => message.role === 'user').length;
+            item.innerHTML = `
+                <div class="chat-session-info">
+                    <div class="chat-session-title"></div>
+                    <div class="chat-session-meta">${this.formatRevisionDate(session.updatedAt)} • ${questions} ${questions === 1 ? 'question' : 'questions'}</div>
+                </div>
+                <button class="chat-session-delete" title="Delete conversation">×</button>
+            `;
+            // Titles come from the user's own words, so never treat them as HTML
+            item.querySelector('.chat-session-title').textContent = session.title;
+
+            item.addEventListener('click', () => this.openChatSession(session.id));
+            item.querySelector('.chat-session-delete').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteChatSession(session.id);
+            });
+
+            this.chatSessionList.appendChild(item);
+        });
     }
 
-    // Delete entry functionality
-    deleteEntry(entryId) {
-        const entry = this.entries.find(e => e.id === entryId);
-        if (!entry) return;
+    openChatSession(sessionId) {
+        const session = this.chatSessionRepository.get(sessionId);
+        if (!session) return;
 
-        const confirmDelete = confirm(`Delete this entry from ${new Date(entry.date).toLocaleDateString()}?\n\n"${this.truncateText(entry.content, 100)}"`);
+        this.stopChatResponse();
+        this.resetConversation();
+        this.currentChatSessionId = session.id;
+        this.chatHistory = session.messages.map(message => ({ ...message }));
 
-        if (confirmDelete) {
-            this.entries = this.entries.filter(e => e.id !== entryId);
+        // Continue with the persona the conversation was held with, if it still exists
+        if (session.personaId && this.personaManager.select(session.personaId)) {
+            this.renderPersonaOptions();
+        }
 
-            // If we're currently editing this entry, clear the textarea
-            if (this.currentEntryId === entryId) {
-                this.newEntry();
+        this.chatMessages.innerHTML = '';
+        session.messages.forEach(message => {
+            const messageId = this.addChatMessage(message.role === 'user' ? 'user' : 'ai', message.content, false, message.at);
+            if (message.sources) {
+                this.renderChatSources(messageId, message.sources, message.scope);
             }
+        });
 
-            this.saveEntries();
-            this.renderEntries();
+        const lastAnswer = [...session.messages].reverse().find(message => message.role === 'assistant');
+        if (lastAnswer) {
+            this.lastAIResponse = lastAnswer.content;
+            this.chatActions.style.display = 'block';
         }
+
+        this.chatInput.focus();
+        this.analytics.trackFeatureUse('chat_sessions', 'reopened');
     }
 
-    // AI Service initialization and methods
-    initializeAIService() {
-        this.aiService.onStatusChange((status) => {
-            this.updateAIStatus(status);
-        });
+    async deleteChatSession(sessionId) {
+        if (!confirm('Delete this saved conversation?')) return;
 
-        // Check AI status immediately and then periodically
-        this.aiService.checkOllamaStatus();
+        await this.chatSessionRepository.delete(sessionId);
+        if (this.currentChatSessionId === sessionId) {
+            this.currentChatSessionId = null;
+        }
+        this.renderChatSessionList();
+        this.updateChatSaveUI();
+    }
+
+    // Chat scope: which entries the AI gets to see
+    loadChatScope() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('chatScope'));
+            if (saved && ['all', 'entry', '7d', '30d', 'search', 'custom'].includes(saved.kind)) {
+                return { kind: saved.kind, from: saved.from || '', to: saved.to || '' };
+            }
+        } catch (error) {
+            // Fall through to the default
+        }
+        return { kind: 'all', from: '', to: '' };
+    }
+
+    setChatScope(changes) {
+        this.chatScope = { ...this.chatScope, ...changes };
+        try {
+            localStorage.setItem('chatScope', JSON.stringify(this.chatScope));
+        } catch (error) {
+            console.error('Failed to save chat scope:', error);
+        }
+
+        this.updateChatScopeUI();
+        this.analytics.trackFeatureUse('chat_scope', this.chatScope.kind);
+    }
+
+    // Resolves the scope to entries, a label for the chat, and the current entry if it's in scope
+    getChatScope() {
+        const { kind, from, to } = this.chatScope;
+        const all = this.entryRepository.getAll();
+        let entries = all;
+        let label = 'Everything';
+
+        if (kind === 'entry') {
+            const entry = this.currentEntryId && this.entryRepository.get(this.currentEntryId);
+            entries = entry ? [entry] : [];
+            label = 'This entry only';
+        } else if (kind === '7d' || kind === '30d') {
+            const days = kind === '7d' ? 7 : 30;
+            const since = Date.now() - days * 24 * 60 * 60 * 1000;
+            entries = all.filter(entry => new Date(entry.createdAt).getTime() >= since);
+            label = `Last ${days} days`;
+        } else if (kind === 'search') {
+            const query = this.searchInput.value.toLowerCase().trim();
+            entries = query ? all.filter(entry => this.entryMatchesSearch(entry, query)) : [];
+            label = query ? `Matching "${this.searchInput.value.trim()}"` : 'Matching search (search is empty)';
+        } else if (kind === 'custom') {
+            // Whole days in local time, inclusive of the end date
+            const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+            const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+            entries = all.filter(entry => {
+                const time = new Date(entry.createdAt).getTime();
+                return time >= start && time <= end;
+            });
+            const format = (value) => new Date(`${value}T00:00:00`).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+            label = from || to ? `${from ? format(from) : 'Start'} – ${to ? format(to) : 'today'}` : 'Custom dates';
+        }
+
+        return {
+            kind,
+            entries,
+            label,
+            currentEntryId: entries.some(entry => entry.id === this.currentEntryId) ? this.currentEntryId : null
+        };
+    }
+
+    updateChatScopeUI() {
+        if (!this.chatScopeSelect) return;
+
+        this.chatScopeSelect.value = this.chatScope.kind;
+        this.chatScopeDates.style.display = this.chatScope.kind === 'custom' ? 'flex' : 'none';
+        this.chatScopeFrom.value = this.chatScope.from;
+        this.chatScopeTo.value = this.chatScope.to;
 
-        // Check every 30 seconds
-        setInterval(() => {
-            this.aiService.checkOllamaStatus();
-        }, 30000);
+        const scope = this.getChatScope();
+        const count = scope.entries.length;
+        this.chatScopeSummary.textContent = scope.kind === 'entry' && count === 0 ?
+            'Open an entry first' :
+            `${count} ${count === 1 ? 'entry' : 'entries'}`;
+        this.chatScopeSummary.classList.toggle('empty', count === 0);
     }
 
-    updateAIStatus(status) {
-        const statusElement = this.aiStatus.querySelector('span');
-        const indicator = this.aiStatus.querySelector('.status-indicator');
+    // Chat personas
+    renderPersonaOptions() {
+        const selectedId = this.personaManager.getSelected().id;
+        this.chatPersonaSelect.innerHTML = '';
+
+        this.personaManager.getAll().forEach(persona => {
+            const option = document.createElement('option');
+            option.value = persona.id;
+            // Custom persona names are user text, so never treat them as HTML
+            option.textContent = `${persona.icon} ${persona.name}`;
+            option.title = persona.description;
+            option.selected = persona.id === selectedId;
+            this.chatPersonaSelect.appendChild(option);
+        });
+    }
 
-        // Update status text and styling
-        this.aiStatus.classList.remove('connected', 'generating', 'disconnected', 'checking', 'busy');
+    selectPersona(personaId) {
+        if (!this.personaManager.select(personaId)) return;
 
-        switch (status) {
-            case 'connected':
-                statusElement.textContent = 'AI: Ready';
-                this.aiStatus.classList.add('connected');
-                this.aiCapabilities.style.display = 'block';
-                break;
-            case 'busy':
-                statusElement.textContent = 'AI: Working...';
-                this.aiStatus.classList.add('busy');
-                this.aiCapabilities.style.display = 'block';
-                break;
-            case 'generating':
-                statusElement.textContent = 'AI: Generating...';
-                this.aiStatus.classList.add('generating');
-                this.aiCapabilities.style.display = 'block';
-                break;
-            case 'checking':
-                statusElement.textContent = 'AI: Checking...';
-                this.aiStatus.classList.add('checking');
-                this.aiCapabilities.style.display = 'none';
-                break;
-            case 'model-missing':
-                statusElement.textContent = 'AI: Model Missing';
-                this.aiStatus.classList.add('disconnected');
-                this.aiCapabilities.style.display = 'none';
-                break;
-            case 'timeout':
-                statusElement.textContent = 'AI: Connection Timeout';
-                this.aiStatus.classList.add('disconnected');
-                this.aiCapabilities.style.display = 'none';
-                break;
-            case 'not-installed':
-                statusElement.textContent = 'AI: Ollama Not Found';
-                this.aiStatus.classList.add('disconnected');
-                this.aiCapabilities.style.display = 'none';
-                break;
-            default:
-                statusElement.textContent = 'AI: Unavailable';
-                this.aiStatus.classList.add('disconnected');
-                this.aiCapabilities.style.display = 'none';
+        const persona = this.personaManager.getSelected();
+        this.themeManager.showToast(`Now chatting with ${persona.name}`, 'info', persona.icon);
+        this.analytics.trackFeatureUse('ai_persona', persona.isCustom ? 'custom' : persona.id);
+
+        if (this.chatPersonaPanel.style.display !== 'none') {
+            this.showPersonaEditor();
         }
     }
 
-    // AI Chat functionality
-    toggleAIChat() {
-        const isVisible = this.floatingAIChat.style.display !== 'none';
-
-        if (isVisible) {
-            this.closeAIChat();
+    togglePersonaEditor() {
+        if (this.chatPersonaPanel.style.display !== 'none') {
+            this.hidePersonaEditor();
         } else {
-            this.openAIChat();
+            this.showPersonaEditor();
         }
     }
 
-    openAIChat() {
-        this.floatingAIChat.style.display = 'flex';
-        // Use setTimeout to ensure display change is processed before adding show class
-        setTimeout(() => {
-            this.floatingAIChat.classList.add('show');
-        }, 10);
-        
-        // Track AI chat opening (no content tracked)
-        this.analytics.trackFeatureUse('ai_chat', 'opened');
+    // Custom personas are edited in place; built-in ones are copied into a new persona
+    showPersonaEditor() {
+        const persona = this.personaManager.getSelected();
+        const fields = this.chatPersonaPanel.elements;
+        const prompt = persona.prompt || this.aiService.getGenerationSettings().systemPrompt || this.aiService.defaultSystemPrompt;
+
+        this.editingPersonaId = persona.isCustom ? persona.id : null;
+        fields.icon.value = persona.icon;
+        fields.name.value = persona.isCustom ? persona.name : `My ${persona.name}`;
+        fields.description.value = persona.description;
+        fields.prompt.value = prompt;
+        fields.format.value = persona.format;
+        this.chatPersonaDeleteBtn.style.display = persona.isCustom ? '' : 'none';
+
+        this.hideChatSessionsPanel();
+        this.chatPersonaPanel.style.display = 'flex';
+        this.chatMessages.style.display = 'none';
+        fields.name.focus();
+    }
 
-        // Clear any existing messages since chat content isn't saved
-        this.chatMessages.innerHTML = `
-            <div class="chat-welcome">
-                <p>I can help you explore your journal entries and identify patterns in your thinking.</p>
-                <p>Ask me about specific entries, themes across your writing, or insights from your reflections.</p>
-            </div>
-        `;
+    hidePersonaEditor() {
+        this.chatPersonaPanel.style.display = 'none';
+        this.chatMessages.style.display = '';
+    }
 
-        // Hide action button when opening
-        this.chatActions.style.display = 'none';
-        this.lastAIResponse = null;
+    savePersonaFromEditor() {
+        const fields = this.chatPersonaPanel.elements;
 
-        setTimeout(() => {
-            this.chatInput.focus();
-        }, 300); // Wait for animation to complete
+        try {
+            const persona = this.personaManager.save({
+                id: this.editingPersonaId,
+                icon: fields.icon.value,
+                name: fields.name.value,
+                description: fields.description.value,
+                prompt: fields.prompt.value,
+                format: fields.format.value
+            });
+            this.personaManager.select(persona.id);
+            this.renderPersonaOptions();
+            this.hidePersonaEditor();
+
+            this.themeManager.showToast(`${persona.name} saved`, 'success', persona.icon);
+            this.analytics.trackFeatureUse('ai_persona', this.editingPersonaId ? 'edited' : 'created');
+        } catch (error) {
+            this.themeManager.showToast(error.message, 'warning', '⚠️');
+        }
     }
 
-    closeAIChat() {
-        this.floatingAIChat.classList.remove('show');
-        // Wait for animation to complete before hiding
-        setTimeout(() => {
-            this.floatingAIChat.style.display = 'none';
-        }, 300);
+    deleteSelectedPersona() {
+        const persona = this.personaManager.getSelected();
+        if (!persona.isCustom || !confirm(`Delete the "${persona.name}" persona?`)) return;
 
-        // Clear messages when closing since they're not saved
-        this.chatMessages.innerHTML = `
-            <div class="chat-welcome">
-                <p>I can help you explore your journal entries and identify patterns in your thinking.</p>
-                <p>Ask me about specific entries, themes across your writing, or insights from your reflections.</p>
-            </div>
-        `;
+        this.personaManager.delete(persona.id);
+        this.renderPersonaOptions();
+        this.hidePersonaEditor();
+        this.themeManager.showToast('Persona deleted', 'info', '🗑️');
     }
 
-    async sendChatMessage() {
-        const message = this.chatInput.value.trim();
-        if (!message) return;
+    addChatMessage(sender, content, isTyping = false, timestamp = null) {
+        const messageDiv = document.createElement('div');
+        const messageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        messageDiv.id = messageId;
+        messageDiv.className = `chat-message ${sender}-message ${isTyping ? 'typing' : ''}`;
 
-        // Clear welcome message if it exists
-        const welcomeMsg = this.chatMessages.querySelector('.chat-welcome');
-        if (welcomeMsg) {
-            welcomeMsg.remove();
+        messageDiv.innerHTML = `
+            <div class="message-content"></div>
+            <div class="message-time">${(timestamp ? new Date(timestamp) : new Date()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+        `;
+
+        const contentDiv = messageDiv.querySelector('.message-content');
+        if (sender === 'ai' && !isTyping) {
+            this.renderAIMessageContent(contentDiv, content);
+        } else {
+            contentDiv.innerHTML = this.formatChatContent(sender, content, isTyping);
         }
 
-        // Add user message
-        this.addChatMessage('user', message);
-        this.chatInput.value = '';
+        this.chatMessages.appendChild(messageDiv);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
 
-        // Disable send button while processing
-        this.chatSendBtn.disabled = true;
-        this.chatSendBtn.textContent = 'Thinking...';
+        return messageId;
+    }
 
-        // Show typing indicator
-        const typingId = this.addChatMessage('ai', 'Thinking...', true);
+    // Re-renders a message bubble as streamed text arrives
+    updateChatMessage(messageId, content, stopped = false) {
+        const messageDiv = document.getElementById(messageId);
+        if (!messageDiv) return;
 
-        try {
-            // Pass current entry context to AI
-            const response = await this.aiService.chatWithEntries(message, this.entries, this.currentEntryId);
+        messageDiv.classList.remove('typing');
+        messageDiv.classList.toggle('stopped', stopped);
+        this.renderAIMessageContent(messageDiv.querySelector('.message-content'), content);
 
-            // Remove typing indicator and add response
-            document.getElementById(typingId).remove();
-            this.addChatMessage('ai', response);
+        // Only follow the stream if the reader hasn't scrolled up
+        const nearBottom = this.chatMessages.scrollHeight - this.chatMessages.scrollTop - this.chatMessages.clientHeight < 80;
+        if (nearBottom) {
+            this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+        }
+    }
 
-            // Store last AI response for reflection entry
-            this.lastAIResponse = response;
+    // Reasoning from thinking models goes in a collapsed disclosure above the answer
+    renderAIMessageContent(container, content) {
+        const { reasoning, answer, reasoningOpen } = this.aiService.parseReasoning(content);
 
-            // Show action button after AI response
-            this.chatActions.style.display = 'block';
-        } catch (error) {
-            document.getElementById(typingId).remove();
-            const currentModel = this.aiService.getCurrentModel();
-            this.addChatMessage('ai', `I'm having trouble connecting right now and can't respond to your question. 
+        if (!reasoning) {
+            container.innerHTML = this.formatChatContent('ai', answer);
+            this.linkEntryReferences(container);
+            return;
+        }
 
-To get me working again:
-• Make sure Ollama is running on your computer
-• Download the ${currentModel.name} model: ollama pull ${currentModel.id}
+        // Keep the disclosure open across streamed re-renders if the reader opened it
+        const wasOpen = container.querySelector('.chat-reasoning')?.open || false;
 
-I'll be here when you get me connected!`);
-        } finally {
-            // Re-enable send button
-            this.chatSendBtn.disabled = false;
-            this.chatSendBtn.textContent = 'Send';
+        container.innerHTML = `
+            <details class="chat-reasoning" ${wasOpen ? 'open' : ''}>
+                <summary>${reasoningOpen ? 'Reasoning...' : 'Show reasoning'}</summary>
+                <div class="chat-reasoning-text"></div>
+            </details>
+            <div class="chat-answer">${this.formatChatContent('ai', answer)}</div>
+        `;
+        container.querySelector('.chat-reasoning-text').textContent = reasoning;
+        this.linkEntryReferences(container.querySelector('.chat-answer'));
+    }
+
+    // Entry citations
+    findEntryByReference(ref) {
+        return this.entryRepository.getAll().find(entry => this.aiService.getEntryReference(entry.id) === ref) || null;
+    }
+
+    createSourceChip(entry) {
+        const chip = document.createElement('button');
+        chip.className = 'chat-source-chip';
+        chip.textContent = `📄 ${new Date(entry.createdAt).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        chip.title = entry.title || this.truncateText(entry.content.replace(/\s+/g, ' ').trim(), 60) || 'Open entry';
+        chip.addEventListener('click', () => {
+            this.loadEntry(entry.id);
+            this.analytics.trackFeatureUse('ai_chat', 'source_opened');
+        });
+        return chip;
+    }
+
+    // Turns [#a1b2c] citations into chips that open the entry; unknown ones are flagged instead
+    linkEntryReferences(container) {
+        const pattern = /\[(#[0-9a-z]{5})\]/g;
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            if (pattern.test(walker.currentNode.nodeValue)) {
+                textNodes.push(walker.currentNode);
+            }
+            pattern.lastIndex = 0;
         }
+
+        textNodes.forEach(node => {
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            node.nodeValue.replace(pattern, (match, ref, offset) => {
+                fragment.appendChild(document.createTextNode(node.nodeValue.substring(lastIndex, offset)));
+                const entry = this.findEntryByReference(ref);
+                if (entry) {
+                    fragment.appendChild(this.createSourceChip(entry));
+                } else {
+                    const missing = document.createElement('span');
+                    missing.className = 'chat-source-missing';
+                    missing.textContent = match;
+                    missing.title = 'No entry has this reference - the AI may have made it up';
+                    fragment.appendChild(missing);
+                }
+                lastIndex = offset + match.length;
+                return match;
+            });
+            fragment.appendChild(document.createTextNode(node.nodeValue.substring(lastIndex)));
+            node.replaceWith(fragment);
+        });
     }
 
-    addChatMessage(sender, content, isTyping = false) {
-        const messageDiv = document.createElement('div');
-        const messageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        messageDiv.id = messageId;
-        messageDiv.className = `chat-message ${sender}-message ${isTyping ? 'typing' : ''}`;
+    // "Sources used" footer: every entry that was sent to the model for this answer, and the scope asked about
+    renderChatSources(messageId, sourceIds, scopeLabel = null) {
+        const messageDiv = document.getElementById(messageId);
+        const entries = sourceIds.map(id => this.entryRepository.get(id)).filter(Boolean);
+        if (!messageDiv || entries.length === 0 && !scopeLabel) return;
+
+        messageDiv.querySelector('.chat-sources')?.remove();
+        const footer = document.createElement('details');
+        footer.className = 'chat-sources';
+        footer.innerHTML = `<summary>Sources used (${entries.length})<span class="chat-sources-scope"></span></summary><div class="chat-sources-list"></div>`;
+        // Scope labels can contain the user's search text
+        footer.querySelector('.chat-sources-scope').textContent = scopeLabel ? ` • ${scopeLabel}` : '';
+        entries.forEach(entry => footer.querySelector('.chat-sources-list').appendChild(this.createSourceChip(entry)));
+
+        messageDiv.insertBefore(footer, messageDiv.querySelector('.message-time'));
+    }
+
+    formatChatContent(sender, content, isTyping = false) {
+        // Model replies and saved or imported sessions are untrusted - escape before adding markup
+        content = this.escapeHtml(content);
 
         // Format content with better paragraph spacing for AI messages
         let formattedContent = content;
@@ -1968,15 +7096,7 @@ I'll be here when you get me connected!`);
             formattedContent = content.replace(/\n/g, '<br>');
         }
 
-        messageDiv.innerHTML = `
-            <div class="message-content">${formattedContent}</div>
-            <div class="message-time">${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
-        `;
-
-        this.chatMessages.appendChild(messageDiv);
-        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
-
-        return messageId;
+        return formattedContent;
     }
 
     createReflectionEntry() {
@@ -1993,23 +7113,271 @@ I'll be here when you get me connected!`);
 
 "${this.lastAIResponse}"
 
----
+---
+
+What do I think about these insights? How do they resonate with my experience? What actions might I take based on this reflection?
+
+`;
+
+        this.textarea.value = reflectionPrompt;
+        this.textarea.focus();
+
+        // Position cursor at the end
+        this.textarea.setSelectionRange(reflectionPrompt.length, reflectionPrompt.length);
+
+        // Trigger auto-save
+        this.updateWordCount();
+        this.autoSave();
+        
+        // Track reflection entry creation (no content tracked)
+        this.analytics.trackFeatureUse('reflection_entry', 'created');
+    }
+
+    // Weekly/monthly review - only ever started from its button; clicking again cancels it
+    async generateReview(period) {
+        if (this.reviewAbortController) {
+            this.reviewAbortController.abort();
+            return;
+        }
+
+        if (this.aiService.status !== 'connected') {
+            this.themeManager.showToast('Connect to a local model to write a review', 'warning', '🗓️');
+            return;
+        }
+
+        // Include edits that haven't been autosaved yet
+        await this.flushPendingSave();
+
+        const days = period === 'month' ? 30 : 7;
+        const name = period === 'month' ? 'Monthly review' : 'Weekly review';
+        const since = Date.now() - days * 24 * 60 * 60 * 1000;
+        const entries = this.entryRepository.getAll().filter(entry =>
+            !entry.isTemplate && !entry.isReview && entry.content.trim() &&
+            new Date(entry.createdAt).getTime() >= since
+        );
+
+        if (entries.length === 0) {
+            this.themeManager.showToast(`No entries in the last ${days} days to review`, 'info', '🗓️');
+            return;
+        }
+
+        const format = (date) => date.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+        const periodLabel = `${format(new Date(since))} – ${format(new Date())}`;
+        const button = [...this.reviewButtons].find(btn => btn.dataset.period === period);
+        const label = button.querySelector('.review-btn-label');
+        const showProgress = ({ stage, done, total }) => {
+            label.textContent = stage === 'writing' ? 'Writing… (cancel)' :
+                `${stage === 'reading' ? 'Reading' : 'Merging'} ${done + 1}/${total}… (cancel)`;
+        };
+
+        this.reviewAbortController = new AbortController();
+        this.reviewButtons.forEach(btn => {
+            btn.disabled = btn !== button;
+        });
+        button.classList.add('running');
+        showProgress({ stage: 'reading', done: 0, total: 1 });
+        this.analytics.trackFeatureUse('ai_review', `${period}_started`);
+
+        try {
+            const { digest, sources } = await this.aiService.createReviewDigest(entries, periodLabel, {
+                signal: this.reviewAbortController.signal,
+                onProgress: showProgress
+            });
+
+            const sourceLines = sources.map(({ id, ref }) => {
+                const entry = entries.find(e => e.id === id);
+                const preview = entry.title || this.truncateText(entry.content.replace(/\s+/g, ' ').trim(), 60);
+                return `- [${ref}] ${new Date(entry.createdAt).toLocaleDateString()} – ${preview}`;
+            });
+            const content = `🗓️ ${name}: ${periodLabel}
+
+${digest}
+
+## Source entries
+${sourceLines.join('\n')}
+
+#review #${period === 'month' ? 'monthly' : 'weekly'}-review`;
+
+            const now = new Date();
+            const review = {
+                id: this.generateId(),
+                content,
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+                wordCount: content.split(/\s+/).length,
+                title: `${name} · ${periodLabel}`,
+                isReview: true,
+                reviewOf: sources.map(source => source.id),
+                revisions: this.revisionManager.recordSnapshot(undefined, content, now)
+            };
+
+            await this.entryRepository.save(review);
+
+            // The review can take minutes - keep whatever was typed meanwhile before switching entries
+            await this.flushPendingSave();
+            this.renderEntries();
+            this.loadEntry(review.id);
+            this.themeManager.showToast(`${name} saved from ${entries.length} entries`, 'success', '🗓️');
+            this.analytics.trackFeatureUse('ai_review', `${period}_created`);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.themeManager.showToast(`${name} cancelled`, 'info', '🗓️');
+            } else {
+                console.error('Review failed:', error);
+                this.themeManager.showToast(`${name} failed: ${error.message}`, 'error', '⚠️');
+            }
+        } finally {
+            this.reviewAbortController = null;
+            label.textContent = name;
+            button.classList.remove('running');
+            this.reviewButtons.forEach(btn => {
+                btn.disabled = false;
+            });
+        }
+    }
+
+    // Links a review entry back to the entries it was written from
+    renderReviewSources() {
+        if (!this.reviewSources) return;
+
+        const entry = this.currentEntryId && this.entryRepository.get(this.currentEntryId);
+        this.reviewSources.replaceChildren();
+        if (!entry || !entry.isReview) {
+            this.reviewSources.style.display = 'none';
+            return;
+        }
+
+        const sources = (entry.reviewOf || []).map(id => this.entryRepository.get(id)).filter(Boolean);
+        const missing = (entry.reviewOf || []).length - sources.length;
+        const label = document.createElement('span');
+        label.textContent = sources.length > 0 ? `🗓️ Written from ${sources.length} ${sources.length === 1 ? 'entry' : 'entries'}:` : '🗓️ Its source entries have been deleted';
+        this.reviewSources.appendChild(label);
+        sources.forEach(source => this.reviewSources.appendChild(this.createSourceChip(source)));
+        if (sources.length > 0 && missing > 0) {
+            const note = document.createElement('span');
+            note.textContent = `(+${missing} deleted)`;
+            this.reviewSources.appendChild(note);
+        }
+        this.reviewSources.style.display = 'flex';
+    }
+
+    // Entry history panel
+    toggleHistoryPanel() {
+        const isVisible = this.historyPanel.style.display !== 'none';
+
+        if (isVisible) {
+            this.closeHistoryPanel();
+        } else {
+            this.openHistoryPanel();
+        }
+    }
+
+    openHistoryPanel() {
+        if (!this.currentEntryId) {
+            this.themeManager.showToast('Open a saved entry to see its history', 'info', '🕘');
+            return;
+        }
+
+        this.selectedRevisionId = null;
+        this.renderHistoryPanel();
+        this.historyPanel.style.display = 'flex';
+        setTimeout(() => {
+            this.historyPanel.classList.add('show');
+        }, 10);
+
+        this.analytics.trackFeatureUse('revision_history', 'opened');
+    }
+
+    closeHistoryPanel() {
+        this.historyPanel.classList.remove('show');
+        setTimeout(() => {
+            this.historyPanel.style.display = 'none';
+        }, 300);
+    }
+
+    renderHistoryPanel() {
+        const revisions = this.revisionManager.getRevisions(this.currentEntryId);
+
+        if (revisions.length === 0) {
+            this.historyList.innerHTML = '<div class="history-empty">No saved versions yet</div>';
+            this.historyCompareSelect.innerHTML = '';
+            this.historyDiff.innerHTML = '';
+            this.historyRestoreBtn.disabled = true;
+            return;
+        }
+
+        const latestId = revisions[revisions.length - 1].id;
+        if (!revisions.some(r => r.id === this.selectedRevisionId)) {
+            this.selectedRevisionId = latestId;
+        }
+
+        // Newest first
+        this.historyList.innerHTML = [...revisions].reverse().map(revision => `
+            <div class="history-item ${revision.id === this.selectedRevisionId ? 'active' : ''}" data-revision-id="${revision.id}">
+                <div class="history-item-date">${this.formatRevisionDate(revision.savedAt)}</div>
+                <div class="history-item-meta">
+                    ${revision.wordCount} words${revision.id === latestId ? ' • <span class="history-current-badge">Current</span>' : ''}
+                </div>
+            </div>
+        `).join('');
+
+        this.historyList.querySelectorAll('.history-item').forEach(item => {
+            item.addEventListener('click', () => {
+                this.selectedRevisionId = item.dataset.revisionId;
+                this.renderHistoryPanel();
+            });
+        });
+
+        // Default comparison is the version just before the selected one
+        const selectedIndex = revisions.findIndex(r => r.id === this.selectedRevisionId);
+        const defaultCompare = revisions[selectedIndex - 1] || revisions[selectedIndex + 1];
+        this.historyCompareSelect.innerHTML = revisions
+            .filter(r => r.id !== this.selectedRevisionId)
+            .reverse()
+            .map(r => `<option value="${r.id}" ${defaultCompare && r.id === defaultCompare.id ? 'selected' : ''}>${this.formatRevisionDate(r.savedAt)}</option>`)
+            .join('');
+
+        this.historyRestoreBtn.disabled = this.selectedRevisionId === latestId;
+        this.renderRevisionDiff();
+    }
+
+    renderRevisionDiff() {
+        const revisions = this.revisionManager.getRevisions(this.currentEntryId);
+        const selected = revisions.find(r => r.id === this.selectedRevisionId);
+        const compare = revisions.find(r => r.id === this.historyCompareSelect.value);
 
-What do I think about these insights? How do they resonate with my experience? What actions might I take based on this reflection?
+        this.historyDiff.innerHTML = '';
+        if (!selected) return;
 
-`;
+        if (!compare) {
+            const onlyVersion = document.createElement('div');
+            onlyVersion.className = 'history-empty';
+            onlyVersion.textContent = 'This is the only saved version';
+            this.historyDiff.appendChild(onlyVersion);
+            return;
+        }
 
-        this.textarea.value = reflectionPrompt;
-        this.textarea.focus();
+        // Always show changes going forward in time
+        const [older, newer] = new Date(compare.savedAt) <= new Date(selected.savedAt) ?
+            [compare, selected] : [selected, compare];
 
-        // Position cursor at the end
-        this.textarea.setSelectionRange(reflectionPrompt.length, reflectionPrompt.length);
+        this.revisionManager.diffLines(older.content, newer.content).forEach(line => {
+            const lineDiv = document.createElement('div');
+            lineDiv.className = `diff-line diff-${line.type}`;
+            const marker = { added: '+ ', removed: '- ', same: '  ' }[line.type];
+            lineDiv.textContent = marker + line.text;
+            this.historyDiff.appendChild(lineDiv);
+        });
+    }
 
-        // Trigger auto-save
-        this.handleInput();
-        
-        // Track reflection entry creation (no content tracked)
-        this.analytics.trackFeatureUse('reflection_entry', 'created');
+    formatRevisionDate(isoDate) {
+        return new Date(isoDate).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
     }
 
     // Test panel integration
@@ -2033,15 +7401,153 @@ What do I think about these insights? How do they resonate with my experience? W
 
 
 
-    // Entry title generation removed - focusing on chat-based AI interaction
+    // Entry titles - typed by the user or suggested by the AI, never saved without being accepted
+    openTitleEditor(entryId) {
+        const entry = this.entryRepository.get(entryId);
+        if (!entry) return;
+
+        if (!this.titleEdits.has(entryId)) {
+            this.titleEdits.set(entryId, { value: entry.title || '', suggestion: null, loading: false });
+        }
+        this.renderEntries();
+        this.entryList.querySelector(`.entry-title-editor[data-entry-id="${entryId}"] .entry-title-input`)?.focus();
+    }
+
+    closeTitleEditor(entryId) {
+        const edit = this.titleEdits.get(entryId);
+        if (!edit) return;
+
+        this.titleEdits.delete(entryId);
+        if (edit.suggestion !== null) {
+            this.analytics.trackFeatureUse('entry_title', 'suggestion_rejected');
+        }
+        this.renderEntries();
+    }
+
+    acceptEntryTitle(entryId) {
+        const edit = this.titleEdits.get(entryId);
+        if (!edit || edit.loading) return;
+
+        this.titleEdits.delete(entryId);
+        this.setEntryTitle(entryId, edit.value);
+
+        const action = edit.suggestion === null ? 'manual' :
+            edit.value.trim() === edit.suggestion ? 'suggestion_accepted' : 'suggestion_edited';
+        this.analytics.trackFeatureUse('entry_title', action);
+    }
+
+    setEntryTitle(entryId, title) {
+        const entry = this.entryRepository.get(entryId);
+        if (!entry) return;
+
+        entry.title = title.trim() || null;
+        this.entryRepository.save(entry);
+        this.renderEntries();
+
+        // Custom templates are named after their entry's title
+        if (entry.isTemplate) {
+            this.updateTemplateDropdown();
+        }
+    }
+
+    async suggestEntryTitle(entryId) {
+        const entry = this.entryRepository.get(entryId);
+        if (!entry || !entry.content.trim()) return;
+
+        if (this.aiService.status !== 'connected') {
+            this.themeManager.showToast('Connect to a local model to get title suggestions', 'warning', '🏷️');
+            return;
+        }
+
+        const edit = this.titleEdits.get(entryId) || { value: entry.title || '', suggestion: null };
+        this.titleEdits.set(entryId, { ...edit, loading: true });
+        this.renderEntries();
+
+        try {
+            const suggestion = await this.aiService.suggestTitle(entry);
+            // Dropped if the editor was closed while the model was thinking
+            if (this.titleEdits.has(entryId)) {
+                this.titleEdits.set(entryId, { value: suggestion, suggestion, loading: false });
+            }
+        } catch (error) {
+            if (this.titleEdits.has(entryId)) {
+                this.titleEdits.set(entryId, { ...edit, loading: false });
+            }
+            this.themeManager.showToast(`Couldn't suggest a title: ${error.message}`, 'error', '⚠️');
+        }
+
+        this.renderEntries();
+        this.entryList.querySelector(`.entry-title-editor[data-entry-id="${entryId}"] .entry-title-input`)?.focus();
+    }
+
+    // Suggests titles one entry at a time; each shows up in the list to accept, edit or reject.
+    // Clicking the button again cancels the request in flight; titles already suggested stay in the list.
+    async titleUntitledEntries() {
+        if (this.titleAbortController) {
+            this.titleAbortController.abort();
+            return;
+        }
+
+        if (this.aiService.status !== 'connected') {
+            this.themeManager.showToast('Connect to a local model to get title suggestions', 'warning', '🏷️');
+            return;
+        }
+
+        const entries = this.entryRepository.getAll().filter(entry =>
+            !entry.title && entry.content.trim() && !this.titleEdits.has(entry.id)
+        );
+        if (entries.length === 0) {
+            this.themeManager.showToast('Every entry already has a title', 'info', '🏷️');
+            return;
+        }
+
+        const label = this.titleUntitledBtn.querySelector('.title-untitled-label');
+        this.titleAbortController = new AbortController();
+        this.titleUntitledBtn.classList.add('running');
+        this.analytics.trackFeatureUse('entry_title', 'title_all_started');
+
+        let suggested = 0;
+        let failed = 0;
+        try {
+            for (let i = 0; i < entries.length; i++) {
+                label.textContent = `Titling ${i + 1}/${entries.length}… (stop)`;
+                // Skip entries titled or deleted since the run started
+                const entry = this.entryRepository.get(entries[i].id);
+                if (!entry || entry.title || this.titleEdits.has(entry.id)) continue;
+
+                try {
+                    const suggestion = await this.aiService.suggestTitle(entry, { signal: this.titleAbortController.signal });
+                    this.titleEdits.set(entry.id, { value: suggestion, suggestion, loading: false });
+                    suggested++;
+                    this.renderEntries();
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    console.error('Title suggestion failed:', error);
+                    failed++;
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+        } finally {
+            this.titleAbortController = null;
+            this.titleUntitledBtn.classList.remove('running');
+            label.textContent = 'Title untitled entries';
+        }
+
+        if (suggested > 0) {
+            this.themeManager.showToast(`${suggested} title${suggested === 1 ? '' : 's'} suggested - accept, edit or reject them in the entry list`, 'success', '🏷️');
+        } else if (failed > 0) {
+            this.themeManager.showToast("Couldn't suggest any titles - is the model still running?", 'error', '⚠️');
+        }
+    }
 
     removeEntryTitle(entryId) {
-        const entry = this.entries.find(e => e.id === entryId);
+        const entry = this.entryRepository.get(entryId);
         if (!entry) return;
 
         // Remove the title
         entry.title = null;
-        this.saveEntries();
+        this.entryRepository.save(entry);
         this.renderEntries();
     }
 
@@ -2050,6 +7556,18 @@ What do I think about these insights? How do they resonate with my experience? W
         this.currentModelDisplay = document.getElementById('currentModel');
         this.modelDropdown = document.getElementById('modelDropdown');
         this.modelDropdownBtn = document.getElementById('modelDropdownBtn');
+        this.modelPullProgress = document.getElementById('modelPullProgress');
+
+        if (this.modelPullProgress) {
+            this.modelPullProgress.querySelector('.pull-cancel-btn').addEventListener('click', () => {
+                this.aiService.cancelPull();
+            });
+            this.aiService.onPullProgress((progress) => this.renderPullProgress(progress));
+        }
+
+        this.initializeModelManager();
+        this.initializeGenerationSettings();
+        this.initializeEmbeddingSettings();
 
         if (!this.currentModelDisplay || !this.modelDropdown || !this.modelDropdownBtn) return;
 
@@ -2072,8 +7590,341 @@ What do I think about these insights? How do they resonate with my experience? W
             const descEl = modelInfo.querySelector('.model-description');
 
             if (nameEl) nameEl.textContent = currentModel.name || 'Unknown Model';
-            if (descEl) descEl.textContent = `${currentModel.size} • ${currentModel.speed}`;
+            if (descEl) descEl.textContent = currentModel.size ? `${currentModel.size} • ${currentModel.speed}` : this.aiService.provider.name;
+        }
+    }
+
+    // Model management panel: inspect, delete and warm up installed Ollama models
+    initializeModelManager() {
+        this.modelManagerActions = document.getElementById('modelManagerActions');
+        this.modelManager = document.getElementById('modelManager');
+        this.modelManagerList = document.getElementById('modelManagerList');
+        this.manageModelsBtn = document.getElementById('manageModelsBtn');
+        this.preloadModelBtn = document.getElementById('preloadModelBtn');
+
+        if (!this.modelManagerActions || !this.modelManager) return;
+
+        this.manageModelsBtn.addEventListener('click', () => this.toggleModelManager());
+        this.preloadModelBtn.addEventListener('click', () => this.preloadCurrentModel());
+
+        this.modelManagerList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const modelId = button.closest('.model-manager-item').dataset.modelId;
+            if (button.dataset.action === 'details') {
+                this.toggleModelDetails(modelId, button);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteInstalledModel(modelId);
+            }
+        });
+
+        this.updateModelManagerVisibility();
+    }
+
+    updateModelManagerVisibility() {
+        if (!this.modelManagerActions) return;
+
+        // OpenAI-compatible servers have no API for managing models
+        const supported = this.aiService.provider.canPullModels;
+        this.modelManagerActions.style.display = supported ? 'flex' : 'none';
+        if (!supported) {
+            this.modelManager.style.display = 'none';
+        }
+    }
+
+    toggleModelManager() {
+        const isVisible = this.modelManager.style.display !== 'none';
+        this.modelManager.style.display = isVisible ? 'none' : 'block';
+
+        if (!isVisible) {
+            this.renderModelManager();
+            this.analytics.trackFeatureUse('model_manager', 'open');
+        }
+    }
+
+    renderModelManager() {
+        if (!this.modelManager || this.modelManager.style.display === 'none') return;
+
+        const models = Object.values(this.aiService.installedModels)
+            .sort((a, b) => (b.modifiedAt || '').localeCompare(a.modifiedAt || ''));
+
+        if (models.length === 0) {
+            this.modelManagerList.innerHTML = '<div class="model-manager-empty">No models installed yet</div>';
+            return;
+        }
+
+        this.modelManagerList.innerHTML = '';
+        models.forEach(model => {
+            const details = model.details || {};
+            const modified = model.modifiedAt ? new Date(model.modifiedAt) : null;
+            const meta = [
+                this.aiService.formatBytes(model.size),
+                details.family,
+                details.quantization_level,
+                modified && !isNaN(modified) ? `Updated ${modified.toLocaleDateString()}` : ''
+            ].filter(Boolean).join(' • ');
+
+            const item = document.createElement('div');
+            item.className = 'model-manager-item';
+            item.dataset.modelId = model.id;
+            item.innerHTML = `
+                <div class="model-manager-header">
+                    <div class="model-manager-name"></div>
+                    <div class="model-manager-buttons">
+                        <button class="model-manager-btn" data-action="details" title="Show details">ℹ️</button>
+                        <button class="model-manager-btn delete" data-action="delete" title="Delete model">🗑️</button>
+                    </div>
+                </div>
+                <div class="model-manager-meta"></div>
+                <div class="model-manager-details" style="display: none;"></div>
+            `;
+            // Model names and metadata come from Ollama, so never treat them as HTML
+            item.querySelector('.model-manager-name').textContent = model.id;
+            item.querySelector('.model-manager-meta').textContent = meta;
+            item.classList.toggle('active', this.aiService.hasModel([model.id], this.aiService.model));
+
+            this.modelManagerList.appendChild(item);
+        });
+    }
+
+    async toggleModelDetails(modelId, button) {
+        const detailsEl = button.closest('.model-manager-item').querySelector('.model-manager-details');
+        if (detailsEl.style.display !== 'none') {
+            detailsEl.style.display = 'none';
+            return;
+        }
+
+        detailsEl.style.display = 'block';
+        detailsEl.textContent = 'Loading details...';
+
+        try {
+            const info = await this.aiService.showModel(modelId);
+            const rows = [
+                ['Parameters', info.parameterSize],
+                ['Quantization', info.quantization],
+                ['Family', info.family],
+                ['Format', info.format],
+                ['Context window', info.contextLength ? `${info.contextLength.toLocaleString()} tokens` : null],
+                ['Capabilities', info.capabilities.join(', ')]
+            ].filter(([, value]) => value);
+
+            detailsEl.innerHTML = '';
+            rows.forEach(([label, value]) => {
+                const row = document.createElement('div');
+                row.className = 'model-manager-detail';
+                row.innerHTML = '<span class="model-manager-detail-label"></span><span></span>';
+                row.children[0].textContent = label;
+                row.children[1].textContent = value;
+                detailsEl.appendChild(row);
+            });
+        } catch (error) {
+            detailsEl.textContent = error.message;
+        }
+    }
+
+    async deleteInstalledModel(modelId) {
+        const size = this.aiService.formatBytes(this.aiService.installedModels[modelId]?.size);
+        if (!confirm(`Delete ${modelId}${size ? ` (${size})` : ''} from Ollama? You can download it again later.`)) return;
+
+        try {
+            await this.aiService.deleteModel(modelId);
+            this.themeManager.showToast(`${modelId} deleted`, 'success', '🗑️');
+            this.analytics.trackFeatureUse('model_manager', 'delete');
+        } catch (error) {
+            this.themeManager.showToast(error.message, 'error', '❌');
+        }
+
+        this.refreshModelSelector(true);
+        this.renderModelManager();
+    }
+
+    async preloadCurrentModel() {
+        const model = this.aiService.getCurrentModel();
+        if (this.aiService.status !== 'connected') {
+            this.themeManager.showToast(`${model.name} isn't ready to load yet`, 'warning', '⚠️');
+            return;
+        }
+
+        this.preloadModelBtn.disabled = true;
+        this.themeManager.showToast(`Loading ${model.name} into memory...`, 'info', '🔥');
+
+        try {
+            await this.aiService.preloadModel(model.id);
+            this.themeManager.showToast(`${model.name} is warmed up`, 'success', '✅');
+            this.analytics.trackFeatureUse('model_manager', 'preload');
+        } catch (error) {
+            this.themeManager.showToast(error.message, 'error', '❌');
+        } finally {
+            this.preloadModelBtn.disabled = false;
+        }
+    }
+
+    // AI settings panel: sampling, context size and system prompt for the selected model
+    initializeGenerationSettings() {
+        this.generationSettingsBtn = document.getElementById('generationSettingsBtn');
+        this.generationSettingsForm = document.getElementById('generationSettings');
+
+        if (!this.generationSettingsBtn || !this.generationSettingsForm) return;
+
+        this.generationSettingsBtn.addEventListener('click', () => {
+            const isVisible = this.generationSettingsForm.style.display !== 'none';
+            this.generationSettingsForm.style.display = isVisible ? 'none' : 'block';
+            if (!isVisible) {
+                this.renderGenerationSettings();
+            }
+        });
+
+        // Save as soon as a field is committed, like the other sidebar preferences
+        this.generationSettingsForm.addEventListener('change', () => this.saveGenerationSettings());
+        this.generationSettingsForm.addEventListener('submit', (e) => e.preventDefault());
+
+        document.getElementById('resetSystemPromptBtn').addEventListener('click', () => {
+            this.generationSettingsForm.elements.systemPrompt.value = this.aiService.defaultSystemPrompt;
+            this.saveGenerationSettings();
+        });
+
+        document.getElementById('resetGenerationSettingsBtn').addEventListener('click', () => {
+            this.aiService.resetGenerationSettings();
+            this.renderGenerationSettings();
+            this.themeManager.showToast('AI settings restored to defaults', 'info', '↩️');
+        });
+    }
+
+    renderGenerationSettings() {
+        if (!this.generationSettingsForm) return;
+
+        const settings = this.aiService.getGenerationSettings();
+        const fields = this.generationSettingsForm.elements;
+
+        ['temperature', 'topP', 'contextLength', 'maxTokens'].forEach(key => {
+            fields[key].value = settings[key] ?? '';
+        });
+        fields.systemPrompt.value = settings.systemPrompt || this.aiService.defaultSystemPrompt;
+
+        // The context window is set when an OpenAI-compatible server loads the model
+        fields.contextLength.disabled = !this.aiService.provider.canPullModels;
+
+        this.generationSettingsForm.querySelector('.generation-settings-model').textContent =
+            `Saved for ${this.aiService.getCurrentModel().name}`;
+    }
+
+    saveGenerationSettings() {
+        const fields = this.generationSettingsForm.elements;
+        const saved = this.aiService.saveGenerationSettings({
+            temperature: fields.temperature.value,
+            topP: fields.topP.value,
+            contextLength: fields.contextLength.value,
+            maxTokens: fields.maxTokens.value,
+            systemPrompt: fields.systemPrompt.value
+        });
+
+        // Show clamped values so what's on screen is what gets sent
+        this.renderGenerationSettings();
+        this.analytics.trackFeatureUse('ai_settings', saved.systemPrompt ? 'custom_prompt' : 'save');
+    }
+
+    // Semantic search: which embedding model to use and how much of the journal is indexed
+    initializeEmbeddingSettings() {
+        this.embeddingModelInput = document.getElementById('embeddingModelInput');
+        this.embeddingStatus = document.getElementById('embeddingStatus');
+        this.embeddingDownloadBtn = document.getElementById('embeddingDownloadBtn');
+
+        if (!this.embeddingModelInput || !this.embeddingStatus) return;
+
+        this.embeddingModelInput.value = this.embeddingIndex.model;
+        this.embeddingModelInput.placeholder = this.embeddingIndex.defaultModel;
+        this.embeddingModelInput.addEventListener('change', () => {
+            this.embeddingIndex.setModel(this.embeddingModelInput.value);
+            this.embeddingModelInput.value = this.embeddingIndex.model;
+            this.renderEmbeddingStatus();
+        });
+        this.embeddingDownloadBtn.addEventListener('click', () => this.downloadEmbeddingModel());
+        this.embeddingIndex.onProgress(() => this.renderEmbeddingStatus());
+
+        this.renderEmbeddingStatus();
+    }
+
+    renderEmbeddingStatus() {
+        if (!this.embeddingStatus) return;
+
+        const model = this.embeddingIndex.model;
+        const installed = this.aiService.hasModel(this.aiService.remoteModels, model);
+        this.embeddingDownloadBtn.style.display = !installed && this.aiService.provider.canPullModels ? '' : 'none';
+
+        if (this.aiService.status !== 'connected') {
+            this.embeddingStatus.className = 'connection-test-result';
+            this.embeddingStatus.textContent = 'Connect to your AI server to use semantic search';
+        } else if (!installed) {
+            this.embeddingStatus.className = 'connection-test-result error';
+            this.embeddingStatus.textContent = `${model} isn't installed - chat uses keyword matching`;
+        } else {
+            const { indexed, total } = this.embeddingIndex.getProgress();
+            this.embeddingStatus.className = 'connection-test-result success';
+            this.embeddingStatus.textContent = indexed < total ?
+                `Indexing entries... ${indexed} of ${total}` :
+                `${total} ${total === 1 ? 'entry' : 'entries'} indexed with ${model}`;
+        }
+    }
+
+    async downloadEmbeddingModel() {
+        if (this.aiService.isPulling()) {
+            this.themeManager.showToast('Wait for the current download to finish', 'warning', '⏳');
+            return;
+        }
+
+        const model = this.embeddingIndex.model;
+        this.embeddingDownloadBtn.disabled = true;
+        try {
+            await this.aiService.pullModel(model);
+            await this.aiService.checkStatus();
+            this.themeManager.showToast(`${model} ready - indexing your journal`, 'success', '🔎');
+            this.analytics.trackFeatureUse('semantic_search', 'model_downloaded');
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.themeManager.showToast(`Download failed: ${error.message}`, 'error', '❌');
+            }
+        } finally {
+            this.embeddingDownloadBtn.disabled = false;
+            this.renderEmbeddingStatus();
+        }
+    }
+
+    renderPullProgress(progress) {
+        if (!progress) {
+            this.modelPullProgress.style.display = 'none';
+            return;
         }
+
+        this.modelPullProgress.style.display = 'block';
+        const bar = this.modelPullProgress.querySelector('.pull-progress-fill');
+        const label = this.modelPullProgress.querySelector('.pull-progress-label');
+        const detail = this.modelPullProgress.querySelector('.pull-progress-detail');
+
+        label.textContent = `Downloading ${progress.modelName}`;
+        bar.style.width = `${progress.percent ?? 0}%`;
+        this.modelPullProgress.classList.toggle('indeterminate', progress.percent === null);
+
+        // Ollama's status moves through "pulling manifest", "pulling <digest>", "verifying sha256 digest"...
+        detail.textContent = progress.total ?
+            `${this.aiService.formatBytes(progress.completed) || '0B'} of ${this.aiService.formatBytes(progress.total)} (${progress.percent}%)` :
+            progress.status;
+    }
+
+    // Periodic status checks call this too, so only rebuild when the list changed
+    refreshModelSelector(force = false) {
+        if (!this.modelDropdown) return;
+
+        this.updateCurrentModelDisplay();
+
+        const models = this.aiService.getAvailableModels();
+        const signature = JSON.stringify([this.aiService.model, Object.entries(models).map(([id, model]) => [id, model.installed, model.sizeOnDisk])]);
+        if (!force && signature === this.modelListSignature) return;
+
+        this.modelListSignature = signature;
+        this.createModelOptions();
+        this.renderModelManager();
+        this.renderGenerationSettings();
     }
 
     createModelOptions() {
@@ -2082,7 +7933,7 @@ What do I think about these insights? How do they resonate with my experience? W
 
         this.modelDropdown.innerHTML = '';
 
-        // Group models by category
+        // Group models by category, curated categories first
         const categories = {
             'Latest': [],
             'Thinking': [],
@@ -2091,9 +7942,14 @@ What do I think about these insights? How do they resonate with my experience? W
 
         Object.entries(models).forEach(([id, model]) => {
             const category = model.category || 'Reliable';
-            categories[category].push({ id, ...model });
+            (categories[category] = categories[category] || []).push({ id, ...model });
         });
 
+        if (Object.keys(models).length === 0) {
+            this.modelDropdown.innerHTML = '<div class="model-option-description" style="padding: var(--space-3);">No models loaded on the server yet</div>';
+            return;
+        }
+
         // Create options for each category
         Object.entries(categories).forEach(([category, categoryModels]) => {
             if (categoryModels.length === 0) return;
@@ -2122,17 +7978,70 @@ What do I think about these insights? How do they resonate with my experience? W
                     'Slow': '#ef4444'
                 }[model.speed] || '#6b7280';
 
+                // Installed models show their size on disk; others show the download size
+                const installBadge = !this.aiService.provider.canPullModels ? '' : model.installed ?
+                    `<span class="model-install-badge installed">✓ Installed${model.sizeOnDisk ? ` • ${model.sizeOnDisk}` : ''}</span>` :
+                    '<span class="model-install-badge">Not installed</span>';
+
                 option.innerHTML = `
                     <div class="model-option-header">
-                        <div class="model-option-name">${model.name}</div>
-                        <div class="model-option-size" style="background: ${speedColor}; color: white;">${model.size}</div>
+                        <div class="model-option-name"></div>
+                        ${model.size ? `<div class="model-option-size" style="background: ${speedColor}; color: white;"></div>` : ''}
                     </div>
-                    <div class="model-option-description">${model.description}</div>
+                    <div class="model-option-description"></div>
+                    ${installBadge}
                 `;
+                // Names, sizes and descriptions of pulled models come from the server, so never treat them as HTML
+                option.querySelector('.model-option-name').textContent = model.name;
+                option.querySelector('.model-option-description').textContent = model.description || '';
+                if (model.size) {
+                    option.querySelector('.model-option-size').textContent = model.size;
+                }
 
                 this.modelDropdown.appendChild(option);
             });
         });
+
+        if (this.aiService.provider.canPullModels) {
+            this.modelDropdown.appendChild(this.createCustomModelInput());
+        }
+    }
+
+    // Lets people use any Ollama tag, e.g. "mistral:7b" or a custom Modelfile
+    createCustomModelInput() {
+        const container = document.createElement('form');
+        container.className = 'model-custom';
+        container.innerHTML = `
+            <input type="text" class="model-custom-input" placeholder="Other model, e.g. mistral:7b" spellcheck="false" aria-label="Model tag">
+            <button type="submit" class="model-custom-btn">Use</button>
+        `;
+
+        container.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = container.querySelector('.model-custom-input');
+            const tag = input.value.trim();
+
+            if (!this.aiService.isValidModelTag(tag)) {
+                this.themeManager.showToast('That doesn\'t look like a model tag', 'warning', '⚠️');
+                return;
+            }
+
+            this.selectModel(tag);
+        });
+
+        return container;
+    }
+
+    selectModel(modelId) {
+        this.aiService.setModel(modelId).then(() => this.refreshModelSelector(true));
+        this.refreshModelSelector(true);
+
+        // Hide dropdown
+        this.modelDropdown.style.display = 'none';
+        this.modelDropdownBtn.style.transform = 'rotate(0deg)';
+
+        const model = this.aiService.getAvailableModels()[modelId];
+        this.themeManager.showToast(`Switching to ${model ? model.name : modelId}...`, 'info', '🤖');
     }
 
     setupModelSelectorEvents() {
@@ -2157,16 +8066,7 @@ What do I think about these insights? How do they resonate with my experience? W
                 option.classList.add('active');
 
                 // Set new model (async)
-                const model = this.aiService.getAvailableModels()[modelId];
-                this.aiService.setModel(modelId);
-                this.updateCurrentModelDisplay();
-
-                // Hide dropdown
-                this.modelDropdown.style.display = 'none';
-                this.modelDropdownBtn.style.transform = 'rotate(0deg)';
-
-                // Show toast notification
-                this.themeManager.showToast(`Switching to ${model.name}...`, 'info', '🤖');
+                this.selectModel(modelId);
             }
         });
 
@@ -2193,7 +8093,7 @@ What do I think about these insights? How do they resonate with my experience? W
         this.newEntryDropdown.innerHTML = templates.map(template => `
             <div class="template-option" data-template-id="${template.id}" role="menuitem" tabindex="0">
                 <span class="template-option-icon">${template.icon}</span>
-                <span class="template-option-label">${template.name}</span>
+                <span class="template-option-label">${this.escapeHtml(template.name)}</span>
             </div>
         `).join('');
 
@@ -2280,9 +8180,13 @@ What do I think about these insights? How do they resonate with my experience? W
     createBlankEntry() {
         this.textarea.value = '';
         this.currentEntryId = null;
+        this.pendingCreatedAt = null;
+        this.revisionManager.startSession();
         this.isTemplateContent = false;
         this.templateContentOriginal = null;
         this.updateWordCount();
+        this.updateEntryDateInput();
+        this.renderReviewSources();
         this.textarea.focus();
         
         // Track new entry creation (no content tracked)
@@ -2320,7 +8224,7 @@ What do I think about these insights? How do they resonate with my experience? W
                 const name = entry.title || this.truncateText(entry.content, 30);
                 html += `
                     <div class="template-list-item clickable" data-template-id="${entry.id}" title="Click to create new entry from this template">
-                        <span class="template-list-name">📌 ${name}</span>
+                        <span class="template-list-name">📌 ${this.escapeHtml(name)}</span>
                         <button class="template-remove-btn" data-entry-id="${entry.id}" title="Remove template">×</button>
                     </div>
                 `;
@@ -2378,8 +8282,78 @@ What do I think about these insights? How do they resonate with my experience? W
         this.renderEntries();
     }
 
+    loadDateFieldPreference() {
+        try {
+            return localStorage.getItem('entryDateField') === 'updatedAt' ? 'updatedAt' : 'createdAt';
+        } catch (error) {
+            return 'createdAt';
+        }
+    }
+
+    setDateField(dateField) {
+        this.dateField = dateField === 'updatedAt' ? 'updatedAt' : 'createdAt';
+
+        try {
+            localStorage.setItem('entryDateField', this.dateField);
+        } catch (error) {
+            console.error('Failed to save date preference:', error);
+        }
+
+        this.dateSortButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.dateField === this.dateField);
+        });
+
+        this.renderEntries();
+    }
+
+    updateEntryDateInput() {
+        if (!this.entryDateInput) return;
+
+        const entry = this.currentEntryId ? this.entryRepository.get(this.currentEntryId) : null;
+        const createdAt = entry ? new Date(entry.createdAt) : (this.pendingCreatedAt || new Date());
+
+        this.entryDateInput.value = this.toDateInputValue(createdAt);
+        this.entryDateInput.max = this.toDateInputValue(new Date());
+    }
+
+    toDateInputValue(date) {
+        // Local calendar date in the YYYY-MM-DD format date inputs expect
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    setEntryCreatedDate(value) {
+        if (!value) return;
+
+        const [year, month, day] = value.split('-').map(Number);
+        const entry = this.currentEntryId ? this.entryRepository.get(this.currentEntryId) : null;
+
+        // Keep the original time of day, only move the calendar date
+        const createdAt = new Date(entry ? entry.createdAt : (this.pendingCreatedAt || new Date()));
+        createdAt.setFullYear(year, month - 1, day);
+
+        if (createdAt > new Date()) {
+            this.themeManager.showToast('Entries can\'t be dated in the future', 'warning', '📅');
+            this.updateEntryDateInput();
+            return;
+        }
+
+        if (entry) {
+            entry.createdAt = createdAt.toISOString();
+            this.entryRepository.save(entry);
+            this.renderEntries();
+        } else {
+            // Applied when the new entry is first saved
+            this.pendingCreatedAt = createdAt;
+        }
+
+        this.themeManager.showToast(`Entry dated ${createdAt.toLocaleDateString()}`, 'success', '📅');
+        this.analytics.trackFeatureUse('entry_date', 'backdated');
+    }
+
     toggleEntryTemplate(entryId) {
-        const entry = this.entries.find(e => e.id === entryId);
+        const entry = this.entryRepository.get(entryId);
         if (!entry) return;
 
         if (entry.isTemplate) {
@@ -211,6 +211,7 @@ class TestFramework {
 
 // Initialize global test framework
 window.testFramework = new TestFramework();
+const tf = window.testFramework; // Used by the test groups registered at load time below
 
 // Define core app tests
 function setupCoreTests() {
@@ -496,7 +497,8 @@ function setupCoreTests() {
         const testEntry = {
             id: 'test-entry-123',
             content: 'Test entry for deletion',
-            date: new Date().toISOString(),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
             wordCount: 4
         };
         app.entries.unshift(testEntry);
@@ -526,9 +528,9 @@ function setupCoreTests() {
         
         // Create test entries
         const testEntries = [
-            { id: '1', content: 'Today I worked on a project about machine learning', date: new Date().toISOString(), wordCount: 10 },
-            { id: '2', content: 'Had a great day at the beach with friends', date: new Date(Date.now() - 86400000).toISOString(), wordCount: 9 },
-            { id: '3', content: 'Working on machine learning algorithms again', date: new Date(Date.now() - 172800000).toISOString(), wordCount: 8 }
+            { id: '1', content: 'Today I worked on a project about machine learning', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), wordCount: 10 },
+            { id: '2', content: 'Had a great day at the beach with friends', createdAt: new Date(Date.now() - 86400000).toISOString(), updatedAt: new Date(Date.now() - 86400000).toISOString(), wordCount: 9 },
+            { id: '3', content: 'Working on machine learning algorithms again', createdAt: new Date(Date.now() - 172800000).toISOString(), updatedAt: new Date(Date.now() - 172800000).toISOString(), wordCount: 8 }
         ];
         
         const context = app.aiService.createSmartContext('machine learning', testEntries);
@@ -665,7 +667,8 @@ function setupCoreTests() {
                                  latestEntry.hasOwnProperty('title') &&
                                  latestEntry.hasOwnProperty('id') &&
                                  latestEntry.hasOwnProperty('content') &&
-                                 latestEntry.hasOwnProperty('date') &&
+                                 latestEntry.hasOwnProperty('createdAt') &&
+                                 latestEntry.hasOwnProperty('updatedAt') &&
                                  latestEntry.hasOwnProperty('wordCount');
         
         return {
@@ -682,7 +685,8 @@ function setupCoreTests() {
             const testEntry = {
                 id: 'test-hover-123',
                 content: 'Test entry for hover behavior',
-                date: new Date().toISOString(),
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
                 wordCount: 5,
                 summary: null,
                 title: null
@@ -1280,9 +1284,9 @@ tf.addTest(() => {
     lastWeek.setDate(lastWeek.getDate() - 7);
     
     const testEntries = [
-        { id: 'test1', content: 'Today entry', date: today.toISOString() },
-        { id: 'test2', content: 'Yesterday entry', date: yesterday.toISOString() },
-        { id: 'test3', content: 'Last week entry', date: lastWeek.toISOString() }
+        { id: 'test1', content: 'Today entry', createdAt: today.toISOString(), updatedAt: today.toISOString() },
+        { id: 'test2', content: 'Yesterday entry', createdAt: yesterday.toISOString(), updatedAt: yesterday.toISOString() },
+        { id: 'test3', content: 'Last week entry', createdAt: lastWeek.toISOString(), updatedAt: lastWeek.toISOString() }
     ];
     
     const grouped = app.groupEntriesByDate(testEntries);
@@ -1344,7 +1348,8 @@ tf.addTest(() => {
     const testEntry = {
         id: 'title-test',
         content: 'Test entry for title management',
-        date: new Date().toISOString(),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
         title: 'Test Title'
     };
     
@@ -1450,8 +1455,7 @@ console.log('   • Entry title management');
 console.log('   • AI status indicators');
 console.log('   • Complete integration workflow');
 
-//
- Template Manager Tests
+// Template Manager Tests
 tf.addTest('Template Manager Initialized', async () => {
     const app = window.journal;
     return {
@@ -1799,10 +1803,10 @@ tf.addTest('Backward Compatibility with Existing Entries', async () => {
     };
     
     app.entries.push(oldEntry);
-    app.saveEntries();
+    await app.saveEntries();
     
     // Reload entries
-    const reloadedEntries = app.loadEntries();
+    const reloadedEntries = await app.loadEntries();
     const reloadedEntry = reloadedEntries.find(e => e.id === 'test-old-entry');
     
     return {
@@ -1905,3 +1909,1834 @@ tf.addTest('Template Management Section', async () => {
         message: 'Template management section elements present'
     };
 }, 'template-ui');
+
+// Entry Repository Tests
+tf.addTest('Entry Repository Initialized', async () => {
+    const app = window.journal;
+    const repository = app.entryRepository;
+    
+    const hasRepository = repository instanceof EntryRepository;
+    const entriesFromRepository = app.entries === repository.getAll();
+    
+    return {
+        passed: hasRepository && entriesFromRepository,
+        message: `Repository: ${hasRepository}, Entries served from repository: ${entriesFromRepository}`
+    };
+}, 'storage');
+
+tf.addTest('Entry Repository Per-Entry Save and Delete', async () => {
+    const app = window.journal;
+    const repository = app.entryRepository;
+    
+    const testEntry = {
+        id: 'repo-test-entry',
+        content: 'Repository round trip',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        wordCount: 3,
+        title: null,
+        isTemplate: false,
+        templateOrder: null
+    };
+    
+    const saved = await repository.save(testEntry);
+    const storedTemplates = await repository.getTemplatesFromStore();
+    const cached = repository.get('repo-test-entry') !== undefined;
+    
+    await repository.delete('repo-test-entry');
+    const deleted = repository.get('repo-test-entry') === undefined;
+    
+    return {
+        passed: saved && cached && deleted && !storedTemplates.some(e => e.id === 'repo-test-entry'),
+        message: `Saved: ${saved}, Cached: ${cached}, Deleted: ${deleted}`
+    };
+}, 'storage');
+
+tf.addTest('Legacy localStorage Migration', async () => {
+    const repository = new EntryRepository();
+    const legacyEntry = {
+        id: 'legacy-migration-entry',
+        content: 'Written before IndexedDB',
+        date: new Date().toISOString(),
+        wordCount: 3
+    };
+    
+    const originalLegacyValue = localStorage.getItem(repository.legacyStorageKey);
+    localStorage.setItem(repository.legacyStorageKey, JSON.stringify([legacyEntry]));
+    await repository.load();
+    
+    const migrated = repository.get('legacy-migration-entry');
+    const legacyKeyRemoved = repository.db ? localStorage.getItem(repository.legacyStorageKey) === null : true;
+    
+    // Clean up - in localStorage fallback mode the legacy key is the live journal
+    await repository.delete('legacy-migration-entry');
+    if (originalLegacyValue !== null) {
+        localStorage.setItem(repository.legacyStorageKey, originalLegacyValue);
+    } else if (!repository.db) {
+        localStorage.removeItem(repository.legacyStorageKey);
+    }
+    await window.journal.loadEntries();
+    
+    return {
+        passed: migrated !== undefined && migrated.isTemplate === false && migrated.createdAt === legacyEntry.date && legacyKeyRemoved,
+        message: migrated ? 'Legacy entries migrated to IndexedDB' : 'Legacy migration failed'
+    };
+}, 'storage');
+
+tf.addTest('Unreadable Legacy Entries Kept', async () => {
+    const repository = new EntryRepository();
+    const corrupt = '[{"id": "legacy-corrupt", "content": ';
+    
+    const originalLegacyValue = localStorage.getItem(repository.legacyStorageKey);
+    localStorage.setItem(repository.legacyStorageKey, corrupt);
+    try {
+        await repository.load();
+        const kept = localStorage.getItem(repository.legacyStorageKey) === corrupt;
+        const reported = repository.db ? repository.migrationError !== null : true;
+        
+        return {
+            passed: kept && reported,
+            message: `Legacy key kept: ${kept}, Problem reported: ${reported}`
+        };
+    } finally {
+        if (originalLegacyValue !== null) {
+            localStorage.setItem(repository.legacyStorageKey, originalLegacyValue);
+        } else {
+            localStorage.removeItem(repository.legacyStorageKey);
+        }
+    }
+}, 'storage');
+
+// Revision History Tests
+tf.addTest('Revision Snapshots Coalesce by Session', async () => {
+    const revisionManager = window.journal.revisionManager;
+    const start = new Date();
+    
+    revisionManager.startSession();
+    let revisions = revisionManager.recordSnapshot([], 'first draft', start);
+    revisions = revisionManager.recordSnapshot(revisions, 'first draft, edited', new Date(start.getTime() + 1000));
+    const coalesced = revisions.length === 1;
+    
+    revisionManager.startSession();
+    revisions = revisionManager.recordSnapshot(revisions, 'second session', new Date(start.getTime() + 2000));
+    const newSession = revisions.length === 2 && revisions[0].content === 'first draft, edited';
+    
+    return {
+        passed: coalesced && newSession,
+        message: `Coalesced: ${coalesced}, New session snapshot: ${newSession}`
+    };
+}, 'revision-history');
+
+tf.addTest('Entries Without History Keep Their Original Text', async () => {
+    const app = window.journal;
+    const createdAt = '2025-06-01T09:00:00.000Z';
+    const entryId = 'test-legacy-revisions';
+    
+    // Saved before revision history existed, or imported without it
+    await app.entryRepository.saveMany([{ id: entryId, content: 'What I first wrote', createdAt, updatedAt: createdAt }]);
+    
+    try {
+        app.loadEntry(entryId);
+        app.textarea.value = 'What I first wrote, rewritten';
+        await app.saveCurrentEntry();
+        const revisions = app.revisionManager.getRevisions(entryId);
+        
+        const originalKept = revisions.length === 2 && revisions[0].content === 'What I first wrote' && revisions[0].savedAt === createdAt;
+        const editRecorded = revisions[revisions.length - 1]?.content === 'What I first wrote, rewritten';
+        
+        return {
+            passed: originalKept && editRecorded,
+            message: `Original text kept as first version: ${originalKept}, Edit recorded after it: ${editRecorded}`
+        };
+    } finally {
+        await app.entryRepository.delete(entryId);
+        app.createBlankEntry();
+        app.renderEntries();
+    }
+}, 'revision-history');
+
+tf.addTest('Revision Line Diff', async () => {
+    const revisionManager = window.journal.revisionManager;
+    
+    const diff = revisionManager.diffLines('keep\nremove me', 'keep\nadded line');
+    const types = diff.map(line => line.type).join(',');
+    
+    return {
+        passed: types === 'same,removed,added',
+        message: `Diff line types: ${types}`
+    };
+}, 'revision-history');
+
+tf.addTest('Revision History Bounded', async () => {
+    const revisionManager = window.journal.revisionManager;
+    let revisions = [];
+    
+    for (let i = 0; i < revisionManager.maxRevisions + 5; i++) {
+        revisionManager.startSession();
+        revisions = revisionManager.recordSnapshot(revisions, `version ${i}`, new Date(Date.now() + i * 1000));
+    }
+    
+    return {
+        passed: revisions.length === revisionManager.maxRevisions && revisions[0].content === 'version 5',
+        message: `Kept ${revisions.length} of ${revisionManager.maxRevisions + 5} snapshots`
+    };
+}, 'revision-history');
+
+tf.addTest('Imported Revision Ids Sanitized', async () => {
+    const revisionManager = window.journal.revisionManager;
+    const savedAt = new Date().toISOString();
+    
+    const [injected, ours] = revisionManager.normalizeRevisions([
+        { id: '"><img src=x onerror=alert(1)>', content: 'a', savedAt },
+        { id: 'rev_abc123_x9y8z', content: 'b', savedAt }
+    ]);
+    
+    const replaced = /^rev_[a-z0-9_]+$/.test(injected.id);
+    const kept = ours.id === 'rev_abc123_x9y8z';
+    
+    return {
+        passed: replaced && kept,
+        message: `Unsafe id replaced: ${replaced}, Valid id kept: ${kept}`
+    };
+}, 'revision-history');
+
+// Entry Date Tests
+tf.addTest('Editing Keeps Creation Date', async () => {
+    const app = window.journal;
+    
+    app.createBlankEntry();
+    app.textarea.value = 'Entry written a while ago';
+    await app.saveCurrentEntry();
+    const entryId = app.currentEntryId;
+    
+    try {
+        const entry = app.entryRepository.get(entryId);
+        const originalCreatedAt = entry.createdAt;
+        
+        await new Promise(resolve => setTimeout(resolve, 10));
+        app.textarea.value = 'Entry written a while ago, edited today';
+        await app.saveCurrentEntry();
+        const edited = app.entryRepository.get(entryId);
+        
+        const createdKept = edited.createdAt === originalCreatedAt;
+        const updatedMoved = edited.updatedAt > originalCreatedAt;
+        
+        return {
+            passed: createdKept && updatedMoved,
+            message: `Creation date kept: ${createdKept}, Last-modified updated: ${updatedMoved}`
+        };
+    } finally {
+        await app.entryRepository.delete(entryId);
+        app.createBlankEntry();
+        app.renderEntries();
+    }
+}, 'entry-dates');
+
+tf.addTest('Back-dating an Entry', async () => {
+    const app = window.journal;
+    
+    app.createBlankEntry();
+    app.textarea.value = 'Writing up last Sunday';
+    await app.saveCurrentEntry();
+    const entryId = app.currentEntryId;
+    
+    try {
+        const lastWeek = new Date();
+        lastWeek.setDate(lastWeek.getDate() - 7);
+        app.setEntryCreatedDate(app.toDateInputValue(lastWeek));
+        
+        const entry = app.entryRepository.get(entryId);
+        const backdated = new Date(entry.createdAt).toDateString() === lastWeek.toDateString();
+        const grouped = app.groupEntriesByDate([entry], 'createdAt');
+        const notInToday = !grouped.hasOwnProperty('Today');
+        
+        return {
+            passed: backdated && notInToday,
+            message: `Back-dated: ${backdated}, Grouped under original date: ${notInToday}`
+        };
+    } finally {
+        await app.entryRepository.delete(entryId);
+        app.createBlankEntry();
+        app.renderEntries();
+    }
+}, 'entry-dates');
+
+tf.addTest('Legacy Date Migration', async () => {
+    const app = window.journal;
+    const legacyDate = '2024-03-01T09:00:00.000Z';
+    
+    const migrated = app.entryRepository.normalizeEntry({ id: 'legacy-date', content: 'Old', date: legacyDate });
+    
+    return {
+        passed: migrated.createdAt === legacyDate && migrated.updatedAt === legacyDate && !('date' in migrated),
+        message: `createdAt: ${migrated.createdAt}, updatedAt: ${migrated.updatedAt}`
+    };
+}, 'entry-dates');
+
+// Journal Lock Tests
+tf.addTest('Passphrase Round Trip', async () => {
+    const manager = new EncryptionManager();
+    manager.iterations = 1000; // Keep the test fast; real locks use the full count
+    
+    const { key, settings } = await manager.createLockSettings('correct horse battery');
+    manager.key = key;
+    const encrypted = await manager.encryptJSON({ content: 'Secret thoughts' });
+    const decrypted = await manager.decryptJSON(encrypted);
+    
+    manager.settings = settings;
+    const wrongKey = await manager.checkPassphrase('wrong passphrase');
+    const rightKey = await manager.checkPassphrase('correct horse battery');
+    
+    return {
+        passed: decrypted.content === 'Secret thoughts' && wrongKey === null && rightKey !== null,
+        message: `Round trip: ${decrypted.content === 'Secret thoughts'}, Wrong passphrase rejected: ${wrongKey === null}`
+    };
+}, 'journal-lock');
+
+tf.addTest('Encrypted Records Hide Content', async () => {
+    const manager = new EncryptionManager();
+    manager.iterations = 1000;
+    const { key } = await manager.createLockSettings('correct horse battery');
+    manager.key = key;
+    
+    const repository = new EntryRepository();
+    repository.setCipher(manager);
+    const entry = repository.normalizeEntry({ id: 'lock-test', content: 'Nobody should read this', createdAt: new Date().toISOString() });
+    const record = await repository.encodeRecord(entry);
+    const decoded = await repository.decodeRecord(record);
+    
+    const hidden = !JSON.stringify(record).includes('Nobody should read this');
+    const keepsIndexes = record.id === 'lock-test' && record.createdAt === entry.createdAt;
+    
+    return {
+        passed: hidden && keepsIndexes && decoded.content === entry.content,
+        message: `Content hidden: ${hidden}, Index fields readable: ${keepsIndexes}, Decodes: ${decoded.content === entry.content}`
+    };
+}, 'journal-lock');
+
+tf.addTest('Failed Encryption Leaves Lock Off', async () => {
+    const app = window.journal;
+    const manager = app.encryptionManager;
+    if (manager.isEnabled()) {
+        return { passed: true, message: 'Skipped - the journal is already locked' };
+    }
+    
+    const saved = {
+        dialog: app.showPassphraseDialog,
+        reencrypt: app.reencryptJournal,
+        settings: localStorage.getItem(manager.settingsKey)
+    };
+    const ciphers = [];
+    app.showPassphraseDialog = async () => ({ passphrase: 'correct horse battery', confirmation: 'correct horse battery' });
+    app.reencryptJournal = async (cipher) => {
+        ciphers.push(cipher);
+        return ciphers.length > 1; // Only the encrypting write fails
+    };
+    
+    try {
+        await app.setupJournalLock();
+    } finally {
+        app.showPassphraseDialog = saved.dialog;
+        app.reencryptJournal = saved.reencrypt;
+    }
+    
+    const lockOff = !manager.isEnabled() && manager.key === null && localStorage.getItem(manager.settingsKey) === saved.settings;
+    const rolledBack = ciphers.length === 2 && ciphers[0] === manager && ciphers[1] === null;
+    
+    return {
+        passed: lockOff && rolledBack,
+        message: `Lock settings and key not kept: ${lockOff}, Entries written back unencrypted: ${rolledBack}`
+    };
+}, 'journal-lock');
+
+tf.addTest('Locked Repository Refuses to Decode', async () => {
+    const manager = new EncryptionManager();
+    manager.iterations = 1000;
+    const { key } = await manager.createLockSettings('correct horse battery');
+    manager.key = key;
+    
+    const repository = new EntryRepository();
+    repository.setCipher(manager);
+    const record = await repository.encodeRecord(repository.normalizeEntry({ id: 'lock-test-2', content: 'Private' }));
+    
+    repository.setCipher(null);
+    let refused = false;
+    try {
+        await repository.decodeRecord(record);
+    } catch (error) {
+        refused = true;
+    }
+    
+    return {
+        passed: refused,
+        message: refused ? 'Encrypted record needs the passphrase' : 'Record decoded without a key'
+    };
+}, 'journal-lock');
+
+// Streaming Chat Tests
+tf.addTest('Streamed Response Parsing', async () => {
+    const app = window.journal;
+    const encoder = new TextEncoder();
+    
+    // Split a JSON line across chunks the way a network read can
+    const chunks = ['{"response":"Hel"}\n{"resp', 'onse":"lo"}\n', '{"response":"!","done":true}'];
+    const response = {
+        body: new ReadableStream({
+            start(controller) {
+                chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+                controller.close();
+            }
+        })
+    };
+    
+    let text = '';
+    await app.aiService.readJSONStream(response, (data) => {
+        text += data.response;
+    });
+    
+    return {
+        passed: text === 'Hello!',
+        message: `Reassembled stream: "${text}"`
+    };
+}, 'ai-chat');
+
+tf.addTest('Stop Button Hidden When Idle', async () => {
+    const app = window.journal;
+    const stopBtn = document.getElementById('chatStopBtn');
+    
+    return {
+        passed: stopBtn !== null && stopBtn.style.display === 'none' && app.chatAbortController === null,
+        message: stopBtn ? 'Stop button only shows while a response streams' : 'Stop button missing'
+    };
+}, 'ai-chat');
+
+tf.addTest('Conversation History Budget', async () => {
+    const app = window.journal;
+    const history = [];
+    for (let i = 0; i < 6; i++) {
+        history.push({ role: 'user', content: `Question ${i} `.padEnd(500, '.') });
+        history.push({ role: 'assistant', content: `Answer ${i} `.padEnd(500, '.') });
+    }
+    
+    const trimmed = app.aiService.trimHistory(history, 2500);
+    const keepsNewest = trimmed[trimmed.length - 1] === history[history.length - 1];
+    const startsWithQuestion = trimmed[0]?.role === 'user';
+    
+    return {
+        passed: trimmed.length === 4 && keepsNewest && startsWithQuestion,
+        message: `Kept ${trimmed.length} of ${history.length} messages, newest kept: ${keepsNewest}`
+    };
+}, 'ai-chat');
+
+// Saved Chat Session Tests
+tf.addTest('Uneven Conversations Trimmed And Counted', async () => {
+    const app = window.journal;
+    const history = [
+        { role: 'user', content: 'First question' },
+        { role: 'user', content: 'Asked again before any reply' },
+        { role: 'assistant', content: 'An answer' },
+        { role: 'assistant', content: 'A second answer' },
+        { role: 'user', content: 'Last question' }
+    ];
+    
+    const everything = app.aiService.trimHistory(history, 10000);
+    const tight = app.aiService.trimHistory(history, 'A second answer'.length + 'Last question'.length);
+    const allKept = everything.length === 5;
+    const startsWithQuestion = tight.length === 1 && tight[0].content === 'Last question';
+    
+    const savedSessions = app.chatSessionRepository.sessions;
+    let meta;
+    try {
+        app.chatSessionRepository.sessions = [app.chatSessionRepository.normalizeSession({
+            id: 'test-uneven-session', title: 'Imported', messages: history
+        })];
+        app.renderChatSessionList();
+        meta = app.chatSessionList.querySelector('.chat-session-meta')?.textContent || '';
+    } finally {
+        app.chatSessionRepository.sessions = savedSessions;
+        app.renderChatSessionList();
+    }
+    const counted = meta.endsWith('3 questions');
+    
+    return {
+        passed: allKept && startsWithQuestion && counted,
+        message: `Unpaired messages kept: ${allKept}, Trimmed history starts with a question: ${startsWithQuestion}, Questions counted: ${counted} (${meta})`
+    };
+}, 'chat-sessions');
+
+tf.addTest('Chats Are Ephemeral by Default', async () => {
+    const app = window.journal;
+    const storedPreference = localStorage.getItem('saveChatSessions');
+    
+    return {
+        passed: storedPreference === 'true' || app.chatSessionsEnabled === false,
+        message: `Saving chats: ${app.chatSessionsEnabled} (preference: ${storedPreference ?? 'not set'})`
+    };
+}, 'chat-sessions');
+
+tf.addTest('Chat Session Save and Search', async () => {
+    const app = window.journal;
+    const repository = app.chatSessionRepository;
+    const session = repository.normalizeSession({
+        id: 'chat_test_session',
+        title: 'Test conversation',
+        messages: [
+            { role: 'user', content: 'What made me happy in spring?' },
+            { role: 'assistant', content: 'Your garden came up a lot.' }
+        ]
+    });
+    
+    await repository.save(session);
+    const found = repository.search('garden').some(s => s.id === session.id);
+    const missing = !repository.search('no-such-phrase-xyz').some(s => s.id === session.id);
+    
+    await repository.delete(session.id);
+    const deleted = !repository.get(session.id);
+    
+    return {
+        passed: found && missing && deleted,
+        message: `Found by message text: ${found}, Filtered out: ${missing}, Deleted: ${deleted}`
+    };
+}, 'chat-sessions');
+
+tf.addTest('Chat Session Normalization', async () => {
+    const app = window.journal;
+    const session = app.chatSessionRepository.normalizeSession({
+        id: 'chat_imported',
+        messages: [{ role: 'user', content: 'Hi' }, { role: 'system', content: 'ignored' }, null]
+    });
+    
+    return {
+        passed: session.messages.length === 1 && session.title === 'Untitled conversation' && session.updatedAt === session.createdAt,
+        message: `Messages kept: ${session.messages.length}, Title: ${session.title}`
+    };
+}, 'chat-sessions');
+
+tf.addTest('Saved Chat Turns Keep Their Times', async () => {
+    const app = window.journal;
+    const saved = { enabled: app.chatSessionsEnabled, history: app.chatHistory, sessionId: app.currentChatSessionId };
+    app.chatSessionsEnabled = true;
+    app.chatHistory = [];
+    app.currentChatSessionId = null;
+    
+    try {
+        app.finishChatResponse('First question', 'First answer', [], null, '2026-01-01T10:00:00.000Z');
+        const firstAnswerAt = app.chatHistory[1].at;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await app.finishChatResponse('Second question', 'Second answer');
+        
+        const session = app.chatSessionRepository.get(app.currentChatSessionId);
+        const kept = session.messages[0].at === '2026-01-01T10:00:00.000Z' && session.messages[1].at === firstAnswerAt;
+        const stamped = session.messages.length === 4 && session.messages[3].at !== firstAnswerAt;
+        
+        return {
+            passed: kept && stamped,
+            message: `Earlier turns keep their times: ${kept}, New turns get their own: ${stamped}`
+        };
+    } finally {
+        if (app.currentChatSessionId) {
+            await app.chatSessionRepository.delete(app.currentChatSessionId);
+        }
+        app.chatSessionsEnabled = saved.enabled;
+        app.chatHistory = saved.history;
+        app.currentChatSessionId = saved.sessionId;
+        app.updateChatSaveUI();
+    }
+}, 'chat-sessions');
+
+tf.addTest('Chat Message Text Escaped', async () => {
+    const app = window.journal;
+    const container = document.createElement('div');
+    container.innerHTML = app.formatChatContent('ai', 'Hi <img src=x onerror="alert(1)">\n\nBye');
+    
+    const escaped = container.querySelector('img') === null && container.textContent.includes('<img');
+    const formatted = container.querySelectorAll('p').length === 2;
+    
+    return {
+        passed: escaped && formatted,
+        message: `Markup shown as text: ${escaped}, Paragraphs kept: ${formatted}`
+    };
+}, 'chat-sessions');
+
+// Reasoning Block Tests
+tf.addTest('Reasoning Stripped From Answer', async () => {
+    const app = window.journal;
+    const parsed = app.aiService.parseReasoning('<think>They asked about sleep.</think>\n\nYou mention resting more in March.');
+    
+    return {
+        passed: parsed.reasoning === 'They asked about sleep.' && parsed.answer === 'You mention resting more in March.',
+        message: `Reasoning: "${parsed.reasoning}", Answer: "${parsed.answer}"`
+    };
+}, 'ai-chat');
+
+tf.addTest('Unfinished Reasoning While Streaming', async () => {
+    const app = window.journal;
+    const parsed = app.aiService.parseReasoning('<think>Still working this out');
+    
+    return {
+        passed: parsed.reasoningOpen && parsed.answer === '' && parsed.reasoning === 'Still working this out',
+        message: `Reasoning open: ${parsed.reasoningOpen}, Answer so far: "${parsed.answer}"`
+    };
+}, 'ai-chat');
+
+tf.addTest('Reasoning-Only Reply Explained', async () => {
+    const app = window.journal;
+    const saved = {
+        history: app.chatHistory,
+        messages: app.chatMessages.innerHTML,
+        chatWithEntries: app.aiService.chatWithEntries,
+        retrieve: app.embeddingIndex.retrieve
+    };
+    app.chatHistory = [];
+    app.aiService.chatWithEntries = async () => '<think>They asked about sleep, but I ran out of room.</think>';
+    app.embeddingIndex.retrieve = async () => null;
+    
+    let noticed;
+    let notRecorded;
+    try {
+        app.chatInput.value = 'How have I been sleeping?';
+        await app.sendChatMessage();
+        
+        const replies = app.chatMessages.querySelectorAll('.chat-message.ai-message');
+        noticed = replies[replies.length - 1]?.classList.contains('reasoning-only') || false;
+        notRecorded = app.chatHistory.length === 0;
+    } finally {
+        app.aiService.chatWithEntries = saved.chatWithEntries;
+        app.embeddingIndex.retrieve = saved.retrieve;
+        app.chatHistory = saved.history;
+        app.chatMessages.innerHTML = saved.messages;
+    }
+    
+    return {
+        passed: noticed && notRecorded,
+        message: `Reply marked as reasoning only: ${noticed}, Empty answer kept out of history: ${notRecorded}`
+    };
+}, 'ai-chat');
+
+tf.addTest('Enter Ignored While A Reply Streams', async () => {
+    const app = window.journal;
+    const saved = {
+        history: app.chatHistory,
+        messages: app.chatMessages.innerHTML,
+        chatWithEntries: app.aiService.chatWithEntries,
+        retrieve: app.embeddingIndex.retrieve
+    };
+    app.chatHistory = [];
+    app.embeddingIndex.retrieve = async () => null;
+    const pending = [];
+    app.aiService.chatWithEntries = (query, entries, currentEntryId, { signal }) => new Promise((resolve, reject) => {
+        const stop = () => reject(new DOMException('Stopped', 'AbortError'));
+        pending.push(stop);
+        signal.addEventListener('abort', stop);
+    });
+    
+    let single;
+    let stoppable;
+    try {
+        app.chatInput.value = 'First question';
+        const first = app.sendChatMessage();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const controller = app.chatAbortController;
+        
+        app.chatInput.value = 'Second question';
+        app.chatInput.dispatchEvent(new KeyboardEvent('keypress', { key: 'Enter', bubbles: true }));
+        await new Promise(resolve => setTimeout(resolve, 0));
+        single = pending.length === 1 && app.chatAbortController === controller;
+        
+        app.stopChatResponse();
+        const finished = await Promise.race([first.then(() => true), new Promise(resolve => setTimeout(() => resolve(false), 1000))]);
+        stoppable = finished && controller.signal.aborted && app.chatAbortController === null;
+    } finally {
+        pending.forEach(stop => stop());
+        app.aiService.chatWithEntries = saved.chatWithEntries;
+        app.embeddingIndex.retrieve = saved.retrieve;
+        app.chatHistory = saved.history;
+        app.chatMessages.innerHTML = saved.messages;
+        app.chatInput.value = '';
+    }
+    
+    return {
+        passed: single && stoppable,
+        message: `Second request not started: ${single}, Stop still cancels the first: ${stoppable}`
+    };
+}, 'ai-chat');
+
+// AI Connection Settings Tests
+tf.addTest('Ollama Endpoint Normalization', async () => {
+    const app = window.journal;
+    const original = app.aiService.endpoint;
+    
+    const shorthand = app.aiService.setEndpoint('192.168.1.20:11434/');
+    const proxied = app.aiService.setEndpoint('https://home.local/ollama/');
+    let rejected = false;
+    try {
+        app.aiService.setEndpoint('ftp://home.local');
+    } catch (error) {
+        rejected = true;
+    }
+    
+    app.aiService.setEndpoint(original);
+    
+    return {
+        passed: shorthand === 'http://192.168.1.20:11434' && proxied === 'https://home.local/ollama' && rejected,
+        message: `Shorthand: ${shorthand}, Proxy path: ${proxied}, Non-http rejected: ${rejected}`
+    };
+}, 'ai-service');
+
+tf.addTest('Connection Failures Explained', async () => {
+    const app = window.journal;
+    const statuses = ['timeout', 'cors-blocked', 'not-found', 'not-installed'];
+    const details = statuses.map(status => app.aiService.getStatusDetail(status));
+    const distinct = new Set(details).size === statuses.length;
+    
+    return {
+        passed: distinct && details[1].includes('OLLAMA_ORIGINS'),
+        message: distinct ? 'Each failure has its own explanation' : 'Some failures share an explanation'
+    };
+}, 'ai-service');
+
+// AI Provider Tests
+tf.addTest('AI Providers Registered', async () => {
+    const app = window.journal;
+    const providers = app.aiService.providers;
+    const ollamaReady = providers.ollama && providers.ollama.canPullModels;
+    const openaiReady = providers.openai && !providers.openai.canPullModels &&
+        providers.openai.getModelsUrl('http://localhost:1234/v1') === 'http://localhost:1234/v1/models';
+    
+    return {
+        passed: ollamaReady && openaiReady && app.aiService.provider === providers[app.aiService.providerId],
+        message: `Ollama: ${!!ollamaReady}, OpenAI-compatible: ${!!openaiReady}, Selected: ${app.aiService.providerId}`
+    };
+}, 'ai-service');
+
+tf.addTest('AI Backends Stay Local', async () => {
+    const app = window.journal;
+    const local = ['localhost', '127.0.0.1', '192.168.1.20', '10.0.0.5', 'nas.local', 'homeserver', '100.101.2.3', '169.254.10.1', 'fe80::1'];
+    const remote = ['api.openai.com', '8.8.8.8', 'example.com'];
+    
+    const localAllowed = local.every(host => app.aiService.isLocalAddress(host));
+    const remoteBlocked = remote.every(host => !app.aiService.isLocalAddress(host));
+    
+    return {
+        passed: localAllowed && remoteBlocked,
+        message: `Local addresses allowed: ${localAllowed}, Cloud addresses blocked: ${remoteBlocked}`
+    };
+}, 'ai-service');
+
+tf.addTest('Unrecognised Hosts Need Confirming', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    const original = service.endpoint;
+    const originalTrusted = [...service.trustedHosts];
+    const storageKey = `${service.providerId}Endpoint`;
+    const originalSaved = localStorage.getItem(storageKey);
+    
+    let needsConfirm = false;
+    let confirmed;
+    let loadRejected;
+    try {
+        try {
+            service.setEndpoint('https://ollama.myhouse.net');
+        } catch (error) {
+            needsConfirm = error.untrustedHost === 'ollama.myhouse.net';
+        }
+        confirmed = service.setEndpoint('https://ollama.myhouse.net', { trustHost: true }) === 'https://ollama.myhouse.net' &&
+            service.loadEndpoint(service.providerId) === 'https://ollama.myhouse.net';
+        
+        localStorage.setItem(storageKey, 'https://api.example.com');
+        loadRejected = service.loadEndpoint(service.providerId) === service.provider.defaultEndpoint;
+    } finally {
+        service.trustedHosts = originalTrusted;
+        localStorage.setItem('trustedAIHosts', JSON.stringify(originalTrusted));
+        service.setEndpoint(original);
+        if (originalSaved === null) {
+            localStorage.removeItem(storageKey);
+        } else {
+            localStorage.setItem(storageKey, originalSaved);
+        }
+    }
+    
+    return {
+        passed: needsConfirm && confirmed && loadRejected,
+        message: `Asks before using: ${needsConfirm}, Allowed once confirmed: ${confirmed}, Unconfirmed saved address ignored: ${loadRejected}`
+    };
+}, 'ai-service');
+
+// Model Discovery Tests
+tf.addTest('Installed Models Merged With Curated List', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    if (!service.provider.canPullModels) {
+        return { passed: true, message: 'Skipped - an OpenAI-compatible server is selected' };
+    }
+    
+    const savedRemote = service.remoteModels;
+    const savedInstalled = service.installedModels;
+    service.remoteModels = ['llama3.2:1b', 'mistral:latest'];
+    service.installedModels = {
+        'llama3.2:1b': { id: 'llama3.2:1b', size: 1321098329, details: {} },
+        'mistral:latest': { id: 'mistral:latest', size: 4113301824, details: { family: 'llama', parameter_size: '7.2B' } }
+    };
+    
+    const models = service.getAvailableModels();
+    service.remoteModels = savedRemote;
+    service.installedModels = savedInstalled;
+    
+    const curatedKept = models['llama3.2:1b'].description === service.availableModels['llama3.2:1b'].description && models['llama3.2:1b'].installed;
+    const extraAdded = models['mistral:latest']?.installed === true && models['mistral:latest'].sizeOnDisk === '3.8GB';
+    const notInstalledMarked = models['gemma3:1b'].installed === false;
+    
+    return {
+        passed: curatedKept && extraAdded && notInstalledMarked,
+        message: `Curated description kept: ${curatedKept}, Pulled model listed: ${extraAdded}, Missing marked: ${notInstalledMarked}`
+    };
+}, 'ai-service');
+
+tf.addTest('Model Details Shown As Text', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    if (!service.provider.canPullModels) {
+        return { passed: true, message: 'Skipped - an OpenAI-compatible server is selected' };
+    }
+    
+    const savedRemote = service.remoteModels;
+    const savedInstalled = service.installedModels;
+    service.remoteModels = ['evil:latest'];
+    service.installedModels = {
+        'evil:latest': { id: 'evil:latest', size: 1000, details: { family: '<img src=x class="test-injected">' } }
+    };
+    
+    let injected;
+    let shownAsText;
+    try {
+        app.createModelOptions();
+        const option = app.modelDropdown.querySelector('[data-model-id="evil:latest"]');
+        injected = !!app.modelDropdown.querySelector('.test-injected');
+        shownAsText = option?.querySelector('.model-option-description').textContent === '<img src=x class="test-injected">';
+    } finally {
+        service.remoteModels = savedRemote;
+        service.installedModels = savedInstalled;
+        app.createModelOptions();
+    }
+    
+    return {
+        passed: !injected && shownAsText,
+        message: `Markup from the server kept out: ${!injected}, Shown as text: ${shownAsText}`
+    };
+}, 'ai-service');
+
+tf.addTest('Model Tag Matching', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    
+    const latestMatches = service.normalizeModelTag('mistral') === service.normalizeModelTag('mistral:latest');
+    const validTags = ['mistral', 'phi3:mini', 'library/qwen3:4b'].every(tag => service.isValidModelTag(tag));
+    const invalidTag = !service.isValidModelTag('not a tag!');
+    
+    return {
+        passed: latestMatches && validTags && invalidTag,
+        message: `"mistral" matches "mistral:latest": ${latestMatches}, Tags validated: ${validTags && invalidTag}`
+    };
+}, 'ai-service');
+
+tf.addTest('Model Download Progress Streams', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    if (!service.provider.canPullModels) {
+        return { passed: true, message: 'Skipped - an OpenAI-compatible server is selected' };
+    }
+    
+    const events = [
+        { status: 'pulling manifest' },
+        { status: 'pulling aaa', digest: 'aaa', total: 300, completed: 300 },
+        { status: 'pulling bbb', digest: 'bbb', total: 100, completed: 50 },
+        { status: 'success' }
+    ];
+    const originalFetch = window.fetch;
+    let requestBody = null;
+    window.fetch = async (url, options) => {
+        requestBody = JSON.parse(options.body);
+        return new Response(events.map(event => JSON.stringify(event)).join('\n'));
+    };
+    
+    const percents = [];
+    service.onPullProgress(progress => progress && percents.push(progress.percent));
+    try {
+        await service.pullModel('test-model:1b');
+    } finally {
+        window.fetch = originalFetch;
+    }
+    
+    const streamed = requestBody.stream === true && requestBody.model === 'test-model:1b';
+    const aggregated = percents.join(',') === ',100,87,87';
+    const cleared = service.pullProgress === null && !service.isPulling();
+    
+    return {
+        passed: streamed && aggregated && cleared,
+        message: `Streamed request: ${streamed}, Layers summed: ${aggregated} (${percents.join(',')}), Cleared when done: ${cleared}`
+    };
+}, 'ai-service');
+
+tf.addTest('Installed Check Uses Exact Tags', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    
+    const installed = ['llama3.2:1b', 'mistral:latest'];
+    const exact = service.hasModel(installed, 'llama3.2:1b') && service.hasModel(installed, 'mistral');
+    const noPrefixMatch = !service.hasModel(installed, 'llama3.2') && !service.hasModel(installed, 'llama3.2:1b-instruct');
+    
+    return {
+        passed: exact && noPrefixMatch,
+        message: `Exact tags found: ${exact}, Similar tags rejected: ${noPrefixMatch}`
+    };
+}, 'ai-service');
+
+// Model Management Tests
+tf.addTest('Model Details Read From Ollama', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    
+    const originalFetch = window.fetch;
+    window.fetch = async () => new Response(JSON.stringify({
+        details: { family: 'qwen3', parameter_size: '4.0B', quantization_level: 'Q4_K_M', format: 'gguf' },
+        model_info: { 'general.architecture': 'qwen3', 'qwen3.context_length': 40960 },
+        capabilities: ['completion', 'thinking']
+    }));
+    
+    let info;
+    try {
+        info = await service.showModel('qwen3:4b');
+    } finally {
+        window.fetch = originalFetch;
+    }
+    
+    const basics = info.parameterSize === '4.0B' && info.quantization === 'Q4_K_M';
+    const contextFound = info.contextLength === 40960;
+    
+    return {
+        passed: basics && contextFound,
+        message: `Size and quantization: ${basics}, Context window from model_info: ${contextFound}`
+    };
+}, 'ai-service');
+
+tf.addTest('Deleted Model Leaves Installed List', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    
+    const savedRemote = service.remoteModels;
+    const savedInstalled = service.installedModels;
+    const originalFetch = window.fetch;
+    let request = null;
+    service.remoteModels = ['old-model:1b', 'keep-model:1b'];
+    service.installedModels = { 'old-model:1b': { id: 'old-model:1b' }, 'keep-model:1b': { id: 'keep-model:1b' } };
+    window.fetch = async (url, options) => {
+        request = { url, method: options.method, body: JSON.parse(options.body) };
+        return new Response('');
+    };
+    
+    try {
+        await service.deleteModel('old-model:1b');
+    } finally {
+        window.fetch = originalFetch;
+    }
+    
+    const requested = request.url.endsWith('/api/delete') && request.method === 'DELETE' && request.body.model === 'old-model:1b';
+    const removed = !service.remoteModels.includes('old-model:1b') && !service.installedModels['old-model:1b'];
+    const othersKept = service.remoteModels.includes('keep-model:1b');
+    service.remoteModels = savedRemote;
+    service.installedModels = savedInstalled;
+    
+    return {
+        passed: requested && removed && othersKept,
+        message: `DELETE sent: ${requested}, Removed from list: ${removed}, Others kept: ${othersKept}`
+    };
+}, 'ai-service');
+
+// Generation Settings Tests
+tf.addTest('Generation Settings Normalized', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    
+    const normalized = service.normalizeGenerationSettings({
+        temperature: '3.5',
+        topP: '',
+        contextLength: '10000.4',
+        maxTokens: 'lots',
+        systemPrompt: `  ${service.defaultSystemPrompt}  `
+    });
+    
+    const clamped = normalized.temperature === 2 && normalized.contextLength === 10000;
+    const blanksCleared = normalized.topP === null && normalized.maxTokens === null;
+    const defaultPromptNotStored = normalized.systemPrompt === null;
+    
+    return {
+        passed: clamped && blanksCleared && defaultPromptNotStored,
+        message: `Clamped: ${clamped}, Blanks use model default: ${blanksCleared}, Default prompt not stored: ${defaultPromptNotStored}`
+    };
+}, 'ai-service');
+
+tf.addTest('Generation Settings Sent As Options', async () => {
+    const settings = { temperature: 0.4, topP: null, contextLength: 16384, maxTokens: 512, systemPrompt: null };
+    
+    const ollamaOptions = new OllamaProvider(null).getOptions(settings);
+    const openaiOptions = new OpenAICompatibleProvider(null).getOptions(settings);
+    
+    const ollamaMapped = JSON.stringify(ollamaOptions) === JSON.stringify({ temperature: 0.4, num_ctx: 16384, num_predict: 512 });
+    const openaiMapped = JSON.stringify(openaiOptions) === JSON.stringify({ temperature: 0.4, max_tokens: 512 });
+    
+    return {
+        passed: ollamaMapped && openaiMapped,
+        message: `Ollama options: ${JSON.stringify(ollamaOptions)}, OpenAI-compatible: ${JSON.stringify(openaiOptions)}`
+    };
+}, 'ai-service');
+
+// Persona Tests
+tf.addTest('Personas Shape The System Prompt', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    if (service.status !== 'connected') {
+        return { passed: true, message: 'Skipped - AI service not connected' };
+    }
+    
+    const originalStreamChat = service.provider.streamChat;
+    const prompts = {};
+    service.provider.streamChat = async (endpoint, { messages }) => {
+        prompts.current = messages[0].content;
+    };
+    
+    try {
+        const analyst = app.personaManager.get('default-analyst');
+        await service.chatWithEntries('How often do I write?', [], null, { persona: analyst });
+        prompts.analyst = prompts.current;
+        await service.chatWithEntries('How often do I write?', [], null, { persona: app.personaManager.get('default-companion') });
+        prompts.companion = prompts.current;
+    } finally {
+        service.provider.streamChat = originalStreamChat;
+    }
+    
+    const personaUsed = prompts.analyst.startsWith('You are a concise analyst') && prompts.analyst.includes('RESPONSE FORMAT');
+    const companionUsesSettings = prompts.companion.startsWith(service.getGenerationSettings().systemPrompt || service.defaultSystemPrompt);
+    
+    return {
+        passed: personaUsed && companionUsesSettings,
+        message: `Persona prompt and format used: ${personaUsed}, Companion uses AI settings prompt: ${companionUsesSettings}`
+    };
+}, 'ai-chat');
+
+tf.addTest('Custom Personas Validated On Import', async () => {
+    const app = window.journal;
+    const manager = app.personaManager;
+    
+    const saved = manager.customPersonas;
+    const imported = manager.importPersonas([
+        { id: 'test-persona-ok', name: 'Stoic Mentor', prompt: 'Answer like a stoic mentor.' },
+        { id: 'test-persona-empty', name: 'No instructions', prompt: '   ' },
+        { id: 'default-analyst', name: 'Clashes with a built-in', prompt: 'Ignore me.' }
+    ]);
+    const persona = manager.get('test-persona-ok');
+    manager.customPersonas = saved;
+    manager.persist();
+    
+    const onlyValidAdded = imported === 1 && persona && persona.isCustom;
+    const builtInKept = manager.get('default-analyst').name === 'Concise Analyst';
+    
+    return {
+        passed: onlyValidAdded && builtInKept,
+        message: `Only valid personas added: ${onlyValidAdded}, Built-in persona untouched: ${builtInKept}`
+    };
+}, 'ai-chat');
+
+tf.addTest('Imported Persona Shown As Text', async () => {
+    const app = window.journal;
+    const manager = app.personaManager;
+    const injectedIcon = '<img src=x class="test-persona-injected">';
+    
+    const saved = manager.customPersonas;
+    manager.importPersonas([
+        { id: 'test-persona-markup', name: '<b class="test-persona-injected">Mentor</b>', icon: injectedIcon, prompt: 'Answer kindly.' }
+    ]);
+    const persona = manager.get('test-persona-markup');
+    manager.customPersonas = saved;
+    manager.persist();
+    
+    app.themeManager.showToast(`Now chatting with ${persona.name}`, 'info', persona.icon);
+    const toast = [...document.querySelectorAll('.toast')].pop();
+    
+    const iconLimited = Array.from(persona.icon).length <= 2;
+    const notInjected = !document.querySelector('.test-persona-injected');
+    const shownAsText = toast.querySelector('.toast-message').textContent.includes('<b class=');
+    toast.remove();
+    
+    return {
+        passed: iconLimited && notInjected && shownAsText,
+        message: `Icon kept emoji-sized: ${iconLimited}, Markup kept out of the page: ${notInjected}, Name shown as text: ${shownAsText}`
+    };
+}, 'ai-chat');
+
+// Semantic Retrieval Tests
+tf.addTest('Long Entries Chunked For Embedding', async () => {
+    const app = window.journal;
+    const index = app.embeddingIndex;
+    
+    const text = 'I walked along the river and thought about work. '.repeat(80);
+    const chunks = index.chunkText(text);
+    
+    const withinSize = chunks.every(chunk => chunk.end - chunk.start <= index.chunkSize);
+    const coversText = chunks[0].start === 0 && chunks[chunks.length - 1].end === text.length;
+    const overlapping = chunks.slice(1).every((chunk, i) => chunk.start < chunks[i].end);
+    const shortKept = index.chunkText('Short entry').length === 1 && index.chunkText('   ').length === 0;
+    
+    return {
+        passed: chunks.length > 1 && withinSize && coversText && overlapping && shortKept,
+        message: `${chunks.length} chunks, Within size: ${withinSize}, Whole text covered: ${coversText}, Overlapping: ${overlapping}`
+    };
+}, 'ai-chat');
+
+tf.addTest('Semantic Retrieval Ranks By Similarity', async () => {
+    const app = window.journal;
+    const index = new EmbeddingIndex(app.entryRepository, app.aiService);
+    
+    const entries = [
+        { id: 'test-tired', content: 'Completely exhausted after another long week.', createdAt: new Date().toISOString() },
+        { id: 'test-beach', content: 'Sunny afternoon at the beach.', createdAt: new Date().toISOString() }
+    ];
+    entries.forEach(entry => index.records.set(entry.id, {
+        entryId: entry.id,
+        model: index.model,
+        hash: index.hashText(entry.content),
+        chunks: [{ start: 0, end: entry.content.length, vector: entry.id === 'test-tired' ? [0.9, 0.1] : [0.1, 0.9] }]
+    }));
+    
+    const originalAvailable = index.isAvailable;
+    const originalEmbed = app.aiService.embed;
+    index.isAvailable = () => true;
+    app.aiService.embed = async () => [1, 0];
+    
+    let passages;
+    try {
+        passages = await index.retrieve('When did I feel burnt out?', entries, 1);
+    } finally {
+        index.isAvailable = originalAvailable;
+        app.aiService.embed = originalEmbed;
+    }
+    
+    const ranked = passages.length === 1 && passages[0].entry.id === 'test-tired';
+    const fallback = await index.retrieve('anything', entries) === null || app.aiService.status === 'connected';
+    
+    return {
+        passed: ranked && fallback,
+        message: `Closest entry first: ${ranked}, Falls back to keywords without a model: ${fallback}`
+    };
+}, 'ai-chat');
+
+tf.addTest('Unindexed Entries Still Matched By Keywords', async () => {
+    const app = window.journal;
+    const index = new EmbeddingIndex(app.entryRepository, app.aiService);
+    
+    const now = new Date().toISOString();
+    const entries = [
+        { id: 'test-indexed', content: 'Quiet morning with coffee.', createdAt: now },
+        { id: 'test-unindexed', content: 'My sister called about the garden project.', createdAt: now }
+    ];
+    index.records.set('test-indexed', {
+        entryId: 'test-indexed',
+        model: index.model,
+        hash: index.hashText(entries[0].content),
+        chunks: [{ start: 0, end: entries[0].content.length, vector: [1, 0] }]
+    });
+    
+    const originalAvailable = index.isAvailable;
+    const originalEmbed = app.aiService.embed;
+    index.isAvailable = () => true;
+    let receivedSignal = null;
+    app.aiService.embed = async (text, model, { signal } = {}) => {
+        receivedSignal = signal;
+        signal?.throwIfAborted();
+        return [1, 0];
+    };
+    
+    const controller = new AbortController();
+    let passages;
+    let aborted = false;
+    try {
+        passages = await index.retrieve('How is the garden project going?', entries, 6, { signal: controller.signal });
+        controller.abort();
+        try {
+            await index.retrieve('garden', entries, 6, { signal: controller.signal });
+        } catch (error) {
+            aborted = error.name === 'AbortError';
+        }
+    } finally {
+        index.isAvailable = originalAvailable;
+        app.aiService.embed = originalEmbed;
+    }
+    
+    const context = app.aiService.createSmartContext('How is the garden project going?', entries, passages, []);
+    const relevantSection = context.split('MOST RELEVANT ENTRIES:')[1] || '';
+    const keywordMatched = relevantSection.includes('garden project');
+    const signalPassed = receivedSignal === controller.signal;
+    
+    return {
+        passed: keywordMatched && signalPassed && aborted,
+        message: `Unindexed entry found by keywords: ${keywordMatched}, Signal reaches embed: ${signalPassed}, Stop interrupts retrieval: ${aborted}`
+    };
+}, 'ai-chat');
+
+// Cited Sources Tests
+tf.addTest('Context Entries Labelled With References', async () => {
+    const app = window.journal;
+    const service = app.aiService;
+    
+    const now = new Date().toISOString();
+    const entries = [
+        { id: 'test-cite-1', content: 'Went running by the river.', createdAt: now },
+        { id: 'test-cite-2', content: 'Long day at work.', createdAt: now }
+    ];
+    const sources = [];
+    const context = service.createSmartContext('running', entries, null, sources);
+    
+    const ref = service.getEntryReference('test-cite-1');
+    const stable = ref === service.getEntryReference('test-cite-1') && ref !== service.getEntryReference('test-cite-2');
+    const labelled = context.includes(`[${ref} | `);
+    const tracked = sources.length === 2 && sources[0].id === 'test-cite-1' && sources[0].ref === ref;
+    
+    return {
+        passed: stable && labelled && tracked,
+        message: `Stable reference: ${stable}, Labelled in context: ${labelled}, Sources tracked: ${tracked}`
+    };
+}, 'ai-chat');
+
+tf.addTest('Citations Become Entry Chips', async () => {
+    const app = window.journal;
+    const entry = app.entryRepository.getAll()[0];
+    if (!entry) {
+        return { passed: true, message: 'Skipped - no entries to cite' };
+    }
+    
+    const container = document.createElement('div');
+    container.innerHTML = `<p>In your [${app.aiService.getEntryReference(entry.id)}] entry, and [#00000].</p>`;
+    app.linkEntryReferences(container);
+    
+    const chip = container.querySelector('.chat-source-chip');
+    const linked = !!chip && !container.textContent.includes(app.aiService.getEntryReference(entry.id));
+    const flagged = container.querySelector('.chat-source-missing')?.textContent === '[#00000]';
+    
+    return {
+        passed: linked && flagged,
+        message: `Known reference linked: ${linked}, Made-up reference flagged: ${flagged}`
+    };
+}, 'ai-chat');
+
+// Chat Scope Tests
+tf.addTest('Chat Scope Narrows Entries', async () => {
+    const app = window.journal;
+    const savedScope = app.chatScope;
+    const all = app.entryRepository.getAll();
+    
+    app.chatScope = { kind: 'all', from: '', to: '' };
+    const everything = app.getChatScope().entries.length === all.length;
+    
+    app.chatScope = { kind: '7d', from: '', to: '' };
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const recent = app.getChatScope().entries.every(entry => new Date(entry.createdAt).getTime() >= weekAgo);
+    
+    app.chatScope = { kind: 'custom', from: '2000-01-01', to: '2000-01-31' };
+    const custom = app.getChatScope();
+    const customRange = custom.entries.every(entry => entry.createdAt.startsWith('2000-01')) && custom.label.includes('–');
+    
+    app.chatScope = savedScope;
+    
+    return {
+        passed: everything && recent && customRange,
+        message: `Everything: ${everything}, Last 7 days only recent: ${recent}, Custom range: ${customRange}`
+    };
+}, 'ai-chat');
+
+tf.addTest('Empty Search Scope Shows Search Text As Text', async () => {
+    const app = window.journal;
+    const saved = { scope: app.chatScope, search: app.searchInput.value };
+    const searchText = '<img src=x class="test-scope-injected">';
+    
+    let toast;
+    try {
+        app.chatScope = { kind: 'search', from: '', to: '' };
+        app.searchInput.value = searchText;
+        app.chatInput.value = 'What did I write?';
+        await app.sendChatMessage();
+        toast = [...document.querySelectorAll('.toast')].pop();
+    } finally {
+        app.chatScope = saved.scope;
+        app.searchInput.value = saved.search;
+        app.chatInput.value = '';
+    }
+    
+    const notInjected = !document.querySelector('.test-scope-injected');
+    const shownAsText = !!toast && toast.querySelector('.toast-message').textContent.includes(searchText);
+    toast?.remove();
+    
+    return {
+        passed: notInjected && shownAsText,
+        message: `Search text kept out of the page: ${notInjected}, Shown as typed: ${shownAsText}`
+    };
+}, 'ai-chat');
+
+tf.addTest('Scoped Context Says What Was Shared', async () => {
+    const app = window.journal;
+    const entries = [{ id: 'test-scope-1', content: 'Quiet week.', createdAt: new Date().toISOString() }];
+    
+    const scoped = app.aiService.createSmartContext('week', entries, null, [], 'Last 7 days');
+    const unscoped = app.aiService.createSmartContext('week', entries);
+    const empty = app.aiService.createSmartContext('week', [], null, [], 'Last 7 days');
+    
+    const labelled = scoped.startsWith('JOURNAL ENTRIES IN SCOPE - Last 7 days');
+    const unchanged = unscoped.startsWith('COMPLETE JOURNAL HISTORY');
+    const emptyExplained = empty.includes('Last 7 days');
+    
+    return {
+        passed: labelled && unchanged && emptyExplained,
+        message: `Scope named in context: ${labelled}, Whole journal unchanged: ${unchanged}, Empty scope explained: ${emptyExplained}`
+    };
+}, 'ai-chat');
+
+// Review Digest Tests
+tf.addTest('Review Batches Fit Context Budget', async () => {
+    const app = window.journal;
+    
+    const batches = app.aiService.batchForContext(['aaaa', 'bbbb', 'cc', 'd'.repeat(12)], 8);
+    const grouped = batches.length === 3 && batches[0].length === 2 && batches[1][0] === 'cc';
+    const longCut = batches[2][0] === 'dddddddd...';
+    
+    return {
+        passed: grouped && longCut,
+        message: `Entries grouped by budget: ${grouped}, Oversized entry cut: ${longCut}`
+    };
+}, 'ai-review');
+
+tf.addTest('Review Digest Maps Then Reduces', async () => {
+    const app = window.journal;
+    const ai = app.aiService;
+    const savedStatus = ai.status;
+    const savedComplete = ai.complete;
+    const savedBudget = ai.reviewCharBudget;
+    const prompts = [];
+    
+    ai.status = 'connected';
+    ai.reviewCharBudget = 60;
+    ai.complete = async (messages) => {
+        prompts.push(messages[0].content);
+        return messages[0].content.includes('periodic review of') ? '## Highlights\n- A good week' : '- note';
+    };
+    
+    const day = 24 * 60 * 60 * 1000;
+    const entries = [1, 2, 3].map(n => ({
+        id: `test-review-${n}`,
+        content: `Entry number ${n} `.repeat(3),
+        createdAt: new Date(Date.now() - n * day).toISOString()
+    }));
+    
+    try {
+        const { digest, sources } = await ai.createReviewDigest(entries, 'Last 7 days');
+        const mapped = prompts.filter(prompt => prompt.includes('condensing')).length === 3;
+        const reduced = prompts[prompts.length - 1].includes('periodic review of') && digest.includes('A good week');
+        const oldestFirst = sources.map(source => source.id).join(',') === 'test-review-3,test-review-2,test-review-1';
+        
+        return {
+            passed: mapped && reduced && oldestFirst,
+            message: `Each batch condensed: ${mapped}, Digest written last: ${reduced}, Sources in date order: ${oldestFirst}`
+        };
+    } finally {
+        ai.status = savedStatus;
+        ai.complete = savedComplete;
+        ai.reviewCharBudget = savedBudget;
+    }
+}, 'ai-review');
+
+// Entry Title Tests
+tf.addTest('Suggested Titles Cleaned Up', async () => {
+    const app = window.journal;
+    
+    const quoted = app.aiService.cleanTitle('Title: "A Quiet Sunday."');
+    const markdown = app.aiService.cleanTitle('## **Deep Work**\nBecause the entry is about focus.');
+    const long = app.aiService.cleanTitle('word '.repeat(40));
+    
+    const passed = quoted === 'A Quiet Sunday' && markdown === 'Deep Work' && long.length <= app.aiService.titleMaxLength + 1;
+    
+    return {
+        passed,
+        message: `Quoted: "${quoted}", Markdown: "${markdown}", Long title capped: ${long.length <= app.aiService.titleMaxLength + 1}`
+    };
+}, 'entry-titles');
+
+tf.addTest('Title Suggestions Need Accepting', async () => {
+    const app = window.journal;
+    const now = new Date().toISOString();
+    const entry = { id: 'test-title-pending', content: 'An evening walk by the canal', createdAt: now, updatedAt: now, revisions: [] };
+    await app.entryRepository.saveMany([entry]);
+    
+    let pending;
+    let rejected;
+    try {
+        app.titleEdits.set(entry.id, { value: 'Suggested Title', suggestion: 'Suggested Title', loading: false });
+        app.renderEntries();
+        pending = !app.entryRepository.get(entry.id).title && !!document.querySelector(`.entry-title-editor[data-entry-id="${entry.id}"]`);
+        
+        app.closeTitleEditor(entry.id);
+        rejected = !app.entryRepository.get(entry.id).title && !app.titleEdits.has(entry.id);
+    } finally {
+        app.titleEdits.delete(entry.id);
+        await app.entryRepository.delete(entry.id);
+        app.renderEntries();
+    }
+    
+    return {
+        passed: pending && rejected,
+        message: `Shown but not saved: ${pending}, Reject leaves entry untitled: ${rejected}`
+    };
+}, 'entry-titles');
+
+tf.addTest('Entry Titles Escaped In List', async () => {
+    const app = window.journal;
+    const escaped = app.escapeHtml('<img src=x onerror=alert(1)> "quoted"');
+    
+    const safe = !escaped.includes('<') && escaped.includes('&quot;');
+    
+    return {
+        passed: safe,
+        message: `Markup escaped: ${safe}`
+    };
+}, 'entry-titles');
+
+// Markdown Export Tests
+tf.addTest('Markdown Files Dated And Named', async () => {
+    const exporter = window.journal.markdownExporter;
+    const entry = { id: 'test-md-1', content: 'Body', title: 'Café: a "good" day', createdAt: new Date(2026, 2, 5, 9).toISOString() };
+    const used = new Set();
+    
+    const first = exporter.getPath(entry, used);
+    const second = exporter.getPath(entry, used);
+    const untitled = exporter.getPath({ ...entry, title: null, content: '   ' }, used);
+    
+    const passed = first === '2026/03/2026-03-05-cafe-a-good-day.md' &&
+        second === '2026/03/2026-03-05-cafe-a-good-day-2.md' &&
+        untitled === '2026/03/2026-03-05-entry.md';
+    
+    return {
+        passed,
+        message: `Paths: ${first}, ${second}, ${untitled}`
+    };
+}, 'markdown-export');
+
+tf.addTest('Markdown Front Matter Carries Metadata', async () => {
+    const exporter = window.journal.markdownExporter;
+    const markdown = exporter.toMarkdown({
+        id: '123',
+        content: 'Ran 5k #health\n## Wins\nSee [#a1b2c]',
+        title: 'Run: "fast"',
+        createdAt: '2026-03-05T09:00:00.000Z',
+        updatedAt: '2026-03-06T09:00:00.000Z',
+        isTemplate: true,
+        templateOrder: 2
+    });
+    
+    const hasMetadata = markdown.startsWith('---\nid: "123"\ncreated: 2026-03-05T09:00:00.000Z\nupdated: 2026-03-06T09:00:00.000Z\n') &&
+        markdown.includes('title: "Run: \\"fast\\""') &&
+        markdown.includes('template: true\ntemplate_order: 2\n---');
+    const tagsOnly = markdown.includes('tags: ["health"]');
+    const bodyKept = markdown.endsWith('---\n\nRan 5k #health\n## Wins\nSee [#a1b2c]\n');
+    
+    return {
+        passed: hasMetadata && tagsOnly && bodyKept,
+        message: `Metadata: ${hasMetadata}, Hashtags only as tags: ${tagsOnly}, Body unchanged: ${bodyKept}`
+    };
+}, 'markdown-export');
+
+tf.addTest('Zip Archive Structure', async () => {
+    const archive = new ZipArchive();
+    archive.addFile('a/hello.txt', 'hello', new Date(2026, 0, 1));
+    const bytes = archive.toBytes();
+    const view = new DataView(bytes.buffer);
+    
+    const localHeader = view.getUint32(0, true) === 0x04034b50;
+    const crc = view.getUint32(14, true) === 0x3610a686;
+    const end = view.getUint32(bytes.length - 22, true) === 0x06054b50 && view.getUint16(bytes.length - 12, true) === 1;
+    
+    return {
+        passed: localHeader && crc && end,
+        message: `Local header: ${localHeader}, CRC-32: ${crc}, Central directory: ${end}`
+    };
+}, 'markdown-export');
+
+// Import Tests
+tf.addTest('Markdown Front Matter Imported', async () => {
+    const importer = window.journal.journalImporter;
+    const result = { entries: [], warnings: [], counts: { markdown: 0, dayone: 0, text: 0 }, skippedFiles: 0, fileCount: 0 };
+    
+    const entry = importer.parseMarkdown('notes/idea.md',
+        '---\nid: "note-1"\ncreated: 2026-03-05T09:00:00.000Z\ntitle: "Run: fast"\ntags:\n  - health\n  - long run\nlocation: Lisbon\n---\n\nRan 5k #health\n',
+        new Date(), result);
+    
+    const fields = entry.id === 'note-1' && entry.title === 'Run: fast' && entry.createdAt === '2026-03-05T09:00:00.000Z';
+    const metadata = entry.content === 'Ran 5k #health\n\n📍 Lisbon\n#long-run';
+    
+    return {
+        passed: fields && metadata && result.warnings.length === 0,
+        message: `Id, title and date: ${fields}, Tags and location mapped: ${metadata}, Warnings: ${result.warnings.length}`
+    };
+}, 'import');
+
+tf.addTest('Import Dates From File Names', async () => {
+    const importer = window.journal.journalImporter;
+    
+    const dashed = importer.dateFromPath('journal/2026-03-05-title.md');
+    const compact = importer.dateFromPath('20260305 notes.txt');
+    const folders = importer.dateFromPath('2026/03/05.md');
+    const none = importer.dateFromPath('notes/ideas.txt');
+    const sameDay = (date) => date && date.getFullYear() === 2026 && date.getMonth() === 2 && date.getDate() === 5;
+    
+    return {
+        passed: sameDay(dashed) && sameDay(compact) && sameDay(folders) && none === null,
+        message: `Dashed: ${sameDay(dashed)}, Compact: ${sameDay(compact)}, Folders: ${sameDay(folders)}, No date: ${none === null}`
+    };
+}, 'import');
+
+tf.addTest('Day One Entries Mapped', async () => {
+    const importer = window.journal.journalImporter;
+    const result = { entries: [], warnings: [], counts: { markdown: 0, dayone: 0, text: 0 }, skippedFiles: 0, fileCount: 0 };
+    
+    const entry = importer.parseDayOneEntry({
+        uuid: 'ABC',
+        creationDate: '2025-12-24T18:00:00Z',
+        text: 'Dinner\\. Fun\\! ![](dayone-moment://P1)',
+        tags: ['family'],
+        location: { placeName: 'Home', localityName: 'Porto', country: 'Portugal' }
+    }, 'Journal.json #1', result);
+    
+    const mapped = entry.id === 'dayone-ABC' && entry.content === 'Dinner. Fun! 📷\n\n📍 Home, Porto, Portugal\n#family';
+    const photoWarned = result.warnings.length === 1;
+    
+    return {
+        passed: mapped && photoWarned,
+        message: `Text, tags and location mapped: ${mapped}, Missing photo reported: ${photoWarned}`
+    };
+}, 'import');
+
+tf.addTest('Imported Ids And Text Kept Out Of Markup', async () => {
+    const app = window.journal;
+    const importer = app.journalImporter;
+    const result = { entries: [], warnings: [], counts: { markdown: 0, dayone: 0, text: 0 }, skippedFiles: 0, fileCount: 0 };
+    
+    const markdown = importer.parseMarkdown('notes/odd.md', '---\nid: \'x" onclick="alert(1)\'\ncreated: 2026-03-05\n---\n\nHello\n', new Date(), result);
+    const dayOne = importer.parseDayOneEntry({ uuid: 'A<B', creationDate: '2025-12-24T18:00:00Z', text: 'Hi' }, 'Journal.json #1', result);
+    const kept = importer.parseMarkdown('notes/fine.md', '---\nid: note_2-b\ncreated: 2026-03-05\n---\n\nHello\n', new Date(), result);
+    
+    const safeIds = [markdown, dayOne].every(entry => /^[A-Za-z0-9_-]+$/.test(entry.id));
+    const validKept = kept.id === 'note_2-b';
+    
+    const now = new Date().toISOString();
+    const entry = { id: 'test-import-preview', content: '<img src=x class="test-preview-injected"> from another app', createdAt: now, updatedAt: now, revisions: [] };
+    await app.entryRepository.saveMany([entry]);
+    let previewEscaped;
+    try {
+        app.renderEntries();
+        previewEscaped = !document.querySelector('.test-preview-injected');
+    } finally {
+        await app.entryRepository.delete(entry.id);
+        app.renderEntries();
+    }
+    
+    return {
+        passed: safeIds && validKept && previewEscaped,
+        message: `Unsafe ids replaced: ${safeIds}, Safe ids kept: ${validKept}, Preview escaped: ${previewEscaped}`
+    };
+}, 'import');
+
+tf.addTest('Zip Files Read Back', async () => {
+    const archive = new ZipArchive();
+    archive.addFile('2026/03/2026-03-05-run.md', '# Run\n\nCafé ☕');
+    
+    const { files } = await ZipArchive.read(archive.toBytes());
+    const roundTrip = files.length === 1 && files[0].path === '2026/03/2026-03-05-run.md' &&
+        new TextDecoder().decode(files[0].data) === '# Run\n\nCafé ☕';
+    
+    return {
+        passed: roundTrip,
+        message: `Path and UTF-8 content survive a round trip: ${roundTrip}`
+    };
+}, 'import');
+
+tf.addTest('Import Entries Classified', async () => {
+    const app = window.journal;
+    const createdAt = '2026-01-02T10:00:00.000Z';
+    await app.entryRepository.saveMany([
+        { id: 'test-merge-same', content: 'Same', createdAt, updatedAt: createdAt, revisions: [] },
+        { id: 'test-merge-changed', content: 'Before', createdAt, updatedAt: createdAt, revisions: [] }
+    ]);
+    
+    const { fresh, identical, conflicts } = app.journalImporter.classify([
+        { id: 'test-merge-same', content: 'Same\n', createdAt, updatedAt: '2026-02-01T00:00:00.000Z' },
+        { id: 'test-merge-changed', content: 'After', createdAt },
+        { id: 'test-merge-new', content: 'New', createdAt },
+        { id: 'test-merge-new', content: 'Same id, different entry', createdAt }
+    ]);
+    await app.entryRepository.delete('test-merge-same');
+    await app.entryRepository.delete('test-merge-changed');
+    
+    const counted = fresh.length === 2 && identical.length === 1 && conflicts.length === 1;
+    const paired = conflicts.length === 1 && conflicts[0].local.content === 'Before' && conflicts[0].incoming.content === 'After';
+    const uniqueIds = fresh.length === 2 && fresh[0].id !== fresh[1].id;
+    
+    return {
+        passed: counted && paired && uniqueIds,
+        message: `New/identical/conflicting counted: ${counted}, Conflict pairs both versions: ${paired}, Repeated id kept apart: ${uniqueIds}`
+    };
+}, 'import');
+
+tf.addTest('Import Conflict Choices Applied', async () => {
+    const app = window.journal;
+    const createdAt = '2026-01-02T10:00:00.000Z';
+    const revision = (id) => ({ id, content: id, savedAt: createdAt });
+    const local = [
+        { id: 'test-merge-keep', content: 'Mine', createdAt, updatedAt: createdAt, revisions: [] },
+        { id: 'test-merge-replace', content: 'Mine', createdAt, updatedAt: createdAt, revisions: [revision('rev_a')] },
+        { id: 'test-merge-both', content: 'Mine', createdAt, updatedAt: createdAt, revisions: [], isTemplate: true, templateOrder: 1 }
+    ];
+    await app.entryRepository.saveMany(local);
+    const before = app.entryRepository.getAll().length;
+    
+    const conflicts = local.map(entry => ({
+        local: entry,
+        incoming: { ...entry, content: 'Theirs', revisions: [revision('rev_a'), revision('rev_b')] }
+    }));
+    const counts = await app.applyImport({ fresh: [], identical: [{ id: 'x' }], conflicts }, new Map([
+        ['test-merge-replace', 'imported'],
+        ['test-merge-both', 'both']
+    ]));
+    
+    const kept = app.entryRepository.get('test-merge-keep').content === 'Mine';
+    const replaced = app.entryRepository.get('test-merge-replace');
+    const merged = replaced.content === 'Theirs' && replaced.revisions.map(r => r.id).join() === 'rev_a,rev_b';
+    const copy = app.entryRepository.getAll().find(entry => entry.content === 'Theirs' && entry.id !== 'test-merge-replace');
+    const copied = app.entryRepository.getAll().length === before + 1 && copy && !copy.isTemplate;
+    const counted = counts.identical === 1 && counts.keptLocal === 1 && counts.replaced === 1 && counts.keptBoth === 1;
+    
+    for (const entry of [...local, copy].filter(Boolean)) {
+        await app.entryRepository.delete(entry.id);
+    }
+    app.renderEntries();
+    app.updateTemplateDropdown();
+    
+    return {
+        passed: kept && merged && copied && counted,
+        message: `Kept local: ${kept}, Replaced with merged history: ${merged}, Copy added as a normal entry: ${copied}, Counts: ${JSON.stringify(counts)}`
+    };
+}, 'import');
+
+// Export Schema Tests
+tf.addTest('Pre-Template Exports Migrated', async () => {
+    const schema = window.journal.exportSchema;
+    
+    const data = schema.migrate({
+        version: '1.0',
+        entries: [{ id: 'test-v1', content: 'Old entry', date: '2025-08-08T10:00:00.000Z', wordCount: 2 }]
+    });
+    const entry = data.entries[0];
+    
+    const upgraded = data.version === schema.currentVersion;
+    const dates = entry.createdAt === '2025-08-08T10:00:00.000Z' && entry.updatedAt === entry.createdAt && !('date' in entry);
+    const templateFields = entry.isTemplate === false && entry.templateOrder === null;
+    
+    return {
+        passed: upgraded && dates && templateFields,
+        message: `Version upgraded: ${upgraded}, Date split into createdAt/updatedAt: ${dates}, Template fields added: ${templateFields}`
+    };
+}, 'export-schema');
+
+tf.addTest('Invalid Backup Entries Reported', async () => {
+    const schema = window.journal.exportSchema;
+    const createdAt = '2026-01-02T10:00:00.000Z';
+    
+    const { entries, errors } = schema.validate({
+        entries: [
+            { id: 'test-valid', content: 'Fine', createdAt },
+            { id: 'test-no-content', createdAt },
+            { id: 'test-bad-date', content: 'Hi', createdAt: 'yesterday' },
+            null
+        ]
+    });
+    
+    const kept = entries.length === 1 && entries[0].id === 'test-valid';
+    const reported = errors.map(error => schema.formatError(error)).join(' | ') ===
+        'Entry 2 (test-no-content): missing content | Entry 3 (test-bad-date): createdAt isn\'t a valid date | Entry 4: not an entry';
+    
+    return {
+        passed: kept && reported,
+        message: `Valid entry kept: ${kept}, Each invalid entry reported with its position and id: ${reported}`
+    };
+}, 'export-schema');
+
+tf.addTest('Backup Entry Ids Must Be Plain Tokens', async () => {
+    const app = window.journal;
+    const createdAt = '2026-01-02T10:00:00.000Z';
+    const badIds = ['test-"><img src=x class="test-id-injected">', 'test-<b>'];
+    
+    const originalPreview = app.showImportPreview;
+    const originalAlert = window.alert;
+    let previewWarnings = [];
+    app.showImportPreview = async (classified, { warnings }) => {
+        previewWarnings = warnings;
+        return new Map();
+    };
+    window.alert = () => {};
+    try {
+        await app.importBackup({
+            version: '2.0',
+            entries: [
+                ...badIds.map(id => ({ id, content: 'Crafted', createdAt })),
+                { id: 'test-id-ok_1', content: 'Fine', createdAt }
+            ]
+        });
+        app.renderEntries();
+    } finally {
+        app.showImportPreview = originalPreview;
+        window.alert = originalAlert;
+    }
+    
+    const rejected = badIds.every(id => !app.entryRepository.get(id)) && previewWarnings.length === 2;
+    const validImported = !!app.entryRepository.get('test-id-ok_1');
+    const notInjected = !document.querySelector('.test-id-injected');
+    await app.entryRepository.delete('test-id-ok_1');
+    app.renderEntries();
+    
+    return {
+        passed: rejected && validImported && notInjected,
+        message: `Ids with quotes or markup rejected: ${rejected}, Plain ids imported: ${validImported}, Nothing injected: ${notInjected}`
+    };
+}, 'export-schema');
+
+tf.addTest('Unknown Backup Versions Rejected', async () => {
+    const schema = window.journal.exportSchema;
+    const rejects = (data) => {
+        try {
+            schema.migrate(data);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    
+    const newer = rejects({ version: '9.0', entries: [] });
+    const notBackup = rejects({ items: [] });
+    const unversioned = !rejects({ entries: [] });
+    
+    return {
+        passed: newer && notBackup && unversioned,
+        message: `Newer format rejected: ${newer}, Non-backup rejected: ${notBackup}, Unversioned treated as 1.0: ${unversioned}`
+    };
+}, 'export-schema');
+
+tf.addTest('Export Records App Version And Settings', async () => {
+    const app = window.journal;
+    const settings = app.getExportSettings();
+    
+    const recorded = typeof app.appVersion === 'string' && settings.theme.name === app.themeManager.currentTheme &&
+        settings.ai.provider === app.aiService.providerId && settings.entryDateField === app.dateField;
+    const noSecrets = !JSON.stringify(settings).includes('salt') && !('endpoint' in settings.ai);
+    
+    return {
+        passed: recorded && noSecrets,
+        message: `App version and preferences recorded: ${recorded}, Lock salt and endpoints left out: ${noSecrets}`
+    };
+}, 'export-schema');
+
+// Print Export Tests
+tf.addTest('Print Range And Tag Filter', async () => {
+    const exporter = window.journal.printExporter;
+    const entries = [
+        { id: 'test-print-1', content: 'Run #Health', createdAt: new Date(2026, 2, 1, 0, 30).toISOString() },
+        { id: 'test-print-2', content: 'Late night #health', createdAt: new Date(2026, 2, 31, 23, 30).toISOString() },
+        { id: 'test-print-3', content: 'Next month #health', createdAt: new Date(2026, 3, 1, 8).toISOString() },
+        { id: 'test-print-4', content: 'Template #health', createdAt: new Date(2026, 2, 5).toISOString(), isTemplate: true },
+        { id: 'test-print-5', content: 'Work', createdAt: new Date(2026, 2, 10).toISOString() }
+    ];
+    
+    const march = exporter.selectEntries(entries, { from: '2026-03-01', to: '2026-03-31' }).map(entry => entry.id);
+    const tagged = exporter.selectEntries(entries, { from: '2026-03-01', to: '2026-03-31', tag: 'health' }).map(entry => entry.id);
+    
+    const inclusive = march.join() === 'test-print-1,test-print-5,test-print-2';
+    const filtered = tagged.join() === 'test-print-1,test-print-2';
+    
+    return {
+        passed: inclusive && filtered,
+        message: `Whole days, oldest first, no templates: ${inclusive}, Tag matched in any case: ${filtered}`
+    };
+}, 'print');
+
+tf.addTest('Print Renders Markdown Headings', async () => {
+    const exporter = window.journal.printExporter;
+    const container = document.createElement('div');
+    container.appendChild(exporter.renderMarkdown('# Daily Check-in\n\n## What went well?\nA **good** day <b>\n- tea\n- walk'));
+    
+    const headings = [...container.querySelectorAll('.print-md-heading')].map(heading => `${heading.tagName}:${heading.textContent}`).join();
+    const inline = container.querySelector('p strong')?.textContent === 'good' && container.querySelector('p b') === null;
+    const list = container.querySelectorAll('ul li').length === 2;
+    
+    return {
+        passed: headings === 'H4:Daily Check-in,H5:What went well?' && inline && list,
+        message: `Headings nested under day and entry headers: ${headings}, Bold kept and HTML escaped: ${inline}, List: ${list}`
+    };
+}, 'print');
+
+tf.addTest('Print Typography Follows The Editor', async () => {
+    const app = window.journal;
+    const editor = document.getElementById('journalEntry');
+    const originalStyle = editor.getAttribute('style');
+    
+    let typography;
+    try {
+        editor.style.fontFamily = 'Georgia, serif';
+        editor.style.fontSize = '20px';
+        editor.style.lineHeight = '30px';
+        typography = app.themeManager.getTypography();
+    } finally {
+        if (originalStyle === null) {
+            editor.removeAttribute('style');
+        } else {
+            editor.setAttribute('style', originalStyle);
+        }
+    }
+    
+    const font = typography.fontFamily.startsWith('Georgia');
+    const lineHeight = typography.lineHeight === 1.5;
+    const accent = typography.accent === app.themeManager.themes[app.themeManager.currentTheme].colors.light.primary;
+    
+    return {
+        passed: font && lineHeight && accent,
+        message: `Editor font used: ${font}, Line height kept relative: ${lineHeight} (${typography.lineHeight}), Light accent: ${accent}`
+    };
+}, 'print');
+
+tf.addTest('Print Layout Has Contents And Page Breaks', async () => {
+    const app = window.journal;
+    const entries = [
+        { id: 'test-print-a', content: '# Morning', createdAt: new Date(2026, 2, 30, 8).toISOString() },
+        { id: 'test-print-b', content: 'Evening', title: 'Dinner', createdAt: new Date(2026, 2, 30, 20).toISOString() },
+        { id: 'test-print-c', content: 'Spring', createdAt: new Date(2026, 3, 1, 8).toISOString() }
+    ];
+    
+    const view = app.printExporter.render(entries, {
+        title: 'Journal',
+        subtitle: '3 entries',
+        typography: app.themeManager.getTypography()
+    });
+    
+    const days = view.querySelectorAll('.print-day');
+    const contents = [...view.querySelectorAll('.print-toc li')].map(item => item.querySelector('.print-toc-entries').textContent).join(' | ') === 'Morning · Dinner | Spring';
+    const linked = view.querySelector('.print-toc a').getAttribute('href') === `#${days[0].id}`;
+    const monthBreaks = days.length === 2 && days[1].classList.contains('print-page-break');
+    const themed = view.style.getPropertyValue('--print-heading-font') === app.themeManager.getTypography().headingFontFamily;
+    
+    return {
+        passed: contents && linked && monthBreaks && themed,
+        message: `Contents lists each day: ${contents}, Linked to the day: ${linked}, New month on a new page: ${monthBreaks}, Theme fonts applied: ${themed}`
+    };
+}, 'print');